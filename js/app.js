@@ -3,9 +3,38 @@ let productSearch;
 let zblGenerator;
 let batchGenerator;
 let cart;
+let stickerRules; // Stickers per kit, shared by the cart counts and the batch generator
+let labelRenderer;
 let currentRowData;
-let templates = {};
-let currentMatchResult = null; // Stores { match, kitType } when exact match found
+let currentKitType; // Kit type of the previewed row, to re-render the labels after a template change
+let templates = {}; // Active template per role (TemplateLibrary.getActiveTemplates())
+let templateLibrary;
+let templatesUI;
+let currentMatchResult = null; // Stores { match, kitType, matches } when exact match found
+let datasetStore;
+let diffReportUI;
+let lastDiffReport = null; // Changes of the loaded database against the previously loaded one
+let duplicateCodesUI;
+let duplicateCodes = []; // Kit codes on more than one row or column of the loaded database
+let dataQualityUI;
+let dataQualityReport = null; // SecurityUtils.validateDataset() of the loaded database
+let templateFitUI;
+let sourceRegistry;
+let sourcesUI;
+let dataSources = []; // SourceRegistry entries of the loaded product database
+let sourceConflicts = []; // Kit codes the loaded sources print with different settings
+
+const BUNDLED_DATABASE_URL = './data/manual-info.xlsx';
+const DATABASE_FILE_TYPES = ['xlsx', 'xls', 'csv', 'tsv', 'txt'];
+const MAX_DATABASE_FILE_SIZE = 20 * 1024 * 1024; // 20 MB
+
+// Part of the loading bar (percent) per ExcelParser progress stage, roughly by time taken
+const LOADING_PROGRESS_STAGES = {
+  download: { from: 0, to: 10, label: 'Downloading database' },
+  read: { from: 10, to: 65, label: 'Reading workbook' },
+  rows: { from: 65, to: 75, label: 'Converting rows' },
+  index: { from: 75, to: 100, label: 'Building search index' }
+};
 
 // Print Management Module globals
 let settingsStorage;
@@ -18,42 +47,30 @@ async function initializeApp() {
   try {
     showLoading('Loading application...');
 
-    // Load Excel data
-    excelParser = new ExcelParser();
-    await excelParser.loadExcelFile('./data/manual-info.xlsx');
+    // Settings are needed before the data load (column mapping)
+    settingsStorage = new SettingsStorage();
+    datasetStore = new DatasetStore();
+
+    // Load Excel data (the saved sources if any, otherwise the bundled file)
+    await loadProductData();
 
     // Initialize search
-    productSearch = new ProductSearch(excelParser.data);
-
-    // Load all ZBL templates in parallel
-    const [bigTemplate, smallForkTemplate, smallShockTemplate] = await Promise.all([
-      fetch('./templates/zbl-dynamic.txt').then(r => {
-        if (!r.ok) throw new Error('Failed to load BIG template');
-        return r.text();
-      }),
-      fetch('./templates/zbl-small-fork.txt').then(r => {
-        if (!r.ok) throw new Error('Failed to load SMALL Fork template');
-        return r.text();
-      }),
-      fetch('./templates/zbl-small-shock.txt').then(r => {
-        if (!r.ok) throw new Error('Failed to load SMALL Shock template');
-        return r.text();
-      })
-    ]);
-
-    // Store templates
-    templates = {
-      big: bigTemplate,
-      smallFork: smallForkTemplate,
-      smallShock: smallShockTemplate
-    };
+    productSearch = new ProductSearch(excelParser.data, { index: excelParser.searchIndex });
+    analyzeProductData();
+
+    // Load the ZBL templates: the bundled files, or the versions activated in the template library
+    templateLibrary = new TemplateLibrary(datasetStore);
+    templates = await templateLibrary.load();
+    lintActiveTemplates();
 
-    // Initialize generators
-    zblGenerator = new ZBLGenerator(bigTemplate);
-    batchGenerator = new BatchZBLGenerator(templates);
+    // Initialize generators (sticker rules from Settings, or the defaults)
+    stickerRules = new StickerRules(settingsStorage.getStickerRules());
+    zblGenerator = new ZBLGenerator(templates.big);
+    batchGenerator = new BatchZBLGenerator(templates, stickerRules);
+    labelRenderer = new ZplRenderer();
 
     // Initialize cart
-    cart = new Cart();
+    cart = new Cart(stickerRules);
     cart.addListener(updateCartUI);
 
     // Render cart UI immediately if there are items from previous session
@@ -61,7 +78,6 @@ async function initializeApp() {
 
     // Initialize print management modules (non-fatal - app works without printing)
     try {
-      settingsStorage = new SettingsStorage();
       printerManager = new PrinterManager();
       pdfGenerator = new PdfGenerator();
       printRouter = new PrintRouter(printerManager, settingsStorage);
@@ -72,6 +88,7 @@ async function initializeApp() {
 
       // Initialize settings UI
       settingsUI.initialize();
+      settingsUI.setAvailableHeaders(excelParser.getHeaders());
 
       // Attempt to connect to QZ Tray (non-blocking)
       printerManager.initialize().catch(err => {
@@ -86,6 +103,28 @@ async function initializeApp() {
 
     // Set up event listeners
     setupEventListeners();
+    setupDatabaseUpload();
+
+    // Report what changed since the database was last loaded (non-blocking)
+    diffReportUI = new DiffReportUI();
+    diffReportUI.initialize();
+    recordDatabaseVersion();
+
+    duplicateCodesUI = new DuplicateCodesUI();
+    duplicateCodesUI.initialize();
+
+    dataQualityUI = new DataQualityUI();
+    dataQualityUI.initialize();
+
+    templateFitUI = new TemplateFitUI();
+    templateFitUI.initialize();
+
+    sourcesUI = new SourcesUI();
+    sourcesUI.initialize();
+
+    templatesUI = new TemplatesUI();
+    templatesUI.initialize();
+    updateDatabaseInfo();
 
     hideLoading();
     console.log('Application initialized successfully');
@@ -95,6 +134,597 @@ async function initializeApp() {
   }
 }
 
+/**
+ * Load the product database: the sources saved in IndexedDB if any,
+ * otherwise the bundled file. Uses the saved column mapping.
+ */
+async function loadProductData() {
+  excelParser = createExcelParser();
+  sourceRegistry = new SourceRegistry(datasetStore, BUNDLED_DATABASE_URL);
+
+  try {
+    await sourceRegistry.load();
+  } catch (error) {
+    console.warn('[App] Could not read saved sources (non-fatal):', error);
+  }
+
+  const saved = sourceRegistry.getSources();
+  if (!SourceRegistry.isBundledOnly(saved)) {
+    try {
+      await withColumnMappingFallback(() => excelParser.loadSources(sourceRegistry.toFiles(saved)));
+      dataSources = saved;
+      updateDatabaseInfo();
+      return;
+    } catch (error) {
+      console.warn('[App] Saved sources could not be loaded, using bundled file:', error);
+      showToast(`Saved database "${saved.map(source => source.name).join(', ')}" could not be loaded, using bundled file`, 'error');
+      excelParser = createExcelParser();
+    }
+  }
+
+  const bundled = [sourceRegistry.createBundledSource()];
+  await withColumnMappingFallback(() => excelParser.loadSources(sourceRegistry.toFiles(bundled)));
+  dataSources = bundled;
+  updateDatabaseInfo();
+}
+
+/**
+ * Parser with the saved column mapping and types that reports its progress on the loading bar
+ * @returns {ExcelParser} New parser
+ */
+function createExcelParser() {
+  const parser = new ExcelParser(settingsStorage.getColumnMapping(), settingsStorage.getColumnTypes());
+  parser.onProgress = showLoadingProgress;
+  return parser;
+}
+
+/**
+ * Run a load and, when a saved column mapping no longer matches the sheet,
+ * re-parse with the default headers instead of failing.
+ * @param {Function} load - Loads into excelParser (may be async)
+ */
+async function withColumnMappingFallback(load) {
+  try {
+    await load();
+  } catch (error) {
+    if (error.retryable !== false || Object.keys(excelParser.columnMapping).length === 0) {
+      throw error;
+    }
+
+    console.warn('[App] Saved column mapping does not match the sheet, using default headers');
+    excelParser.setColumnMapping({});
+    await excelParser.reparse();
+    showToast('Saved column mapping did not match the sheet, using default headers', 'error');
+  }
+}
+
+/**
+ * Check the type and size of a file offered as product database
+ * @param {File} file - Selected or dropped file
+ * @returns {string|null} Problem to show, or null when the file can be read
+ */
+function checkDatabaseFile(file) {
+  const extension = (file.name.split('.').pop() || '').toLowerCase();
+  if (!DATABASE_FILE_TYPES.includes(extension)) {
+    return `Unsupported file type: ${file.name} (use .xlsx, .xls, .csv or .tsv)`;
+  }
+
+  if (file.size > MAX_DATABASE_FILE_SIZE) {
+    return `File is too large: ${file.name} (max ${MAX_DATABASE_FILE_SIZE / 1024 / 1024} MB)`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse an uploaded or dropped file and make it the product database (replacing every source)
+ * @param {File} file - .xlsx, .xls, .csv or .tsv file
+ */
+async function handleDatabaseFile(file) {
+  const problem = checkDatabaseFile(file);
+  if (problem) {
+    showToast(problem, 'error');
+    return;
+  }
+
+  showLoading(`Reading ${file.name}...`);
+
+  let buffer;
+  try {
+    buffer = await file.arrayBuffer();
+  } catch (error) {
+    hideLoading();
+    showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+    return;
+  }
+
+  await applySources([SourceRegistry.createUpload(file.name, buffer)], file.name);
+}
+
+/**
+ * Add uploaded files to the configured sources
+ * @param {Array<File>} files - .xlsx, .xls, .csv or .tsv files
+ */
+async function addSourceFiles(files) {
+  const problem = files.map(checkDatabaseFile).find(message => message);
+  if (problem) {
+    showToast(problem, 'error');
+    return;
+  }
+
+  showLoading(`Reading ${files.map(file => file.name).join(', ')}...`);
+
+  const sources = sourceRegistry.getSources();
+  try {
+    for (const file of files) {
+      sources.push(SourceRegistry.createUpload(file.name, await file.arrayBuffer(), sources));
+    }
+  } catch (error) {
+    hideLoading();
+    showToast(`Could not read the file: ${error.message}`, 'error');
+    return;
+  }
+
+  await applySources(sources, files.map(file => file.name).join(', '));
+}
+
+/**
+ * Load a new source list and, if it parses, make it the product database and save it
+ * A bad file leaves the current data and the saved sources untouched.
+ * @param {Array<Object>} sources - SourceRegistry entries
+ * @param {string} description - What is loaded, for messages
+ * @returns {Promise<boolean>} True when the sources are in use
+ */
+async function applySources(sources, description) {
+  showLoading(`Reading ${description}...`);
+
+  try {
+    // Parse into a separate parser so a bad file leaves the current data untouched
+    const parser = createExcelParser();
+    await parser.loadSources(sourceRegistry.toFiles(sources));
+
+    const invalidCount = parser.data.filter(row => !SecurityUtils.validateRowData(row).valid).length;
+    if (invalidCount === parser.data.length) {
+      throw new Error('No row has a product code, brand and model');
+    }
+
+    replaceProductData(parser, sources);
+
+    // Persist for the next visit (non-fatal: the data is already in use)
+    try {
+      await sourceRegistry.setSources(sources);
+    } catch (error) {
+      console.warn('[App] Could not save product sources:', error);
+      showToast('Database loaded, but could not be saved for the next visit', 'error');
+    }
+
+    const skipped = invalidCount > 0 ? ` (${invalidCount} incomplete rows)` : '';
+    showToast(`Loaded ${parser.getRowCount()} products from ${description}${skipped}`, 'success');
+
+    if (sourcesUI && sourcesUI.isOpen) {
+      openSourcesReport();
+    }
+    return true;
+  } catch (error) {
+    ErrorHandler.logError(error, 'applySources', {
+      category: 'XLSX_ERROR',
+      fileName: description,
+      showUser: false
+    });
+    showToast(`Could not load ${description}: ${error.userMessage || error.message}`, 'error');
+    return false;
+  } finally {
+    hideLoading();
+  }
+}
+
+/**
+ * Drop the uploaded sources and reload the bundled file
+ */
+async function revertToBundledDatabase() {
+  if (!confirm('Revert to the bundled product database? The uploaded files will be removed.')) {
+    return;
+  }
+
+  await applySources([sourceRegistry.createBundledSource()], 'the bundled database');
+}
+
+/**
+ * Swap in a newly parsed database
+ * @param {ExcelParser} parser - Parser holding the new data
+ * @param {Array<Object>} sources - SourceRegistry entries it was loaded from
+ */
+function replaceProductData(parser, sources) {
+  excelParser = parser;
+  dataSources = sources;
+  productSearch.updateData(parser.data, { index: parser.searchIndex });
+  analyzeProductData();
+
+  if (settingsUI) {
+    settingsUI.setAvailableHeaders(parser.getHeaders());
+  }
+
+  resetSearchView();
+  updateDatabaseInfo();
+  recordDatabaseVersion();
+}
+
+/**
+ * Show the product sources, their sheets and the conflicts between them
+ */
+function openSourcesReport() {
+  if (!sourcesUI || !excelParser) return;
+  sourcesUI.open(dataSources, excelParser.sources, sourceConflicts);
+}
+
+window.onSourceFilesAdded = function(files) {
+  return addSourceFiles(files);
+};
+
+window.onSourcesChanged = function(sources) {
+  return applySources(sources, sources.map(source => source.name).join(', '));
+};
+
+/**
+ * Open the template library
+ */
+function openTemplateLibrary() {
+  if (!templatesUI || !templateLibrary) return;
+  templatesUI.open(templateLibrary, getTemplateLabelSizes());
+}
+
+/**
+ * Label size each template role prints on: the configured printer's, else the standard size
+ * @returns {Object} e.g. { big: '124x70mm', smallFork: '65x35mm', smallShock: '65x35mm' }
+ */
+function getTemplateLabelSizes() {
+  const bigSlot = settingsStorage.getBigPrinter();
+  const smallSlot = settingsStorage.getSmallPrinter();
+  const sizes = { ...TEMPLATE_LINT_LABEL_SIZES };
+
+  Object.keys(sizes).forEach(role => {
+    const slot = TEMPLATE_ROLES[role].printer === 'big' ? bigSlot : smallSlot;
+    if (slot && slot.labelSize) {
+      sizes[role] = slot.labelSize;
+    }
+  });
+  return sizes;
+}
+
+/**
+ * Lint the active templates and tell the operator when one has problems
+ */
+function lintActiveTemplates() {
+  const labelSizes = getTemplateLabelSizes();
+
+  Object.entries(TEMPLATE_ROLES).forEach(([role, { label }]) => {
+    const result = TemplateLinter.lint(templates[role], { labelSize: labelSizes[role] });
+    if (result.errorCount === 0 && result.warningCount === 0) return;
+
+    result.issues
+      .filter(issue => issue.severity !== TEMPLATE_LINT_SEVERITY.INFO)
+      .forEach(issue => console.warn(`[App] ${label} template${issue.line ? ` line ${issue.line}` : ''}: ${issue.message}`));
+    showToast(`${label} template: ${TemplateLinter.summarize(result)} - see Templates`,
+      result.errorCount > 0 ? 'error' : 'warning');
+  });
+}
+
+/**
+ * Print with the template versions now active in the library and refresh the label preview
+ */
+window.onTemplatesChanged = function() {
+  templates = templateLibrary.getActiveTemplates();
+  zblGenerator.updateTemplate(templates.big);
+  batchGenerator.updateTemplates(templates);
+
+  if (currentRowData) {
+    renderLabelPreview(currentRowData, currentKitType);
+  }
+  updateDatabaseInfo();
+};
+
+/**
+ * Compare the loaded database with the snapshot of the previously loaded one,
+ * then store the loaded rows as the new snapshot.
+ * @param {Object} options - { compare: false } to only store the snapshot
+ */
+async function recordDatabaseVersion({ compare = true } = {}) {
+  try {
+    const snapshot = await datasetStore.loadSnapshot();
+
+    if (compare && snapshot) {
+      const report = excelParser.compareWith(snapshot.rows, snapshot.name);
+      lastDiffReport = DatasetDiff.hasChanges(report) ? report : null;
+      if (lastDiffReport) {
+        console.log(`[App] Database changed: ${DatasetDiff.summarize(report)}`);
+      }
+    }
+
+    await datasetStore.saveSnapshot(excelParser.sourceName, excelParser.data);
+  } catch (error) {
+    console.warn('[App] Could not compare with the previous database (non-fatal):', error);
+  }
+
+  updateDatabaseInfo();
+}
+
+/**
+ * Load-time checks of the loaded database: duplicate kit codes and the data-quality rules
+ */
+function analyzeProductData() {
+  duplicateCodes = productSearch.findDuplicateCodes();
+  sourceConflicts = productSearch.findSourceConflicts();
+  updateSourceFilter();
+
+  if (duplicateCodes.length > 0) {
+    console.warn(`[App] ${duplicateCodes.length} kit code(s) appear more than once: ` +
+      duplicateCodes.map(duplicate => duplicate.code).join(', '));
+  }
+
+  if (sourceConflicts.length > 0) {
+    console.warn(`[App] ${sourceConflicts.length} kit code(s) differ between sources: ` +
+      sourceConflicts.map(conflict => conflict.code).join(', '));
+  }
+
+  dataQualityReport = SecurityUtils.validateDataset(excelParser.data);
+  console.log(`[App] Data quality: ${dataQualityReport.rowsWithIssues} of ${dataQualityReport.checkedRows} ` +
+    `rows with ${dataQualityReport.issueCount} issue(s)`);
+}
+
+/**
+ * Clear search results and preview built from the previous data
+ */
+function resetSearchView() {
+  currentMatchResult = null;
+  renderMatchChooser(null);
+  const results = document.getElementById('search-results');
+  if (results) {
+    results.innerHTML = '';
+  }
+  const previewSection = document.getElementById('preview-section');
+  if (previewSection) {
+    previewSection.style.display = 'none';
+  }
+}
+
+/**
+ * Show which database is loaded
+ */
+function updateDatabaseInfo() {
+  const info = document.getElementById('database-info');
+  const revertBtn = document.getElementById('revert-database-btn');
+  const diffBtn = document.getElementById('diff-report-btn');
+  const duplicatesBtn = document.getElementById('duplicates-btn');
+  const qualityBtn = document.getElementById('data-quality-btn');
+  const templateFitBtn = document.getElementById('template-fit-btn');
+  const sourcesBtn = document.getElementById('sources-btn');
+  const templatesBtn = document.getElementById('templates-btn');
+  if (!info || dataSources.length === 0) return;
+
+  const count = excelParser ? excelParser.getRowCount() : 0;
+  info.textContent = `Database: ${SourceRegistry.describe(dataSources)} · ${count} products`;
+
+  if (revertBtn) {
+    revertBtn.style.display = SourceRegistry.isBundledOnly(dataSources) ? 'none' : '';
+  }
+
+  if (sourcesBtn) {
+    sourcesBtn.style.display = sourcesUI ? '' : 'none';
+    sourcesBtn.classList.toggle('btn-changes', sourceConflicts.length > 0);
+    sourcesBtn.textContent = sourceConflicts.length > 0
+      ? `Sources (${dataSources.length}, ${sourceConflicts.length} conflicts)`
+      : `Sources (${dataSources.length})`;
+  }
+
+  if (diffBtn) {
+    diffBtn.style.display = lastDiffReport ? '' : 'none';
+    diffBtn.textContent = lastDiffReport
+      ? `View Changes (${DatasetDiff.summarize(lastDiffReport)})`
+      : 'View Changes';
+  }
+
+  if (duplicatesBtn) {
+    duplicatesBtn.style.display = duplicateCodes.length > 0 ? '' : 'none';
+    duplicatesBtn.textContent = `Duplicate Codes (${duplicateCodes.length})`;
+  }
+
+  if (qualityBtn && dataQualityReport) {
+    qualityBtn.style.display = '';
+    qualityBtn.textContent = `Data Quality (${dataQualityReport.issueCount} issues)`;
+  }
+
+  if (templateFitBtn) {
+    templateFitBtn.style.display = templateFitUI ? '' : 'none';
+  }
+
+  if (templatesBtn && templateLibrary) {
+    const uploaded = Object.keys(TEMPLATE_ROLES).filter(role => !templateLibrary.getActive(role).bundled).length;
+    templatesBtn.style.display = templatesUI ? '' : 'none';
+    templatesBtn.textContent = uploaded > 0 ? `Templates (${uploaded} uploaded)` : 'Templates';
+  }
+}
+
+/**
+ * Check every row of the loaded database against the sticker templates.
+ * Runs on demand (about a second for the full database) so template changes are always included.
+ */
+function openTemplateFitReport() {
+  if (!templateFitUI || !excelParser) return;
+
+  showLoading('Checking every row against the templates...');
+
+  // Let the loading message paint before the analysis blocks the page
+  setTimeout(() => {
+    try {
+      const report = new TemplateFitAnalysis(templates).analyze(excelParser.data);
+      console.log(`[App] Template fit: ${report.problemCount} problem(s) on ${report.problemRows} row(s)`);
+      templateFitUI.open(report);
+    } catch (error) {
+      ErrorHandler.logError(error, 'openTemplateFitReport', {
+        category: 'RUNTIME_ERROR',
+        userMessage: 'Failed to check the templates against the database.'
+      });
+    } finally {
+      hideLoading();
+    }
+  }, 0);
+}
+
+/**
+ * Upload button, file input and drag-and-drop onto the page
+ */
+function setupDatabaseUpload() {
+  const uploadBtn = document.getElementById('upload-database-btn');
+  const fileInput = document.getElementById('database-file-input');
+  const revertBtn = document.getElementById('revert-database-btn');
+  const dropOverlay = document.getElementById('drop-overlay');
+
+  if (uploadBtn && fileInput) {
+    uploadBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      // Reset so selecting the same file again still fires change
+      fileInput.value = '';
+      if (file) {
+        handleDatabaseFile(file);
+      }
+    });
+  }
+
+  if (revertBtn) {
+    revertBtn.addEventListener('click', () => revertToBundledDatabase());
+  }
+
+  const diffBtn = document.getElementById('diff-report-btn');
+  if (diffBtn) {
+    diffBtn.addEventListener('click', () => {
+      if (lastDiffReport) {
+        diffReportUI.open(lastDiffReport);
+      }
+    });
+  }
+
+  const duplicatesBtn = document.getElementById('duplicates-btn');
+  if (duplicatesBtn) {
+    duplicatesBtn.addEventListener('click', () => duplicateCodesUI.open(duplicateCodes));
+  }
+
+  const qualityBtn = document.getElementById('data-quality-btn');
+  if (qualityBtn) {
+    qualityBtn.addEventListener('click', () => {
+      if (dataQualityReport) {
+        dataQualityUI.open(dataQualityReport);
+      }
+    });
+  }
+
+  const templateFitBtn = document.getElementById('template-fit-btn');
+  if (templateFitBtn) {
+    templateFitBtn.addEventListener('click', () => openTemplateFitReport());
+  }
+
+  const sourcesBtn = document.getElementById('sources-btn');
+  if (sourcesBtn) {
+    sourcesBtn.addEventListener('click', () => openSourcesReport());
+  }
+
+  const templatesBtn = document.getElementById('templates-btn');
+  if (templatesBtn) {
+    templatesBtn.addEventListener('click', () => openTemplateLibrary());
+  }
+
+  // dragenter/dragleave fire for every child element; count to know when the drag leaves the page
+  let dragDepth = 0;
+  const isFileDrag = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+  const setOverlay = (visible) => {
+    if (dropOverlay) {
+      dropOverlay.style.display = visible ? 'flex' : 'none';
+    }
+  };
+
+  document.addEventListener('dragenter', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepth++;
+    setOverlay(true);
+  });
+
+  document.addEventListener('dragover', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+
+  document.addEventListener('dragleave', (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) {
+      setOverlay(false);
+    }
+  });
+
+  document.addEventListener('drop', (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepth = 0;
+    setOverlay(false);
+
+    const file = e.dataTransfer.files[0];
+    if (file) {
+      handleDatabaseFile(file);
+    }
+  });
+}
+
+/**
+ * Re-read the loaded sheet with the column mapping edited in Settings. On failure the parser
+ * keeps the previous mapping and types, so Settings only saves a mapping that loads the sheet.
+ * @param {Object} profile - Field -> header name overrides ({} = default headers)
+ * @param {Object} types - Field -> column type overrides ({} = default types)
+ * @returns {Promise<boolean>} True when the mapping was applied
+ */
+window.onColumnMappingChanged = async function(profile, types) {
+  const previous = { mapping: excelParser.columnMapping, types: excelParser.columnTypes };
+  excelParser.setColumnMapping(profile);
+  excelParser.setColumnTypes(types);
+
+  // Nothing loaded yet: the next import reads with the new mapping
+  if (excelParser.sourceFiles.length === 0) {
+    return true;
+  }
+
+  showLoading('Applying column mapping...');
+
+  try {
+    await excelParser.reparse();
+  } catch (error) {
+    // The data is only replaced by a successful parse, so it still matches the previous mapping
+    excelParser.setColumnMapping(previous.mapping);
+    excelParser.setColumnTypes(previous.types);
+    ErrorHandler.logError(error, 'onColumnMappingChanged', {
+      category: 'XLSX_ERROR',
+      showUser: false
+    });
+    showToast(`Could not apply column mapping: ${error.userMessage || error.message}`, 'error');
+    return false;
+  } finally {
+    hideLoading();
+  }
+
+  productSearch.updateData(excelParser.data, { index: excelParser.searchIndex });
+  analyzeProductData();
+
+  // Results and preview were built from the old mapping
+  resetSearchView();
+  updateDatabaseInfo();
+
+  // Same data under a different mapping: keep the snapshot comparable without reporting it
+  recordDatabaseVersion({ compare: false });
+
+  showToast(`Column mapping applied: ${excelParser.getRowCount()} products loaded`, 'success');
+  return true;
+};
+
 function setupEventListeners() {
   // Validate all required DOM elements exist
   const searchInput = ErrorHandler.validateElement('#search-input', 'setupEventListeners');
@@ -120,8 +750,7 @@ function setupEventListeners() {
       searchTimeout = setTimeout(() => {
         try {
           const query = e.target.value;
-          const results = productSearch.search(query);
-          displaySearchResults(results);
+          displaySearchResults(runSearch(query));
 
           // Check for exact match to set quantity value
           checkExactMatchAndSetQuantity(query);
@@ -139,6 +768,27 @@ function setupEventListeners() {
     }
   });
 
+  // Search mode, status and source filters re-run the current search
+  ['search-mode', 'status-filter', 'source-filter'].forEach(id => {
+    const filter = document.getElementById(id);
+    if (!filter) return;
+
+    filter.addEventListener('change', () => {
+      try {
+        if (id === 'search-mode') {
+          searchInput.placeholder = filter.selectedOptions[0].dataset.placeholder;
+          clearQuantityField();
+          currentMatchResult = null;
+        }
+        displaySearchResults(runSearch(searchInput.value));
+      } catch (error) {
+        ErrorHandler.logError(error, `EventListener:${id}`, {
+          category: 'EVENT_ERROR'
+        });
+      }
+    });
+  });
+
   // Enter key and arrow keys handler
   searchInput.addEventListener('keydown', (e) => {
     try {
@@ -266,23 +916,23 @@ function setupEventListeners() {
     }
   });
 
+  // Settings button (column mapping is available even without printing)
+  const settingsBtn = document.getElementById('settings-btn');
+  if (settingsBtn && settingsUI) {
+    settingsBtn.addEventListener('click', () => {
+      try {
+        settingsUI.open();
+      } catch (error) {
+        ErrorHandler.logError(error, 'EventListener:settings-btn', {
+          category: 'EVENT_ERROR',
+          userMessage: 'Failed to open settings. Please try again.'
+        });
+      }
+    });
+  }
+
   // Print Management buttons (only add if modules initialized)
   if (settingsUI && printRouter && pdfGenerator) {
-    // Settings button
-    const settingsBtn = document.getElementById('settings-btn');
-    if (settingsBtn) {
-      settingsBtn.addEventListener('click', () => {
-        try {
-          settingsUI.open();
-        } catch (error) {
-          ErrorHandler.logError(error, 'EventListener:settings-btn', {
-            category: 'EVENT_ERROR',
-            userMessage: 'Failed to open settings. Please try again.'
-          });
-        }
-      });
-    }
-
     // Print buttons
     const printBigBtn = document.getElementById('print-big-btn');
     const printSmallBtn = document.getElementById('print-small-btn');
@@ -409,61 +1059,58 @@ function displaySearchResults(results) {
       return;
     }
 
-    // Get current search query to determine which column matched
-    const searchInput = document.getElementById('search-input');
-    const query = searchInput ? searchInput.value.toLowerCase().trim() : '';
-
-    container.innerHTML = results.map((row, index) => {
-      // Determine which code column matched the search
-      let code = '';
-      let matchedColumn = '';
-
-      const cValue = (row.C || '').toString();
-      const dValue = (row.D || '').toString();
-      const eValue = (row.E || '').toString();
-
-      // Check which column contains the search query (prioritize exact matches)
-      if (cValue.toLowerCase() === query) {
-        code = cValue;
-        matchedColumn = 'C';
-      } else if (dValue.toLowerCase() === query) {
-        code = dValue;
-        matchedColumn = 'D';
-      } else if (eValue.toLowerCase() === query) {
-        code = eValue;
-        matchedColumn = 'E';
-      } else if (cValue.toLowerCase().includes(query)) {
-        code = cValue;
-        matchedColumn = 'C';
-      } else if (dValue.toLowerCase().includes(query)) {
-        code = dValue;
-        matchedColumn = 'D';
-      } else if (eValue.toLowerCase().includes(query)) {
-        code = eValue;
-        matchedColumn = 'E';
-      } else {
-        // Fallback to first available code
-        code = cValue || dValue || eValue || 'N/A';
-        matchedColumn = cValue ? 'C' : (dValue ? 'D' : 'E');
+    container.innerHTML = results.map((result, index) => {
+      const row = result.row;
+      const highlights = result.highlights;
+      const statusClass = `status-${ProductStatus.forRow(row).status}`;
+      const vehicle = [
+        highlightMatches(row.BRAND_NAME || 'N/A', highlights.BRAND_NAME),
+        highlightMatches(row.MODEL_TYPE || 'N/A', highlights.MODEL_TYPE),
+        row.YEAR ? `<span class="result-year">${highlightMatches(row.YEAR, highlights.YEAR)}</span>` : ''
+      ].join(' ');
+
+      // Code match: the matched kit is selected on click
+      if (result.codeField) {
+        const code = (row[result.codeField] || '').toString();
+        return `
+          <div class="result-item ${statusClass}" data-index="${index}" data-matched-column="${result.codeField}">
+            <strong>${highlightMatches(code, highlights[result.codeField])}</strong> - ${vehicle}
+            ${renderStatusBadges(row)}
+          </div>
+        `;
       }
 
-      const escapedCode = SecurityUtils.escapeHtml(code);
-      const brand = SecurityUtils.escapeHtml(row.F || 'N/A');
-      const model = SecurityUtils.escapeHtml(row.G || 'N/A');
+      // Vehicle match: list every kit of the row so the user picks one
+      const codes = KitTypes.getCodeFields()
+        .filter(field => (row[field] || '').toString().trim())
+        .map(field => `<span class="result-code" data-matched-column="${field}" ` +
+          `title="${SecurityUtils.escapeHtml(ColumnMapping.getLabel(field))}">${SecurityUtils.escapeHtml(row[field])}</span>`)
+        .join(' ');
+
+      // Chassis / EU number that found the vehicle (vehicle-number mode)
+      const numbers = SEARCH_VEHICLE_NUMBER_FIELDS
+        .filter(field => highlights[field])
+        .map(field => `<span class="result-number">${SecurityUtils.escapeHtml(ColumnMapping.getLabel(field))}: ` +
+          `${highlightMatches(row[field], highlights[field])}</span>`)
+        .join(' ');
 
       return `
-        <div class="result-item" data-index="${index}" data-matched-column="${matchedColumn}">
-          <strong>${escapedCode}</strong> - ${brand} ${model}
+        <div class="result-item ${statusClass}" data-index="${index}" data-matched-column="${KitTypes.getCodeFields().find(field => row[field]) || ''}">
+          ${vehicle}
+          ${renderStatusBadges(row)}
+          ${numbers}
+          <div class="result-codes">${codes || 'N/A'}</div>
         </div>
       `;
     }).join('');
 
     // Add click handlers
     container.querySelectorAll('.result-item').forEach((item, index) => {
-      item.addEventListener('click', () => {
+      item.addEventListener('click', (e) => {
         try {
-          const rowData = results[index];
-          const matchedColumn = item.dataset.matchedColumn;
+          const rowData = results[index].row;
+          const codeChip = e.target.closest('.result-code');
+          const matchedColumn = (codeChip || item).dataset.matchedColumn;
 
           // Use ONLY the matched column's code (no fallback to prevent wrong kit selection)
           const code = (rowData[matchedColumn] || '').toString().trim();
@@ -506,33 +1153,167 @@ function displaySearchResults(results) {
   }
 }
 
-function displayPreview(rowData) {
+/**
+ * Escape text and wrap matched parts in <mark>
+ * @param {*} value - Cell value
+ * @param {Array<string>} terms - Matched text from ProductSearch.searchRanked()
+ * @returns {string} HTML
+ */
+function highlightMatches(value, terms) {
+  const text = String(value);
+  const lower = text.toLowerCase();
+  const marked = new Array(text.length).fill(false);
+
+  (terms || []).forEach(term => {
+    const needle = String(term).toLowerCase();
+    if (!needle) return;
+
+    let position = lower.indexOf(needle);
+    while (position !== -1) {
+      marked.fill(true, position, position + needle.length);
+      position = lower.indexOf(needle, position + needle.length);
+    }
+  });
+
+  let html = '';
+  let start = 0;
+  for (let i = 1; i <= text.length; i++) {
+    if (i === text.length || marked[i] !== marked[start]) {
+      const part = SecurityUtils.escapeHtml(text.substring(start, i));
+      html += marked[start] ? `<mark>${part}</mark>` : part;
+      start = i;
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Get the selected search mode
+ * @returns {string} One of SEARCH_MODES
+ */
+function getSearchMode() {
+  const select = document.getElementById('search-mode');
+  return select ? select.value : SEARCH_MODES.KITS;
+}
+
+/**
+ * Search the loaded rows in the selected mode with the selected filters
+ * @param {string} query - Search box text
+ * @returns {Array<Object>} Ranked results (see ProductSearch.searchRanked)
+ */
+function runSearch(query) {
+  return getSearchMode() === SEARCH_MODES.VEHICLE_NUMBER
+    ? productSearch.searchVehicleNumber(query, getStatusFilter(), getSourceFilter())
+    : productSearch.searchRanked(query, getStatusFilter(), getSourceFilter());
+}
+
+/**
+ * Get the selected status filter for the results list
+ * @returns {string} One of SEARCH_STATUS_FILTERS
+ */
+function getStatusFilter() {
+  const select = document.getElementById('status-filter');
+  return select ? select.value : SEARCH_STATUS_FILTERS.ALL;
+}
+
+/**
+ * Get the selected source filter for the results list
+ * @returns {string|null} SOURCE label, or null for every source
+ */
+function getSourceFilter() {
+  const select = document.getElementById('source-filter');
+  return select && select.value ? select.value : null;
+}
+
+/**
+ * SOURCE labels of the loaded rows, in load order
+ * @returns {Array<string>} One label per sheet read
+ */
+function getSourceLabels() {
+  if (!excelParser) return [];
+  return excelParser.sources.flatMap(source => source.sheets
+    .filter(sheet => !sheet.skipped)
+    .map(sheet => sheet.label));
+}
+
+/**
+ * Fill the source filter with the loaded sources; hidden when there is only one
+ */
+function updateSourceFilter() {
+  const select = document.getElementById('source-filter');
+  const container = document.getElementById('source-filter-container');
+  if (!select) return;
+
+  const labels = getSourceLabels();
+  const selected = labels.includes(select.value) ? select.value : '';
+  select.innerHTML = '<option value="">All sources</option>' + labels
+    .map(label => `<option value="${SecurityUtils.escapeHtml(label)}">${SecurityUtils.escapeHtml(label)}</option>`)
+    .join('');
+  select.value = selected;
+
+  if (container) {
+    container.style.display = labels.length > 1 ? '' : 'none';
+  }
+}
+
+/**
+ * Badges for a non-active status, a recent change and the row's source (when several are loaded)
+ * @param {Object} row - Row keyed by field name
+ * @returns {string} HTML ('' for an active, unchanged row from the only source)
+ */
+function renderStatusBadges(row) {
+  const badges = [];
+  const statusInfo = ProductStatus.forRow(row);
+
+  if (statusInfo.status !== PRODUCT_STATUS.ACTIVE) {
+    badges.push(`<span class="status-badge status-${statusInfo.status}" ` +
+      `title="STATUS: ${SecurityUtils.escapeHtml(statusInfo.code)}">${statusInfo.label}</span>`);
+  }
+
+  if (productSearch && productSearch.isRecentlyChanged(row)) {
+    const date = ProductStatus.formatChangeDate(row.DATE_CHANGE);
+    badges.push(`<span class="status-badge status-recent" title="Changed ${date}">Recently changed</span>`);
+  }
+
+  if (row.SOURCE && getSourceLabels().length > 1) {
+    badges.push(`<span class="status-badge status-source" title="Source">${SecurityUtils.escapeHtml(row.SOURCE)}</span>`);
+  }
+
+  return badges.join(' ');
+}
+
+function displayPreview(rowData, kitType) {
   try {
+    currentRowData = rowData;
+    currentKitType = kitType;
+
+    const previewSection = document.getElementById('preview-section');
+    if (previewSection) {
+      previewSection.style.display = 'block';
+    }
+
+    renderLabelPreview(rowData, kitType);
+
     // Summary fields (always visible) - with XSS protection
+    const statusInfo = ProductStatus.forRow(rowData);
     const summaryData = {
-      'Brand Name': SecurityUtils.escapeHtml(rowData.F || 'N/A'),
-      'Model Type': SecurityUtils.escapeHtml(rowData.G || 'N/A'),
-      'Year': SecurityUtils.escapeHtml(rowData.H || 'N/A')
+      'Brand Name': SecurityUtils.escapeHtml(rowData.BRAND_NAME || 'N/A'),
+      'Model Type': SecurityUtils.escapeHtml(rowData.MODEL_TYPE || 'N/A'),
+      'Year': SecurityUtils.escapeHtml(rowData.YEAR || 'N/A'),
+      'Status': `${SecurityUtils.escapeHtml(statusInfo.code || '-')} ${renderStatusBadges(rowData)}`
     };
 
-    // Detailed fields (collapsible) - with XSS protection
-    const detailsData = {
-      'Fork Code': SecurityUtils.escapeHtml(rowData.C || 'NONE'),
-      'Shock Code': SecurityUtils.escapeHtml(rowData.D || 'NONE'),
-      'Combi Code': SecurityUtils.escapeHtml(rowData.E || 'NONE'),
-      'Fork Spring': SecurityUtils.escapeHtml(rowData.I || 'N/A'),
-      'Shock Spring': SecurityUtils.escapeHtml(rowData.Q || 'N/A'),
-      'Oil Type': SecurityUtils.escapeHtml(rowData.J || 'N/A'),
-      'Oil Level': SecurityUtils.escapeHtml(rowData.K || 'N/A'),
-      'Fork Preload': SecurityUtils.escapeHtml(rowData.L || 'N/A'),
-      'Fork Sag': SecurityUtils.escapeHtml(rowData.M || 'N/A'),
-      'Fork Compression': SecurityUtils.escapeHtml(rowData.N || 'N/A'),
-      'Fork Extra Info': SecurityUtils.escapeHtml(rowData.P || ''),
-      'Shock Preload': SecurityUtils.escapeHtml(rowData.R || 'N/A'),
-      'Shock Sag': SecurityUtils.escapeHtml(rowData.S || 'N/A'),
-      'Shock Compression': SecurityUtils.escapeHtml(rowData.T || 'N/A'),
-      'Rear Extra Info': SecurityUtils.escapeHtml(rowData.V || '')
-    };
+    // Detailed fields (collapsible) - with XSS protection; every column that is not in the summary,
+    // in sheet order (kit codes from the registry first), with the date change last
+    const summaryFields = ['DATE_CHANGE', 'STATUS', 'BRAND_NAME', 'MODEL_TYPE', 'YEAR'];
+    const detailsData = {};
+    COLUMN_FIELDS
+      .filter(({ field }) => !summaryFields.includes(field))
+      .forEach(({ field, label }) => {
+        detailsData[label] = SecurityUtils.escapeHtml(rowData[field] || (LABEL_FIELD_DEFAULTS[field] ?? 'N/A'));
+      });
+    detailsData['Date Change'] = SecurityUtils.escapeHtml(ProductStatus.formatChangeDate(rowData.DATE_CHANGE) || 'N/A');
 
     // Populate summary table
     const summaryTable = ErrorHandler.validateElement('#preview-table-summary', 'displayPreview');
@@ -575,6 +1356,62 @@ function displayPreview(rowData) {
   }
 }
 
+/**
+ * Render every sticker role of the registry for a row into the preview, one canvas per role
+ * @param {Object} rowData - Product data
+ * @param {string} kitType - Kit type, used to mark labels that will not be printed
+ */
+function renderLabelPreview(rowData, kitType) {
+  const container = document.getElementById('label-preview');
+  if (!container || !labelRenderer || !batchGenerator) return;
+
+  const variables = batchGenerator.prepareVariables(rowData);
+  const rules = stickerRules.getRules(kitType, rowData);
+
+  // Fields that overflow their block even at the smallest font size
+  const warningList = document.getElementById('label-preview-warnings');
+  if (warningList) {
+    warningList.innerHTML = batchGenerator.labelVariables.lastFitWarnings
+      .map(warning => `<li>⚠ ${SecurityUtils.escapeHtml(warning.message)}</li>`)
+      .join('');
+  }
+
+  // Every sticker role side by side; those the kit does not print are dimmed
+  const roles = Object.keys(STICKER_TYPES).filter(role => templates[role]);
+
+  // Figure width follows the printer's label size (see .label-preview-big/-small)
+  container.innerHTML = roles.map(role => `
+    <figure class="label-preview-item label-preview-${TEMPLATE_ROLES[role].printer}">
+      <canvas id="preview-canvas-${role}"></canvas>
+      <figcaption id="preview-caption-${role}"></figcaption>
+    </figure>
+  `).join('');
+
+  // Caption: sticker name and the label it prints on, e.g. "SMALL Fork 65x35mm"
+  const labelSizes = getTemplateLabelSizes();
+
+  roles.forEach(role => {
+    const name = `${STICKER_TYPES[role]} ${labelSizes[role]}`;
+    const canvas = document.getElementById(`preview-canvas-${role}`);
+    const caption = document.getElementById(`preview-caption-${role}`);
+
+    const zpl = batchGenerator.replaceVariables(templates[role], variables);
+    const [label] = labelRenderer.splitLabels(zpl);
+    if (!label) return;
+
+    const rendered = labelRenderer.renderLabel(label);
+    canvas.width = rendered.width;
+    canvas.height = rendered.height;
+    canvas.getContext('2d').drawImage(rendered, 0, 0);
+
+    const count = rules[role];
+    canvas.parentElement.classList.toggle('not-printed', count === 0);
+    if (caption) {
+      caption.textContent = count > 0 ? `${name} (×${count})` : `${name} (not printed)`;
+    }
+  });
+}
+
 function handleSearchEnter(query) {
   // Use existing match result if available
   const result = currentMatchResult || productSearch.searchExact(query);
@@ -590,11 +1427,9 @@ function handleSearchEnter(query) {
     const addedItem = cart.addToCart(match, kitType, quantity);
 
     if (addedItem) {
-      // Get product code for toast message
-      const productCode = match.C || match.D || match.E || 'Product';
       const kitInfo = Cart.getKitTypeInfo(kitType);
       const qtyText = quantity > 1 ? `${quantity}x ` : '';
-      showToast(`Added ${qtyText}${productCode} (${kitInfo.name}) to batch`, 'success');
+      showAddedToast(addedItem, `Added ${qtyText}${addedItem.productCode} (${kitInfo.name}) to batch`);
 
       // Check cart limit
       checkCartLimitWarning();
@@ -605,11 +1440,27 @@ function handleSearchEnter(query) {
     document.getElementById('search-results').innerHTML = '';
     clearQuantityField();
     currentMatchResult = null;
+    renderMatchChooser(null);
+  } else if (getSearchMode() === SEARCH_MODES.VEHICLE_NUMBER) {
+    showToast('Click a kit code of the vehicle to select it', 'info');
   } else {
     showToast('No exact match found', 'error');
   }
 }
 
+/**
+ * Confirm an added item, warning when the kit is not active
+ * @param {Object} item - Item returned by Cart.addToCart
+ * @param {string} message - Success message
+ */
+function showAddedToast(item, message) {
+  if (item.warning) {
+    showToast(`${message} - warning: ${item.warning}`, 'warning');
+  } else {
+    showToast(message, 'success');
+  }
+}
+
 function parseBulkPaste(text) {
   const lines = text.split('\n').filter(line => line.trim().length > 0);
   const parsed = [];
@@ -639,16 +1490,25 @@ function processBulkPaste() {
 
   const parsed = parseBulkPaste(text);
   const errors = [];
+  const warnings = [];
+  const ambiguous = [];
   let successCount = 0;
 
   parsed.forEach(item => {
     const result = productSearch.searchExact(item.productCode);
 
     if (result) {
-      const { match, kitType } = result;
+      const { match, kitType, matches } = result;
       const addedItem = cart.addToCart(match, kitType, item.quantity);
       if (addedItem) {
         successCount++;
+        if (addedItem.warning) {
+          warnings.push(`Line ${item.lineNum}: ${addedItem.warning}`);
+        }
+        if (matches.length > 1) {
+          ambiguous.push(`Line ${item.lineNum}: ${addedItem.productCode} matches ${matches.length} entries, ` +
+            `used ${DatasetDiff.describeRow(match)} (${Cart.getKitTypeInfo(kitType).name})`);
+        }
       } else {
         errors.push(`Line ${item.lineNum}: "${item.productCode}" could not be added (cart may be full)`);
       }
@@ -672,6 +1532,25 @@ function processBulkPaste() {
     resultHTML += `</ul>`;
   }
 
+  if (warnings.length > 0) {
+    resultHTML += `<div class="bulk-warning">⚠ ${warnings.length} added kit(s) not active:</div>`;
+    resultHTML += `<ul class="bulk-error-list">`;
+    warnings.forEach(warning => {
+      resultHTML += `<li>${SecurityUtils.escapeHtml(warning)}</li>`;
+    });
+    resultHTML += `</ul>`;
+  }
+
+  if (ambiguous.length > 0) {
+    resultHTML += `<div class="bulk-warning">⚠ ${ambiguous.length} code(s) match more than one vehicle or kit ` +
+      `(search the code to choose another one or print a merged label):</div>`;
+    resultHTML += `<ul class="bulk-error-list">`;
+    ambiguous.forEach(note => {
+      resultHTML += `<li>${SecurityUtils.escapeHtml(note)}</li>`;
+    });
+    resultHTML += `</ul>`;
+  }
+
   resultsDiv.innerHTML = resultHTML;
 
   // Clear textarea if all successful
@@ -708,6 +1587,33 @@ function showLoading(message) {
   main.prepend(loadingDiv);
 }
 
+/**
+ * Show database load progress as a bar inside the loading message
+ * @param {string} stage - ExcelParser progress stage (see LOADING_PROGRESS_STAGES)
+ * @param {number} fraction - Completed part of the stage (0-1)
+ */
+function showLoadingProgress(stage, fraction) {
+  const loadingDiv = document.getElementById('loading-indicator');
+  const range = LOADING_PROGRESS_STAGES[stage];
+  if (!loadingDiv || !range) return;
+
+  let bar = loadingDiv.querySelector('.loading-progress');
+  if (!bar) {
+    bar = document.createElement('div');
+    bar.className = 'loading-progress';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.innerHTML = '<div class="loading-progress-fill"></div><span class="loading-progress-label"></span>';
+    loadingDiv.appendChild(bar);
+  }
+
+  const percent = Math.round(range.from + (range.to - range.from) * fraction);
+  bar.setAttribute('aria-valuenow', String(percent));
+  bar.querySelector('.loading-progress-fill').style.width = `${percent}%`;
+  bar.querySelector('.loading-progress-label').textContent = `${range.label}... ${percent}%`;
+}
+
 function hideLoading() {
   const loading = document.getElementById('loading-indicator');
   if (loading) {
@@ -750,10 +1656,14 @@ function renderCartItems() {
 
     container.innerHTML = items.map(item => {
       const productCode = SecurityUtils.escapeHtml(item.productCode || 'N/A');
+      const statusBadge = item.warning
+        ? `<span class="status-badge status-${item.status}" title="${SecurityUtils.escapeHtml(item.warning)}">⚠</span>`
+        : '';
+      const stickers = StickerRules.describe(cart.getStickerRules(item.kitType, item.rowData));
 
       return `
         <div class="cart-item-simple" data-item-id="${item.id}">
-          <span class="cart-item-code">${productCode}</span>
+          <span class="cart-item-code" title="${SecurityUtils.escapeHtml(stickers)} per kit">${productCode} ${statusBadge}</span>
           <span class="cart-item-qty">Qty: ${item.quantity}</span>
           <button class="cart-item-remove" data-item-id="${item.id}" title="Remove">×</button>
         </div>
@@ -847,7 +1757,21 @@ function handleClearCart() {
   }
 }
 
-function handleDownloadBig() {
+/**
+ * Ask before generating labels when the batch holds discontinued or pending kits
+ * @returns {boolean} True to continue
+ */
+function confirmNonActiveItems() {
+  const nonActive = cart.getNonActiveItems();
+  if (nonActive.length === 0) return true;
+
+  const list = nonActive.map(item => `- ${item.warning || item.productCode}`).join('\n');
+  return confirm(`The batch contains ${nonActive.length} kit(s) that are not active:\n${list}\n\nGenerate labels anyway?`);
+}
+
+function handleDownloadBig(skipStatusCheck = false) {
+  if (!skipStatusCheck && !confirmNonActiveItems()) return;
+
   try {
     showLoading('Generating BIG stickers...');
     const items = cart.getItems();
@@ -858,7 +1782,7 @@ function handleDownloadBig() {
 
     BatchZBLGenerator.downloadFile(bigZpl, filename);
     hideLoading();
-    showToast(`Downloaded ${counts.big} BIG stickers`, 'success');
+    showToast(`Downloaded ${counts.totalBig} BIG stickers`, 'success');
   } catch (error) {
     console.error('Error generating BIG file:', error);
     hideLoading();
@@ -866,7 +1790,9 @@ function handleDownloadBig() {
   }
 }
 
-function handleDownloadSmall() {
+function handleDownloadSmall(skipStatusCheck = false) {
+  if (!skipStatusCheck && !confirmNonActiveItems()) return;
+
   try {
     showLoading('Generating SMALL stickers...');
     const items = cart.getItems();
@@ -885,7 +1811,9 @@ function handleDownloadSmall() {
   }
 }
 
-function handleDownloadBoth() {
+function handleDownloadBoth(skipStatusCheck = false) {
+  if (!skipStatusCheck && !confirmNonActiveItems()) return;
+
   try {
     showLoading('Generating both files...');
     const items = cart.getItems();
@@ -900,7 +1828,7 @@ function handleDownloadBoth() {
     setTimeout(() => {
       BatchZBLGenerator.downloadFile(smallZpl, `job_${timestamp}_SMALL.zpl`);
       hideLoading();
-      showToast(`Downloaded ${counts.big} BIG + ${counts.totalSmall} SMALL stickers`, 'success');
+      showToast(`Downloaded ${counts.totalBig} BIG + ${counts.totalSmall} SMALL stickers`, 'success');
     }, 500);
   } catch (error) {
     console.error('Error generating files:', error);
@@ -912,6 +1840,8 @@ function handleDownloadBoth() {
 // ============ PRINT MANAGEMENT FUNCTIONS ============
 
 async function handlePrintBig() {
+  if (!confirmNonActiveItems()) return;
+
   try {
     if (!printRouter || !printRouter.canPrintBig()) {
       showToast('Big printer not configured. Use Settings to configure.', 'error');
@@ -924,7 +1854,7 @@ async function handlePrintBig() {
 
     await printRouter.printBig(bigZpl);
     hideLoading();
-    showToast(`Printed ${counts.big} BIG stickers`, 'success');
+    showToast(`Printed ${counts.totalBig} BIG stickers`, 'success');
 
   } catch (error) {
     console.error('Print error:', error);
@@ -932,11 +1862,13 @@ async function handlePrintBig() {
     showToast(`Print failed: ${error.message}. Falling back to download.`, 'error');
 
     // Fallback to download
-    setTimeout(() => handleDownloadBig(), 500);
+    setTimeout(() => handleDownloadBig(true), 500);
   }
 }
 
 async function handlePrintSmall() {
+  if (!confirmNonActiveItems()) return;
+
   try {
     if (!printRouter || !printRouter.canPrintSmall()) {
       showToast('Small printer not configured. Use Settings to configure.', 'error');
@@ -957,11 +1889,13 @@ async function handlePrintSmall() {
     showToast(`Print failed: ${error.message}. Falling back to download.`, 'error');
 
     // Fallback to download
-    setTimeout(() => handleDownloadSmall(), 500);
+    setTimeout(() => handleDownloadSmall(true), 500);
   }
 }
 
 async function handlePrintBoth() {
+  if (!confirmNonActiveItems()) return;
+
   try {
     if (!printRouter || !printRouter.canPrint()) {
       showToast('Both printers must be configured. Use Settings.', 'error');
@@ -974,7 +1908,7 @@ async function handlePrintBoth() {
 
     await printRouter.printBoth(bigZpl, smallZpl);
     hideLoading();
-    showToast(`Printed ${counts.big} BIG + ${counts.totalSmall} SMALL stickers`, 'success');
+    showToast(`Printed ${counts.totalBig} BIG + ${counts.totalSmall} SMALL stickers`, 'success');
 
   } catch (error) {
     console.error('Print error:', error);
@@ -982,7 +1916,7 @@ async function handlePrintBoth() {
     showToast(`Print failed: ${error.message}. Falling back to download.`, 'error');
 
     // Fallback to download both
-    setTimeout(() => handleDownloadBoth(), 500);
+    setTimeout(() => handleDownloadBoth(true), 500);
   }
 }
 
@@ -1006,7 +1940,7 @@ async function handlePdfBig() {
     devLog('App', 'Generating batch ZPL...');
     const { bigZpl, counts } = batchGenerator.generateBatch(items);
     devLog('App', 'Generated ZPL for BIG labels', {
-      'Label Count': counts.big,
+      'Label Count': counts.totalBig,
       'ZPL Length': `${bigZpl.length} characters`
     });
 
@@ -1070,6 +2004,18 @@ async function handlePdfSmall() {
   }
 }
 
+/**
+ * Count and print with the sticker rules saved in Settings
+ */
+window.onStickerRulesChanged = function() {
+  stickerRules.setConfig(settingsStorage.getStickerRules());
+  updateCartUI();
+
+  if (currentRowData) {
+    renderLabelPreview(currentRowData, currentKitType);
+  }
+};
+
 // Callback for when printer settings are saved
 window.onPrinterSettingsChanged = function() {
   // Update button states when printer configuration changes
@@ -1098,10 +2044,85 @@ function checkExactMatchAndSetQuantity(query) {
   if (result) {
     currentMatchResult = result;
     setQuantityValue(1);
+    displayPreview(result.match, result.kitType);
   } else {
     currentMatchResult = null;
     clearQuantityField();
   }
+
+  renderMatchChooser(result, query);
+}
+
+/**
+ * Let the operator choose between the rows sharing a code, or merge their vehicles on one label
+ * Hidden when the code matches a single row and kit type.
+ * @param {Object|null} result - Result of ProductSearch.searchExact()
+ * @param {string} code - Searched code
+ */
+function renderMatchChooser(result, code = '') {
+  const chooser = document.getElementById('match-chooser');
+  if (!chooser) return;
+
+  if (!result || result.matches.length < 2) {
+    chooser.style.display = 'none';
+    chooser.innerHTML = '';
+    return;
+  }
+
+  const escape = SecurityUtils.escapeHtml;
+  const matches = result.matches;
+
+  // Only vehicles using the code for the same kit can share a label
+  const sameKit = matches.filter(({ kitType }) => kitType === matches[0].kitType);
+  const mergeable = new Set(sameKit.map(({ match }) => match)).size > 1;
+
+  const options = matches.map(({ match, kitType }, index) => `
+    <label class="match-option">
+      <input type="radio" name="match-choice" value="${index}" ${index === 0 ? 'checked' : ''}>
+      ${escape(DatasetDiff.describeRow(match))} · ${escape(Cart.getKitTypeInfo(kitType).name)}
+      ${renderStatusBadges(match)}
+    </label>
+  `).join('');
+
+  chooser.innerHTML = `
+    <p class="match-chooser-title">⚠ ${escape(code.trim().toUpperCase())} matches ${matches.length} entries. Choose the one for the label:</p>
+    ${options}
+    ${mergeable ? `
+      <label class="match-option">
+        <input type="radio" name="match-choice" value="merged">
+        All ${sameKit.length} vehicles on one label (${escape(Cart.getKitTypeInfo(sameKit[0].kitType).name)})
+      </label>
+    ` : ''}
+    <p class="match-chooser-note"></p>
+  `;
+  chooser.style.display = 'block';
+
+  chooser.querySelectorAll('input[name="match-choice"]').forEach(input => {
+    input.addEventListener('change', () => {
+      try {
+        const note = chooser.querySelector('.match-chooser-note');
+        note.textContent = '';
+
+        if (input.value === 'merged') {
+          currentMatchResult = ProductSearch.mergeMatches(sameKit);
+          if (currentMatchResult.conflicts.length > 0) {
+            note.textContent = 'Settings differ between these vehicles: ' +
+              currentMatchResult.conflicts.map(field => ColumnMapping.getLabel(field)).join(', ') +
+              `. The label uses the values of ${DatasetDiff.describeRow(sameKit[0].match)}.`;
+          }
+        } else {
+          currentMatchResult = { ...matches[parseInt(input.value, 10)], matches };
+        }
+
+        displayPreview(currentMatchResult.match, currentMatchResult.kitType);
+      } catch (error) {
+        ErrorHandler.logError(error, 'EventListener:match-choice', {
+          category: 'EVENT_ERROR',
+          userMessage: 'Failed to select the entry. Please try again.'
+        });
+      }
+    });
+  });
 }
 
 /**
@@ -1155,18 +2176,19 @@ function handleQuantityEnter() {
     const { match, kitType } = currentMatchResult;
 
     // Add to cart with specified quantity
-    cart.addToCart(match, kitType, quantity);
+    const addedItem = cart.addToCart(match, kitType, quantity);
 
-    // Get product code for toast message
-    const productCode = match.C || match.D || match.E || 'Product';
-    const kitInfo = Cart.getKitTypeInfo(kitType);
-    showToast(`Added ${quantity}x ${productCode} (${kitInfo.name}) to batch`, 'success');
+    if (addedItem) {
+      const kitInfo = Cart.getKitTypeInfo(kitType);
+      showAddedToast(addedItem, `Added ${quantity}x ${addedItem.productCode} (${kitInfo.name}) to batch`);
+    }
 
     // Clear search and quantity
     document.getElementById('search-input').value = '';
     document.getElementById('search-results').innerHTML = '';
     clearQuantityField();
     currentMatchResult = null;
+    renderMatchChooser(null);
 
     // Focus back to search input
     document.getElementById('search-input').focus();
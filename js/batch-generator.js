@@ -9,14 +9,21 @@ class BatchZBLGenerator {
      * @param {string} templates.big - BIG sticker template (zbl-dynamic.txt)
      * @param {string} templates.smallFork - SMALL Fork sticker template
      * @param {string} templates.smallShock - SMALL Shock sticker template
+     * @param {StickerRules} [stickerRules] - Stickers per kit, shared with the cart
      */
-    constructor(templates) {
+    constructor(templates, stickerRules = new StickerRules()) {
         this.templates = templates;
-        this.stickerRules = {
-            fork: { big: 1, smallFork: 2, smallShock: 0 },
-            shock: { big: 1, smallFork: 0, smallShock: 1 },
-            combi: { big: 1, smallFork: 2, smallShock: 1 }
-        };
+        this.labelVariables = new LabelVariables(templates);
+        this.stickerRules = stickerRules;
+    }
+
+    /**
+     * Print with other templates (e.g. after a version was activated in the template library)
+     * @param {Object} templates - Template strings keyed by role (big, smallFork, smallShock)
+     */
+    updateTemplates(templates) {
+        this.templates = templates;
+        this.labelVariables.setTemplates(templates);
     }
 
     /**
@@ -27,11 +34,10 @@ class BatchZBLGenerator {
     generateBatch(cartItems) {
         const bigStickers = [];
         const smallStickers = [];
-        let counts = {
-            big: 0,
-            smallFork: 0,
-            smallShock: 0
-        };
+        const counts = {};
+        Object.keys(STICKER_TYPES).forEach(type => {
+            counts[type] = 0;
+        });
 
         // Process each cart item
         cartItems.forEach(item => {
@@ -44,9 +50,9 @@ class BatchZBLGenerator {
             bigStickers.push(...bigZpl);
             smallStickers.push(...smallZpl);
 
-            counts.big += itemCounts.big;
-            counts.smallFork += itemCounts.smallFork;
-            counts.smallShock += itemCounts.smallShock;
+            Object.keys(counts).forEach(type => {
+                counts[type] += itemCounts[type];
+            });
         });
 
         // Combine all stickers into final ZPL strings
@@ -58,112 +64,55 @@ class BatchZBLGenerator {
             smallZpl,
             counts: {
                 ...counts,
-                totalSmall: counts.smallFork + counts.smallShock,
-                grandTotal: counts.big + counts.smallFork + counts.smallShock
+                totalBig: bigStickers.length,
+                totalSmall: smallStickers.length,
+                grandTotal: bigStickers.length + smallStickers.length
             }
         };
     }
 
     /**
      * Generate stickers for a single cart item based on kit type
-     * @param {string} kitType - 'fork', 'shock', or 'combi'
+     * @param {string} kitType - Kit type id (see KIT_TYPES)
      * @param {Object} rowData - Product data
      * @param {number} quantity - Number of kits
      * @returns {Object} { bigZpl: Array, smallZpl: Array, itemCounts }
      */
     generateStickerSet(kitType, rowData, quantity) {
-        const rules = this.stickerRules[kitType];
+        const rules = this.stickerRules.getRules(kitType, rowData);
         const bigZpl = [];
         const smallZpl = [];
+        const itemCounts = {};
 
         // Prepare variables once for this item
         const variables = this.prepareVariables(rowData);
+        const roles = Object.keys(STICKER_TYPES);
 
-        // Generate stickers for each kit quantity
+        // Generate stickers for each kit quantity, in sticker type order (BIG, SMALL Fork, SMALL Shock)
         for (let i = 0; i < quantity; i++) {
-            // Generate BIG stickers
-            for (let b = 0; b < rules.big; b++) {
-                const zpl = this.replaceVariables(this.templates.big, variables);
-                bigZpl.push(zpl);
-            }
-
-            // Generate SMALL Fork stickers
-            for (let f = 0; f < rules.smallFork; f++) {
-                const zpl = this.replaceVariables(this.templates.smallFork, variables);
-                smallZpl.push(zpl);
-            }
-
-            // Generate SMALL Shock stickers
-            for (let s = 0; s < rules.smallShock; s++) {
-                const zpl = this.replaceVariables(this.templates.smallShock, variables);
-                smallZpl.push(zpl);
-            }
+            roles.forEach(role => {
+                // Each template goes to the printer of its role
+                const output = TEMPLATE_ROLES[role].printer === 'big' ? bigZpl : smallZpl;
+                for (let s = 0; s < rules[role]; s++) {
+                    output.push(this.replaceVariables(this.templates[role], variables));
+                }
+            });
         }
 
-        return {
-            bigZpl,
-            smallZpl,
-            itemCounts: {
-                big: rules.big * quantity,
-                smallFork: rules.smallFork * quantity,
-                smallShock: rules.smallShock * quantity
-            }
-        };
+        roles.forEach(role => {
+            itemCounts[role] = rules[role] * quantity;
+        });
+
+        return { bigZpl, smallZpl, itemCounts };
     }
 
     /**
-     * Prepare variables from row data
+     * Prepare variables from row data (see LabelVariables)
      * @param {Object} rowData - Product data
      * @returns {Object} Variables object
      */
     prepareVariables(rowData) {
-        // Prepare raw variables (before sanitization)
-        const vars = {
-            BRAND_NAME: rowData.F || 'N/A',
-            MODEL_TYPE: rowData.G || 'N/A',
-            YEAR: rowData.H || 'N/A',
-            FORK_SPRING: rowData.I || 'N/A',
-            SHOCK_SPRING: rowData.Q || 'N/A',
-            FORKCODE: rowData.C || 'NONE',
-            SHOCKCODE: rowData.D || 'NONE',
-            COMBICODE: rowData.E || 'NONE',
-            OIL_TYPE: rowData.J || 'N/A',
-            OIL_LEVEL: rowData.K || 'N/A',
-            FORK_PRELOAD: rowData.L || 'N/A',
-            SHOCK_PRELOAD: rowData.R || 'N/A',
-            FORK_SAG: rowData.M || 'N/A',
-            SHOCK_SAG: rowData.S || 'N/A',
-            FORK_COMPRESSION: rowData.N || 'N/A',
-            SHOCK_COMPRESSION: rowData.T || 'N/A'
-        };
-
-        // Combine notes field BEFORE sanitization
-        vars.NOTES = this.combineNotes(rowData.P, rowData.V);
-
-        // CRITICAL: Calculate font sizes BEFORE sanitization
-        // (escaping characters changes string length)
-        vars.BRAND_FONT_SIZE = this.calculateBrandFontSize(vars.BRAND_NAME);
-        vars.MODEL_FONT_SIZE = this.calculateModelFontSize(vars.MODEL_TYPE);
-        vars.KIT_FONT_SIZE = this.calculateKitFontSize(vars);
-        vars.BRAND_FONT_SIZE_SMALL = this.calculateBrandFontSizeSmall(vars.BRAND_NAME);
-        vars.MODEL_FONT_SIZE_SMALL = this.calculateModelFontSizeSmall(vars.MODEL_TYPE);
-        vars.NOTES_FONT_SIZE = this.calculateNotesFontSize(vars.NOTES);
-
-        // Sanitize all text fields for ZPL injection protection
-        const textFields = [
-            'BRAND_NAME', 'MODEL_TYPE', 'YEAR', 'FORK_SPRING', 'SHOCK_SPRING',
-            'FORKCODE', 'SHOCKCODE', 'COMBICODE', 'OIL_TYPE', 'OIL_LEVEL',
-            'FORK_PRELOAD', 'SHOCK_PRELOAD', 'FORK_SAG', 'SHOCK_SAG',
-            'FORK_COMPRESSION', 'SHOCK_COMPRESSION', 'NOTES'
-        ];
-
-        textFields.forEach(field => {
-            if (vars[field]) {
-                vars[field] = SecurityUtils.escapeZpl(vars[field]);
-            }
-        });
-
-        return vars;
+        return this.labelVariables.prepare(rowData);
     }
 
     /**
@@ -173,86 +122,7 @@ class BatchZBLGenerator {
      * @returns {string} ZPL with substituted values
      */
     replaceVariables(template, variables) {
-        let zpl = template;
-
-        Object.entries(variables).forEach(([key, value]) => {
-            const regex = new RegExp(`\\{${key}\\}`, 'g');
-            zpl = zpl.replace(regex, value);
-        });
-
-        return zpl;
-    }
-
-    // Font size calculation methods (copied from ZBLGenerator for consistency)
-    calculateBrandFontSize(text) {
-        const len = text.length;
-        if (len <= 25) return 50;
-        if (len <= 40) return 40;
-        if (len <= 60) return 35;
-        if (len <= 80) return 30;
-        return 25;
-    }
-
-    calculateModelFontSize(text) {
-        const len = text.length;
-        if (len <= 25) return 50;
-        if (len <= 40) return 40;
-        if (len <= 60) return 32;
-        if (len <= 80) return 26;
-        if (len <= 100) return 22;
-        if (len <= 130) return 20;
-        return 18;
-    }
-
-    calculateBrandFontSizeSmall(text) {
-        const len = text.length;
-        if (len <= 20) return 35;
-        if (len <= 30) return 30;
-        if (len <= 50) return 25;
-        if (len <= 70) return 22;
-        return 18;
-    }
-
-    calculateModelFontSizeSmall(text) {
-        const len = text.length;
-        if (len <= 20) return 35;
-        if (len <= 30) return 30;
-        if (len <= 50) return 24;
-        if (len <= 70) return 20;
-        if (len <= 90) return 18;
-        if (len <= 120) return 16;
-        return 14;
-    }
-
-    calculateKitFontSize(vars) {
-        const kitLine = `FORKKIT: ${vars.FORKCODE} --- SHOCKKIT: ${vars.SHOCKCODE} --- COMBIKIT: ${vars.COMBICODE}`;
-        const len = kitLine.length;
-        if (len <= 40) return 28;
-        if (len <= 60) return 26;
-        if (len <= 80) return 24;
-        if (len <= 100) return 22;
-        if (len <= 120) return 20;
-        return 18;
-    }
-
-    calculateNotesFontSize(text) {
-        const len = text.length;
-        if (len <= 80) return 26;
-        if (len <= 120) return 24;
-        if (len <= 160) return 22;
-        if (len <= 200) return 20;
-        if (len <= 250) return 18;
-        return 16;
-    }
-
-    combineNotes(forkInfo, rearInfo) {
-        const f = (forkInfo || '').toString().trim();
-        const r = (rearInfo || '').toString().trim();
-
-        if (f && r) return `F: ${f} / R: ${r}`;
-        if (f) return `F: ${f}`;
-        if (r) return `R: ${r}`;
-        return '';
+        return LabelVariables.replace(template, variables);
     }
 
     /**
@@ -8,18 +8,15 @@ const CART_CONFIG = {
     MAX_ITEMS: 500,                // Cart size limit
     MAX_ID: 999999,                // ID reset threshold
     STORAGE_KEY: 'hyperpro_cart',  // localStorage key
-    STORAGE_VERSION: 1             // Schema version
-};
-
-// Kit type sticker rules
-const STICKER_RULES = {
-    fork: { big: 1, smallFork: 2, smallShock: 0 },    // 3 total per kit
-    shock: { big: 1, smallFork: 0, smallShock: 1 },   // 2 total per kit
-    combi: { big: 1, smallFork: 2, smallShock: 1 }    // 4 total per kit
+    STORAGE_VERSION: 2             // Schema version (2: rows keyed by field name)
 };
 
 class Cart {
-    constructor() {
+    /**
+     * @param {StickerRules} [stickerRules] - Stickers per kit, shared with BatchZBLGenerator
+     */
+    constructor(stickerRules = new StickerRules()) {
+        this.stickerRules = stickerRules;
         this.items = [];
         this.nextId = 1;
         this.listeners = [];
@@ -29,7 +26,7 @@ class Cart {
     /**
      * Add item to cart
      * @param {Object} rowData - Product data from CSV
-     * @param {string} kitType - 'fork', 'shock', or 'combi'
+     * @param {string} kitType - Kit type id (see KIT_TYPES)
      * @param {number} quantity - Number of kits
      * @returns {Object} The added cart item or null if validation fails
      */
@@ -63,7 +60,7 @@ class Cart {
                     {
                         category: 'VALIDATION_ERROR',
                         kitType,
-                        userMessage: `Invalid kit type: ${kitType}. Must be fork, shock, or combi.`
+                        userMessage: `Invalid kit type: ${kitType}. Must be one of: ${KitTypes.getIds().join(', ')}.`
                     }
                 );
             } else {
@@ -108,15 +105,11 @@ class Cart {
         // Issue #4: Deep clone rowData to prevent mutation
         const clonedRowData = SecurityUtils.deepClone(rowData);
 
-        // Determine product code based on kit type
-        let productCode = 'N/A';
-        if (kitType === 'fork') {
-            productCode = clonedRowData.C || 'N/A';
-        } else if (kitType === 'shock') {
-            productCode = clonedRowData.D || 'N/A';
-        } else if (kitType === 'combi') {
-            productCode = clonedRowData.E || 'N/A';
-        }
+        // Product code from the kit type's code column
+        const productCode = KitTypes.getKitCode(kitType, clonedRowData) || 'N/A';
+
+        // Discontinued or pending kits can still be printed, but the caller should warn
+        const statusInfo = ProductStatus.forRow(clonedRowData);
 
         // Create item with cloned data
         const item = {
@@ -125,10 +118,16 @@ class Cart {
             kitType: kitType,
             quantity: finalQuantity,
             productCode: productCode,
-            productName: `${clonedRowData.F || ''} ${clonedRowData.G || ''}`.trim() || 'N/A',
+            productName: `${clonedRowData.BRAND_NAME || ''} ${clonedRowData.MODEL_TYPE || ''}`.trim() || 'N/A',
+            status: statusInfo.status,
             timestamp: Date.now()
         };
 
+        if (statusInfo.status !== PRODUCT_STATUS.ACTIVE) {
+            item.warning = Cart.getStatusWarning(productCode, statusInfo);
+            console.warn(`[Cart] ${item.warning}`);
+        }
+
         this.items.push(item);
 
         // Issue #8: Save to localStorage
@@ -219,20 +218,20 @@ class Cart {
      * @returns {Object} Breakdown of stickers { big, smallFork, smallShock, total }
      */
     calculateItemStickers(item) {
-        // Validate kit type and fallback to 'fork' if invalid
+        // Validate kit type and fallback to the first registered type if invalid
         let kitType = item.kitType;
         if (!SecurityUtils.validateKitType(kitType)) {
-            console.warn(`Invalid kit type '${kitType}', defaulting to fork`);
-            kitType = 'fork';
+            kitType = KitTypes.getOrDefault(kitType).id;
+            console.warn(`Invalid kit type '${item.kitType}', defaulting to ${kitType}`);
         }
 
-        const rules = STICKER_RULES[kitType];
-        return {
-            big: rules.big * item.quantity,
-            smallFork: rules.smallFork * item.quantity,
-            smallShock: rules.smallShock * item.quantity,
-            total: (rules.big + rules.smallFork + rules.smallShock) * item.quantity
-        };
+        const rules = this.stickerRules.getRules(kitType, item.rowData);
+        const stickers = { total: 0 };
+        Object.keys(STICKER_TYPES).forEach(type => {
+            stickers[type] = rules[type] * item.quantity;
+            stickers.total += stickers[type];
+        });
+        return stickers;
     }
 
     /**
@@ -240,52 +239,66 @@ class Cart {
      * @returns {Object} Summary { totalItems, totalJobs, totalBig, totalSmallFork, totalSmallShock, totalSmall, grandTotal }
      */
     getCartSummary() {
-        let totalBig = 0;
-        let totalSmallFork = 0;
-        let totalSmallShock = 0;
+        const totals = {};
+        Object.keys(STICKER_TYPES).forEach(type => {
+            totals[type] = 0;
+        });
 
         this.items.forEach(item => {
             const stickers = this.calculateItemStickers(item);
-            totalBig += stickers.big;
-            totalSmallFork += stickers.smallFork;
-            totalSmallShock += stickers.smallShock;
+            Object.keys(totals).forEach(type => {
+                totals[type] += stickers[type];
+            });
         });
 
+        // BIG and SMALL totals follow the printer each sticker template is printed on
+        const totalOn = printer => Object.keys(totals)
+            .filter(type => TEMPLATE_ROLES[type].printer === printer)
+            .reduce((sum, type) => sum + totals[type], 0);
+        const totalBig = totalOn('big');
+        const totalSmall = totalOn('small');
+
         return {
             totalItems: this.items.length,
             totalJobs: this.getTotalJobs(),
             totalBig: totalBig,
-            totalSmallFork: totalSmallFork,
-            totalSmallShock: totalSmallShock,
-            totalSmall: totalSmallFork + totalSmallShock,
-            grandTotal: totalBig + totalSmallFork + totalSmallShock
+            totalSmallFork: totals.smallFork,
+            totalSmallShock: totals.smallShock,
+            totalSmall: totalSmall,
+            grandTotal: totalBig + totalSmall
         };
     }
 
     /**
      * Get kit type display information
-     * @param {string} kitType - Kit type
-     * @returns {Object} Display info { name, color, description }
+     * @param {string} kitType - Kit type id (unknown types get the first registered type)
+     * @returns {Object} Display info { name, color, description } - description of the default stickers
      */
     static getKitTypeInfo(kitType) {
-        const info = {
-            fork: {
-                name: 'Fork Kit',
-                color: 'blue',
-                description: '1 BIG + 2 SMALL Fork'
-            },
-            shock: {
-                name: 'Shock Kit',
-                color: 'orange',
-                description: '1 BIG + 1 SMALL Shock'
-            },
-            combi: {
-                name: 'Combi Kit',
-                color: 'purple',
-                description: '1 BIG + 2 SMALL Fork + 1 SMALL Shock'
-            }
+        const type = KitTypes.getOrDefault(kitType);
+        return {
+            name: type.name,
+            color: type.color,
+            description: StickerRules.describe(StickerRules.normalizeRule(type.stickers))
         };
-        return info[kitType] || info.fork;
+    }
+
+    /**
+     * Warning text for a kit that is not active
+     * @param {string} productCode - Kit code
+     * @param {Object} statusInfo - Result of ProductStatus.classify()
+     * @returns {string} Warning message
+     */
+    static getStatusWarning(productCode, statusInfo) {
+        return `${productCode} is ${statusInfo.label.toLowerCase()} (STATUS "${statusInfo.code}")`;
+    }
+
+    /**
+     * Get items whose kit is not active
+     * @returns {Array<Object>} Items with a status warning
+     */
+    getNonActiveItems() {
+        return this.items.filter(item => item.status && item.status !== PRODUCT_STATUS.ACTIVE);
     }
 
     /**
@@ -328,12 +341,13 @@ class Cart {
     }
 
     /**
-     * Get sticker rules for a kit type
+     * Get the stickers one kit prints (product override, else the kit type's rule)
      * @param {string} kitType - Kit type
-     * @returns {Object} Sticker rules
+     * @param {Object} [rowData] - Product data
+     * @returns {Object} Sticker rules { big, smallFork, smallShock }
      */
-    static getStickerRules(kitType) {
-        return STICKER_RULES[kitType] || STICKER_RULES.fork;
+    getStickerRules(kitType, rowData) {
+        return this.stickerRules.getRules(kitType, rowData);
     }
 
     // ============ LOCALSTORAGE METHODS ============
@@ -454,5 +468,5 @@ class Cart {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Cart, STICKER_RULES };
+    module.exports = { Cart };
 }
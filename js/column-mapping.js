@@ -0,0 +1,196 @@
+/**
+ * Column Mapping
+ * Resolves spreadsheet header names to the field names used throughout the app,
+ * so added or reordered columns in the importers sheet no longer shift the data.
+ */
+
+// How a column's cells are read: text as shown in the sheet (keeps leading zeros and
+// decimal commas), real dates, or numbers
+const COLUMN_TYPES = {
+    TEXT: 'text',
+    DATE: 'date',
+    NUMBER: 'number'
+};
+
+// Every known field, in the order of the MANUALINFO FOR IMPORTERS sheet (type defaults to text);
+// the kit code columns come from the kit type registry (KIT_TYPES)
+const COLUMN_FIELDS = [
+    { field: 'DATE_CHANGE', label: 'Date Change', header: 'date change', type: COLUMN_TYPES.DATE },
+    { field: 'STATUS', label: 'Status', header: 'STATUS' },
+    ...KitTypes.getColumnFields(),
+    { field: 'BRAND_NAME', label: 'Brand Name', header: 'MERK', required: true },
+    { field: 'MODEL_TYPE', label: 'Model Type', header: 'TYPE', required: true },
+    { field: 'YEAR', label: 'Year', header: 'Year' },
+    { field: 'FORK_SPRING', label: 'Fork Spring', header: 'FORK HYPERPRO NR' },
+    { field: 'OIL_TYPE', label: 'Oil Type', header: 'FORK HYPERPRO OIL' },
+    { field: 'OIL_LEVEL', label: 'Oil Level', header: 'OILLEVEL' },
+    { field: 'FORK_PRELOAD', label: 'Fork Preload', header: 'FORK SPRING PRELOAD' },
+    { field: 'FORK_SAG', label: 'Fork Sag', header: 'FORK STATIC SAG' },
+    { field: 'FORK_COMPRESSION', label: 'Fork Compression', header: 'FORK COMPRESION' },
+    { field: 'FORK_REBOUND', label: 'Fork Rebound', header: 'FORK REBOUND' },
+    { field: 'FORK_EXTRA_INFO', label: 'Fork Extra Info', header: 'FORK EXTRA INFO' },
+    { field: 'SHOCK_SPRING', label: 'Shock Spring', header: 'REAR HYPERPRO NR' },
+    { field: 'SHOCK_PRELOAD', label: 'Shock Preload', header: 'REAR SPRING PRELOAD' },
+    { field: 'SHOCK_SAG', label: 'Shock Sag', header: 'REAR STATIC SAG' },
+    { field: 'SHOCK_COMPRESSION', label: 'Shock Compression', header: 'REAR COMPRESION' },
+    { field: 'SHOCK_REBOUND', label: 'Shock Rebound', header: 'REAR REBOUND' },
+    { field: 'SHOCK_EXTRA_INFO', label: 'Rear Extra Info', header: 'REAR EXTRA INFO' },
+    { field: 'PRODUCT_EXTRA_INFO', label: 'Product Extra Info', header: 'PROD_EXTRA_INF' },
+    { field: 'CHASSIS_NUMBER', label: 'Chassis Number', header: 'chassis nummer' },
+    { field: 'EU_NUMBER', label: 'EU Number', header: 'eu nummer' }
+];
+
+class ColumnMapping {
+    /**
+     * Default mapping profile (field -> header name)
+     * @returns {Object} Profile
+     */
+    static getDefaultProfile() {
+        const profile = {};
+        COLUMN_FIELDS.forEach(({ field, header }) => {
+            profile[field] = header;
+        });
+        return profile;
+    }
+
+    /**
+     * Default column types (field -> type)
+     * @returns {Object} Types
+     */
+    static getDefaultTypes() {
+        const types = {};
+        COLUMN_FIELDS.forEach(({ field, type }) => {
+            types[field] = type || COLUMN_TYPES.TEXT;
+        });
+        return types;
+    }
+
+    /**
+     * Column type per sheet column, for the columns resolved to a field
+     * @param {Object} columns - Field -> column index (from resolve)
+     * @param {Object} typeOverrides - Field -> type (missing fields use the default)
+     * @returns {Object} Column index -> type
+     */
+    static resolveTypes(columns, typeOverrides = {}) {
+        const types = { ...this.getDefaultTypes(), ...typeOverrides };
+        const byColumn = {};
+        Object.entries(columns).forEach(([field, index]) => {
+            byColumn[index] = types[field];
+        });
+        return byColumn;
+    }
+
+    /**
+     * Get field definitions
+     * @returns {Array<Object>} Copies of the field definitions
+     */
+    static getFields() {
+        return COLUMN_FIELDS.map(definition => ({ ...definition }));
+    }
+
+    /**
+     * Get display label for a field
+     * @param {string} field - Field name
+     * @returns {string} Label, or the field name when unknown
+     */
+    static getLabel(field) {
+        const definition = COLUMN_FIELDS.find(d => d.field === field);
+        return definition ? definition.label : field;
+    }
+
+    /**
+     * Normalise a header for comparison (case, surrounding and repeated whitespace)
+     * @param {*} header - Header cell value
+     * @returns {string} Normalised header
+     */
+    static normalizeHeader(header) {
+        return String(header == null ? '' : header).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Resolve a header row against a mapping profile
+     * @param {Array} headers - Header row cells
+     * @param {Object} profile - Field -> header name (missing fields use the default)
+     * @returns {Object} { columns: { field: index }, missing: [field], unmapped: [header] }
+     */
+    static resolve(headers, profile = {}) {
+        const fullProfile = { ...this.getDefaultProfile(), ...profile };
+        const headerIndex = new Map();
+
+        headers.forEach((header, index) => {
+            const key = this.normalizeHeader(header);
+            if (key && !headerIndex.has(key)) {
+                headerIndex.set(key, index);
+            }
+        });
+
+        const columns = {};
+        const missing = [];
+        const used = new Set();
+
+        COLUMN_FIELDS.forEach(({ field, required }) => {
+            const key = this.normalizeHeader(fullProfile[field]);
+            if (key && headerIndex.has(key)) {
+                columns[field] = headerIndex.get(key);
+                used.add(headerIndex.get(key));
+            } else if (required) {
+                missing.push(field);
+            }
+        });
+
+        const unmapped = headers
+            .filter((header, index) => !used.has(index) && this.normalizeHeader(header))
+            .map(header => String(header).trim());
+
+        return { columns, missing, unmapped };
+    }
+
+    /**
+     * Build a row object keyed by field name
+     * @param {Array} cells - Row cells
+     * @param {Object} columns - Field -> column index (from resolve)
+     * @returns {Object} Row with every known field ('' when absent)
+     */
+    static mapRow(cells, columns) {
+        const row = {};
+        COLUMN_FIELDS.forEach(({ field }) => {
+            const index = columns[field];
+            const value = index === undefined ? undefined : cells[index];
+            row[field] = value !== undefined && value !== null ? value : '';
+        });
+        return row;
+    }
+
+    /**
+     * Validate stored column types
+     * @param {*} types - Candidate field -> type overrides
+     * @returns {boolean} True if every entry gives a known field a known type
+     */
+    static validateTypes(types) {
+        if (!types || typeof types !== 'object' || Array.isArray(types)) {
+            return false;
+        }
+        const known = new Set(COLUMN_FIELDS.map(d => d.field));
+        const valid = new Set(Object.values(COLUMN_TYPES));
+        return Object.entries(types).every(([field, type]) => known.has(field) && valid.has(type));
+    }
+
+    /**
+     * Validate a stored profile
+     * @param {*} profile - Candidate profile
+     * @returns {boolean} True if every entry maps a known field to a string
+     */
+    static validateProfile(profile) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            return false;
+        }
+        const known = new Set(COLUMN_FIELDS.map(d => d.field));
+        return Object.entries(profile).every(([field, header]) =>
+            known.has(field) && typeof header === 'string');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ColumnMapping, COLUMN_FIELDS, COLUMN_TYPES };
+}
@@ -0,0 +1,218 @@
+/**
+ * CSV Utilities
+ * Builds CSV text for reports and downloads it in a form Excel opens directly,
+ * and reads delimited product exports (CSV/TSV) for ExcelParser
+ */
+
+// Delimiters tried when reading a file, in order of preference on a tie
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Lines looked at to detect the delimiter
+const CSV_SNIFF_LINES = 20;
+
+// First characters that make Excel read a cell as a formula
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+// Signed numbers, optionally with a unit ("-5 mm", "+1,5 turns"), which are safe to write as they are
+const CSV_SIGNED_NUMBER = /^[+-]\d+(?:[.,]\d+)?(?:\s*[a-z%°"]+\.?)?$/i;
+
+class CsvUtils {
+    /**
+     * Quote a value when it contains the delimiter, quotes or line breaks, and prefix text Excel
+     * would run as a formula (=, +, -, @) with a quote
+     * @param {*} value - Cell value
+     * @param {string} delimiter - Field delimiter
+     * @returns {string} CSV-safe field
+     */
+    static escapeField(value, delimiter = ',') {
+        let text = value === null || value === undefined ? '' : String(value);
+
+        // Cell text comes from the spreadsheet; "=HYPERLINK(...)" must open as text, "-5 mm" as written
+        if (CSV_FORMULA_START.test(text) && !CSV_SIGNED_NUMBER.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Convert rows to CSV text
+     * @param {Array<Array>} rows - Rows of cell values (first row is usually the header)
+     * @param {string} delimiter - Field delimiter
+     * @returns {string} CSV text (CRLF line endings)
+     */
+    static stringify(rows, delimiter = ',') {
+        return rows
+            .map(row => row.map(value => this.escapeField(value, delimiter)).join(delimiter))
+            .join('\r\n');
+    }
+
+    /**
+     * Decode file contents, detecting the encoding:
+     * a byte order mark (UTF-8, UTF-16 LE/BE), UTF-16 without one (every other byte zero),
+     * otherwise UTF-8, falling back to Windows-1252 (Excel's "CSV" on Windows) when that fails
+     * @param {ArrayBuffer} arrayBuffer - File contents
+     * @returns {Object} { text, encoding } - text without the byte order mark
+     */
+    static decode(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const decode = (encoding, offset = 0, fatal = false) =>
+            new TextDecoder(encoding, { fatal }).decode(bytes.subarray(offset));
+
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: decode('utf-8', 3), encoding: 'utf-8' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: decode('utf-16le', 2), encoding: 'utf-16le' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: decode('utf-16be', 2), encoding: 'utf-16be' };
+        }
+
+        // ASCII text in UTF-16 has a zero in every other byte
+        const sample = bytes.subarray(0, 200);
+        const zerosAt = parity => sample.filter((byte, i) => i % 2 === parity && byte === 0).length;
+        if (sample.length >= 4 && zerosAt(1) > sample.length / 4 && zerosAt(0) === 0) {
+            return { text: decode('utf-16le'), encoding: 'utf-16le' };
+        }
+        if (sample.length >= 4 && zerosAt(0) > sample.length / 4 && zerosAt(1) === 0) {
+            return { text: decode('utf-16be'), encoding: 'utf-16be' };
+        }
+
+        try {
+            return { text: decode('utf-8', 0, true), encoding: 'utf-8' };
+        } catch (error) {
+            return { text: decode('windows-1252'), encoding: 'windows-1252' };
+        }
+    }
+
+    /**
+     * Split delimited text into rows of fields (RFC 4180): fields in double quotes may contain
+     * the delimiter, line breaks and doubled quotes ("2x SAE 7,5" stays one field)
+     * @param {string} text - Delimited text
+     * @param {string} delimiter - Field delimiter
+     * @param {number} maxRows - Stop after this many rows (for sniffing)
+     * @returns {Array<Array<string>>} Rows of fields; a trailing line break adds no row
+     */
+    static parse(text, delimiter = ',', maxRows = Infinity) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let i = 0;
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+        };
+        const endRow = () => {
+            endField();
+            rows.push(row);
+            row = [];
+        };
+
+        while (i < text.length && rows.length < maxRows) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\r' || char === '\n') {
+                endRow();
+                if (char === '\r' && text[i + 1] === '\n') i++;
+            } else {
+                field += char;
+            }
+            i++;
+        }
+
+        if (rows.length < maxRows && (field !== '' || row.length > 0)) {
+            endRow();
+        }
+
+        return rows;
+    }
+
+    /**
+     * Detect the delimiter of a file: the candidate that splits the first lines into
+     * the same number (more than one) of fields most often; an Excel "sep=" line wins
+     * @param {string} text - Delimited text
+     * @returns {string} Delimiter (',' when nothing fits better)
+     */
+    static detectDelimiter(text) {
+        const hint = /^sep=(.)\r?\n/i.exec(text);
+        if (hint) {
+            return hint[1];
+        }
+
+        let best = { delimiter: ',', score: 0 };
+        CSV_DELIMITERS.forEach(delimiter => {
+            const counts = this.parse(text, delimiter, CSV_SNIFF_LINES).map(fields => fields.length);
+            const score = counts[0] > 1 ? counts.filter(count => count === counts[0]).length : 0;
+            if (score > best.score) {
+                best = { delimiter, score };
+            }
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * Read a delimited export: encoding, delimiter and an Excel "sep=" line are detected
+     * @param {ArrayBuffer} arrayBuffer - File contents
+     * @returns {Object} { rows, delimiter, encoding } - rows of text fields
+     */
+    static read(arrayBuffer) {
+        const { text, encoding } = this.decode(arrayBuffer);
+        const delimiter = this.detectDelimiter(text);
+        const body = text.replace(/^sep=.\r?\n/i, '');
+
+        return { rows: this.parse(body, delimiter), delimiter, encoding };
+    }
+
+    /**
+     * Download CSV text as a file
+     * @param {string} content - CSV text
+     * @param {string} filename - File name
+     */
+    static download(content, filename) {
+        // BOM so Excel reads the file as UTF-8 (accented brand/model names)
+        const blob = new Blob(['\uFEFF' + content], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        try {
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            console.log(`✅ File downloaded: ${filename} (${content.length} bytes)`);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CsvUtils, CSV_DELIMITERS, CSV_SNIFF_LINES };
+}
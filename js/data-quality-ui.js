@@ -0,0 +1,238 @@
+/**
+ * Data Quality UI
+ * Dashboard of the SecurityUtils data-quality rules over every loaded row:
+ * issue counts per rule, drill-down to the offending rows and a CSV fix list
+ */
+
+// Rows rendered in the drill-down; the CSV export always contains everything
+const DATA_QUALITY_DISPLAY_LIMIT = 200;
+
+class DataQualityUI {
+    constructor() {
+        this.modalElement = null;
+        this.report = null;
+        this.selectedRuleId = null;
+        this.isOpen = false;
+    }
+
+    /**
+     * Initialize the dashboard modal
+     */
+    initialize() {
+        let modal = document.getElementById('data-quality-modal');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'data-quality-modal';
+            modal.className = 'modal-overlay';
+            modal.style.display = 'none';
+            document.body.appendChild(modal);
+        }
+
+        this.modalElement = modal;
+
+        // Close on backdrop click
+        this.modalElement.addEventListener('click', (e) => {
+            if (e.target === this.modalElement) {
+                this.close();
+            }
+        });
+
+        // Close on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show a report
+     * @param {Object} report - Result of SecurityUtils.validateDataset()
+     */
+    open(report) {
+        if (!this.modalElement) {
+            this.initialize();
+        }
+
+        this.report = report;
+        this.selectedRuleId = null;
+        this.render();
+        this.modalElement.style.display = 'flex';
+        this.isOpen = true;
+    }
+
+    /**
+     * Close the dashboard modal
+     */
+    close() {
+        if (this.modalElement) {
+            this.modalElement.style.display = 'none';
+        }
+        this.isOpen = false;
+    }
+
+    /**
+     * Render modal content
+     */
+    render() {
+        const report = this.report;
+        const escape = SecurityUtils.escapeHtml;
+        const selectedRule = report.rules.find(rule => rule.id === this.selectedRuleId) || null;
+
+        const ruleRows = report.rules.map(rule => `
+            <tr class="quality-rule ${rule.id === this.selectedRuleId ? 'selected' : ''} ${rule.issues.length === 0 ? 'quality-rule-ok' : ''}"
+                data-rule="${rule.id}">
+                <td><span class="quality-severity quality-${rule.severity}">${rule.severity}</span></td>
+                <td>
+                    <strong>${escape(rule.label)}</strong><br>
+                    <span class="hint">${escape(rule.description)}</span>
+                </td>
+                <td class="quality-count">${rule.issues.length}</td>
+            </tr>
+        `).join('');
+
+        this.modalElement.innerHTML = `
+            <div class="modal-panel modal-panel-wide">
+                <div class="modal-header">
+                    <h2>Data Quality</h2>
+                    <button class="modal-close" data-action="close">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <p class="diff-summary">
+                        ${report.checkedRows} rows checked:
+                        ${report.rowsWithIssues} rows with ${report.issueCount} issue(s).
+                        Rows with an <em>error</em> cannot be added to the batch.
+                        Click a rule to see its rows.
+                    </p>
+
+                    <table class="diff-table quality-rules">
+                        <thead>
+                            <tr><th>Severity</th><th>Rule</th><th>Rows</th></tr>
+                        </thead>
+                        <tbody>${ruleRows}</tbody>
+                    </table>
+
+                    ${selectedRule ? this.renderIssues(selectedRule) : ''}
+                </div>
+
+                <div class="modal-footer">
+                    <button class="btn-cancel" data-action="close">Close</button>
+                    ${selectedRule ? `
+                        <button class="btn-secondary" data-action="export-rule">Export "${escape(selectedRule.label)}"</button>
+                    ` : ''}
+                    <button class="btn-save" data-action="export">Export All Issues</button>
+                </div>
+            </div>
+        `;
+
+        this.modalElement.querySelectorAll('[data-action="close"]').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+        this.modalElement.querySelectorAll('.quality-rule').forEach(row => {
+            row.addEventListener('click', () => {
+                this.selectedRuleId = row.dataset.rule === this.selectedRuleId ? null : row.dataset.rule;
+                this.render();
+            });
+        });
+        this.modalElement.querySelector('[data-action="export"]')
+            .addEventListener('click', () => this.exportCsv(report.rules));
+
+        const exportRuleBtn = this.modalElement.querySelector('[data-action="export-rule"]');
+        if (exportRuleBtn) {
+            exportRuleBtn.addEventListener('click', () => this.exportCsv([selectedRule], selectedRule.id));
+        }
+    }
+
+    /**
+     * Drill-down table with the rows of one rule
+     * @param {Object} rule - Rule entry of the report
+     * @returns {string} HTML
+     */
+    renderIssues(rule) {
+        const escape = SecurityUtils.escapeHtml;
+
+        if (rule.issues.length === 0) {
+            return `<p class="hint">No rows break "${escape(rule.label)}".</p>`;
+        }
+
+        const rows = rule.issues.slice(0, DATA_QUALITY_DISPLAY_LIMIT).map(issue => `
+            <tr>
+                <td title="${escape(issue.row.SOURCE || '')}">${ExcelParser.getSheetRowNumber(issue.index, issue.row)}</td>
+                <td class="diff-key">${escape(DatasetDiff.rowKey(issue.row) || '-')}</td>
+                <td>${escape(DatasetDiff.describeRow(issue.row))}</td>
+                <td>${escape(issue.message)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <h3 class="quality-issues-title">${escape(rule.label)} (${rule.issues.length})</h3>
+            <table class="diff-table">
+                <thead>
+                    <tr><th>Sheet Row</th><th>Kit Codes</th><th>Vehicle</th><th>Problem</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${rule.issues.length > DATA_QUALITY_DISPLAY_LIMIT ? `
+                <p class="hint">Showing ${DATA_QUALITY_DISPLAY_LIMIT} of ${rule.issues.length}. Export CSV for the full list.</p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Flatten rule issues into a fix list, one row per problem in sheet order
+     * @param {Array<Object>} rules - Rule entries of the report
+     * @returns {Array<Array<string>>} Header row followed by one row per issue
+     */
+    static toCsvRows(rules) {
+        const codeFields = KitTypes.getCodeFields();
+        const rows = [['Source', 'Sheet Row', 'Severity', 'Rule', 'Column', 'Value', 'Problem',
+            ...codeFields.map(field => ColumnMapping.getLabel(field)), 'Brand', 'Model', 'Year']];
+        const value = DatasetDiff.normalizeValue;
+
+        rules
+            .flatMap(rule => rule.issues.map(issue => ({ rule, issue })))
+            .sort((a, b) => a.issue.index - b.issue.index)
+            .forEach(({ rule, issue }) => {
+                const row = issue.row;
+                rows.push([
+                    value(row.SOURCE),
+                    String(ExcelParser.getSheetRowNumber(issue.index, issue.row)),
+                    rule.severity,
+                    rule.label,
+                    issue.field ? ColumnMapping.getLabel(issue.field) : '',
+                    value(issue.value),
+                    issue.message,
+                    ...codeFields.map(field => value(row[field])),
+                    value(row.BRAND_NAME),
+                    value(row.MODEL_TYPE),
+                    value(row.YEAR)
+                ]);
+            });
+
+        return rows;
+    }
+
+    /**
+     * Download a fix list as CSV
+     * @param {Array<Object>} rules - Rule entries to export
+     * @param {string} name - File name part ('all' by default)
+     */
+    exportCsv(rules, name = 'all') {
+        try {
+            const csv = CsvUtils.stringify(DataQualityUI.toCsvRows(rules));
+            CsvUtils.download(csv, `data-quality_${name}_${BatchZBLGenerator.generateTimestamp()}.csv`);
+        } catch (error) {
+            ErrorHandler.logError(error, 'DataQualityUI.exportCsv', {
+                category: 'DOWNLOAD_ERROR',
+                userMessage: 'Failed to export the data quality report. Please try again.'
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataQualityUI, DATA_QUALITY_DISPLAY_LIMIT };
+}
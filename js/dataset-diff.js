@@ -0,0 +1,180 @@
+/**
+ * Dataset Diff
+ * Compares two versions of the product database row by row.
+ * Rows are matched on their kit codes (fork + shock + combi), so a row keeps
+ * its identity when rows are inserted, removed or re-sorted in the sheet.
+ */
+
+// Fields that identify a row rather than describe it: the kit code columns of KIT_TYPES
+const DIFF_KEY_FIELDS = KitTypes.getCodeFields();
+
+class DatasetDiff {
+    /**
+     * Build the match key of a row
+     * @param {Object} row - Row keyed by field name
+     * @returns {string} Key ('' when the row has no kit code at all)
+     */
+    static rowKey(row) {
+        const codes = DIFF_KEY_FIELDS.map(field => this.normalizeValue(row[field]).toUpperCase());
+        return codes.some(code => code) ? codes.join(' / ') : '';
+    }
+
+    /**
+     * Normalise a cell for comparison (type and surrounding whitespace)
+     * @param {*} value - Cell value
+     * @returns {string} Normalised value
+     */
+    static normalizeValue(value) {
+        if (value instanceof Date) {
+            // Date columns (see COLUMN_TYPES): compare and export as YYYY-MM-DD
+            return isNaN(value.getTime()) ? '' : value.toISOString().slice(0, 10);
+        }
+        return value === null || value === undefined ? '' : String(value).trim();
+    }
+
+    /**
+     * Short description of a row for reports
+     * @param {Object} row - Row keyed by field name
+     * @returns {string} "BRAND MODEL YEAR"
+     */
+    static describeRow(row) {
+        return ['BRAND_NAME', 'MODEL_TYPE', 'YEAR']
+            .map(field => this.normalizeValue(row[field]))
+            .filter(value => value)
+            .join(' ');
+    }
+
+    /**
+     * Index rows by key; repeated keys get an occurrence suffix (#2, #3, ...)
+     * @param {Array<Object>} rows - Rows keyed by field name
+     * @returns {Object} { index: Map<key, row>, unkeyed: number }
+     */
+    static indexRows(rows) {
+        const index = new Map();
+        const seen = new Map();
+        let unkeyed = 0;
+
+        rows.forEach(row => {
+            const baseKey = this.rowKey(row);
+            if (!baseKey) {
+                unkeyed++;
+                return;
+            }
+
+            const occurrence = (seen.get(baseKey) || 0) + 1;
+            seen.set(baseKey, occurrence);
+            index.set(occurrence === 1 ? baseKey : `${baseKey} #${occurrence}`, row);
+        });
+
+        return { index, unkeyed };
+    }
+
+    /**
+     * Compare two datasets
+     * @param {Array<Object>} previousRows - Rows of the previous version
+     * @param {Array<Object>} currentRows - Rows of the new version
+     * @param {Object} meta - { previousName, currentName } for the report header
+     * @returns {Object} { added, removed, modified, unchangedCount, unkeyedCount, previousName, currentName, comparedAt }
+     */
+    static compare(previousRows, currentRows, meta = {}) {
+        const previous = this.indexRows(previousRows || []);
+        const current = this.indexRows(currentRows || []);
+        const fields = ColumnMapping.getFields()
+            .map(definition => definition.field)
+            .filter(field => !DIFF_KEY_FIELDS.includes(field));
+
+        const added = [];
+        const removed = [];
+        const modified = [];
+        let unchangedCount = 0;
+
+        current.index.forEach((row, key) => {
+            const before = previous.index.get(key);
+            if (!before) {
+                added.push({ key, label: this.describeRow(row), row });
+                return;
+            }
+
+            const changes = fields
+                .filter(field => this.normalizeValue(before[field]) !== this.normalizeValue(row[field]))
+                .map(field => ({
+                    field,
+                    label: ColumnMapping.getLabel(field),
+                    before: this.normalizeValue(before[field]),
+                    after: this.normalizeValue(row[field])
+                }));
+
+            if (changes.length > 0) {
+                modified.push({ key, label: this.describeRow(row), row, changes });
+            } else {
+                unchangedCount++;
+            }
+        });
+
+        previous.index.forEach((row, key) => {
+            if (!current.index.has(key)) {
+                removed.push({ key, label: this.describeRow(row), row });
+            }
+        });
+
+        return {
+            added,
+            removed,
+            modified,
+            unchangedCount,
+            unkeyedCount: current.unkeyed,
+            previousName: meta.previousName || '',
+            currentName: meta.currentName || '',
+            comparedAt: Date.now()
+        };
+    }
+
+    /**
+     * Check if a report contains any change
+     * @param {Object} report - Result of compare()
+     * @returns {boolean} True if rows were added, removed or modified
+     */
+    static hasChanges(report) {
+        return !!report && (report.added.length + report.removed.length + report.modified.length) > 0;
+    }
+
+    /**
+     * One-line summary of a report
+     * @param {Object} report - Result of compare()
+     * @returns {string} e.g. "3 added, 1 removed, 12 modified"
+     */
+    static summarize(report) {
+        return `${report.added.length} added, ${report.removed.length} removed, ` +
+            `${report.modified.length} modified`;
+    }
+
+    /**
+     * Flatten a report into CSV rows (one row per changed field)
+     * @param {Object} report - Result of compare()
+     * @returns {Array<Array<string>>} Rows including a header row
+     */
+    static toCsvRows(report) {
+        const rows = [['Change', 'Kit Codes', 'Vehicle', 'Field', 'Before', 'After']];
+
+        report.added.forEach(entry => {
+            rows.push(['Added', entry.key, entry.label, '', '', '']);
+        });
+
+        report.removed.forEach(entry => {
+            rows.push(['Removed', entry.key, entry.label, '', '', '']);
+        });
+
+        report.modified.forEach(entry => {
+            entry.changes.forEach(change => {
+                rows.push(['Modified', entry.key, entry.label, change.label, change.before, change.after]);
+            });
+        });
+
+        return rows;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DatasetDiff, DIFF_KEY_FIELDS };
+}
@@ -0,0 +1,203 @@
+/**
+ * Dataset Storage Manager
+ * Persists the product sources (uploaded workbooks) in IndexedDB so they survive reloads,
+ * plus a snapshot of the last loaded rows to report what a new version changed
+ * and the uploaded sticker templates (see TemplateLibrary).
+ * localStorage is too small for a workbook, so the raw file is stored as an ArrayBuffer
+ * and re-parsed on load (the column mapping may have changed in between).
+ */
+
+const DATASET_DB = {
+    NAME: 'hyperpro_datasets',
+    VERSION: 1,
+    STORE: 'datasets',
+    ACTIVE_KEY: 'active',          // Uploaded file replacing the bundled file (before SOURCES_KEY)
+    SOURCES_KEY: 'sources',        // Configured product sources: uploaded files and the bundled file
+    SNAPSHOT_KEY: 'snapshot',      // Parsed rows of the last loaded database (for diff reports)
+    TEMPLATES_KEY: 'templates',    // Uploaded template versions, the active one per role and the activation history
+    SNAPSHOT_FORMAT: 3             // Bump when cells are parsed differently (2: text and date columns, 3: CSV read as text)
+};
+
+class DatasetStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB can be used (missing in some private browsing modes)
+     * @returns {boolean} True if available
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.isAvailable()) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(DATASET_DB.NAME, DATASET_DB.VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(DATASET_DB.STORE)) {
+                        db.createObjectStore(DATASET_DB.STORE);
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later retry if opening failed
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request in a transaction on the datasets store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result once the transaction completes
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(DATASET_DB.STORE, mode);
+            const request = operation(transaction.objectStore(DATASET_DB.STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Store the configured product sources (see SourceRegistry)
+     * @param {Array<Object>} sources - { id, name, bundled, buffer, sheets, uploadedAt }
+     * @returns {Promise<void>}
+     */
+    async saveSources(sources) {
+        const records = sources.map(({ id, name, bundled, buffer, sheets, uploadedAt }) => ({
+            id,
+            name,
+            bundled: Boolean(bundled),
+            buffer: bundled ? null : buffer,
+            size: bundled ? 0 : buffer.byteLength,
+            sheets: sheets || null,
+            uploadedAt: uploadedAt || null
+        }));
+
+        await this.run('readwrite', store => {
+            store.delete(DATASET_DB.ACTIVE_KEY);
+            return store.put(records, DATASET_DB.SOURCES_KEY);
+        });
+        console.log(`[DatasetStore] Saved ${records.length} source(s)`);
+    }
+
+    /**
+     * Load the configured product sources
+     * An uploaded file saved before sources existed becomes the only source.
+     * @returns {Promise<Array<Object>|null>} Source records, or null if none were saved (bundled file)
+     */
+    async loadSources() {
+        const records = await this.run('readonly', store => store.get(DATASET_DB.SOURCES_KEY));
+
+        if (Array.isArray(records)) {
+            const usable = records.filter(record => record.bundled || record.buffer instanceof ArrayBuffer);
+            return usable.length > 0 ? usable : null;
+        }
+
+        const legacy = await this.run('readonly', store => store.get(DATASET_DB.ACTIVE_KEY));
+        if (!legacy || !(legacy.buffer instanceof ArrayBuffer)) {
+            return null;
+        }
+
+        return [{
+            id: `upload-${legacy.uploadedAt}`,
+            name: legacy.name,
+            bundled: false,
+            buffer: legacy.buffer,
+            size: legacy.buffer.byteLength,
+            sheets: null,
+            uploadedAt: legacy.uploadedAt
+        }];
+    }
+
+    /**
+     * Remove the configured sources (revert to the bundled file)
+     * @returns {Promise<void>}
+     */
+    async clearSources() {
+        await this.run('readwrite', store => {
+            store.delete(DATASET_DB.ACTIVE_KEY);
+            return store.delete(DATASET_DB.SOURCES_KEY);
+        });
+        console.log('[DatasetStore] Sources cleared');
+    }
+
+    /**
+     * Remember the parsed rows of the database that was just loaded
+     * @param {string} name - Source file name
+     * @param {Array<Object>} rows - Rows keyed by field name
+     * @returns {Promise<void>}
+     */
+    async saveSnapshot(name, rows) {
+        await this.run('readwrite', store => store.put({
+            name,
+            rows,
+            savedAt: Date.now(),
+            format: DATASET_DB.SNAPSHOT_FORMAT
+        }, DATASET_DB.SNAPSHOT_KEY));
+    }
+
+    /**
+     * Load the rows of the previously loaded database
+     * A snapshot parsed in an older format would report every reformatted cell as changed,
+     * so it is ignored (the next save replaces it).
+     * @returns {Promise<Object|null>} { name, rows, savedAt, format } or null on first use
+     */
+    async loadSnapshot() {
+        const snapshot = await this.run('readonly', store => store.get(DATASET_DB.SNAPSHOT_KEY));
+        if (!snapshot || !Array.isArray(snapshot.rows)) {
+            return null;
+        }
+        return (snapshot.format || 1) === DATASET_DB.SNAPSHOT_FORMAT ? snapshot : null;
+    }
+
+    /**
+     * Store the template library (see TemplateLibrary)
+     * @param {Object} library - { versions, active, history }; bundled templates are not stored
+     * @returns {Promise<void>}
+     */
+    async saveTemplates(library) {
+        await this.run('readwrite', store => store.put({ ...library, savedAt: Date.now() }, DATASET_DB.TEMPLATES_KEY));
+        console.log(`[DatasetStore] Saved ${library.versions.length} template version(s)`);
+    }
+
+    /**
+     * Load the template library
+     * @returns {Promise<Object|null>} { versions, active, history, savedAt } or null if none was saved
+     */
+    async loadTemplates() {
+        const library = await this.run('readonly', store => store.get(DATASET_DB.TEMPLATES_KEY));
+        return library && Array.isArray(library.versions) ? library : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DatasetStore, DATASET_DB };
+}
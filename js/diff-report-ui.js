@@ -0,0 +1,209 @@
+/**
+ * Diff Report UI
+ * Modal listing added, removed and modified rows between two database versions
+ */
+
+// Rows rendered per section; the CSV export always contains everything
+const DIFF_REPORT_DISPLAY_LIMIT = 200;
+
+class DiffReportUI {
+    constructor() {
+        this.modalElement = null;
+        this.report = null;
+        this.isOpen = false;
+    }
+
+    /**
+     * Initialize the report modal
+     */
+    initialize() {
+        let modal = document.getElementById('diff-modal');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'diff-modal';
+            modal.className = 'modal-overlay';
+            modal.style.display = 'none';
+            document.body.appendChild(modal);
+        }
+
+        this.modalElement = modal;
+
+        // Close on backdrop click
+        this.modalElement.addEventListener('click', (e) => {
+            if (e.target === this.modalElement) {
+                this.close();
+            }
+        });
+
+        // Close on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show a report
+     * @param {Object} report - Result of DatasetDiff.compare()
+     */
+    open(report) {
+        if (!this.modalElement) {
+            this.initialize();
+        }
+
+        this.report = report;
+        this.render();
+        this.modalElement.style.display = 'flex';
+        this.isOpen = true;
+    }
+
+    /**
+     * Close the report modal
+     */
+    close() {
+        if (this.modalElement) {
+            this.modalElement.style.display = 'none';
+        }
+        this.isOpen = false;
+    }
+
+    /**
+     * Render modal content
+     */
+    render() {
+        const report = this.report;
+        const escape = SecurityUtils.escapeHtml;
+        const comparedAt = new Date(report.comparedAt).toLocaleString();
+
+        this.modalElement.innerHTML = `
+            <div class="modal-panel modal-panel-wide">
+                <div class="modal-header">
+                    <h2>Database Changes</h2>
+                    <button class="modal-close" data-action="close">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <p class="diff-summary">
+                        <strong>${escape(report.previousName || 'previous')}</strong> →
+                        <strong>${escape(report.currentName || 'current')}</strong>
+                        (${escape(comparedAt)})<br>
+                        ${escape(DatasetDiff.summarize(report))}, ${report.unchangedCount} unchanged
+                        ${report.unkeyedCount > 0 ? `, ${report.unkeyedCount} rows without kit codes not compared` : ''}
+                    </p>
+
+                    ${this.renderRowSection('Added', 'added', report.added)}
+                    ${this.renderRowSection('Removed', 'removed', report.removed)}
+                    ${this.renderModifiedSection(report.modified)}
+                </div>
+
+                <div class="modal-footer">
+                    <button class="btn-cancel" data-action="close">Close</button>
+                    <button class="btn-save" data-action="export">Export CSV</button>
+                </div>
+            </div>
+        `;
+
+        this.modalElement.querySelectorAll('[data-action="close"]').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+        this.modalElement.querySelector('[data-action="export"]')
+            .addEventListener('click', () => this.exportCsv());
+    }
+
+    /**
+     * Section for added or removed rows
+     * @param {string} title - Section title
+     * @param {string} type - 'added' or 'removed' (CSS modifier)
+     * @param {Array<Object>} entries - Report entries
+     * @returns {string} HTML
+     */
+    renderRowSection(title, type, entries) {
+        const escape = SecurityUtils.escapeHtml;
+        const rows = entries.slice(0, DIFF_REPORT_DISPLAY_LIMIT).map(entry => `
+            <tr>
+                <td class="diff-key">${escape(entry.key)}</td>
+                <td>${escape(entry.label)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <details class="diff-section diff-${type}" ${entries.length > 0 ? 'open' : ''}>
+                <summary>${title} (${entries.length})</summary>
+                ${entries.length > 0 ? `<table class="diff-table"><tbody>${rows}</tbody></table>` : ''}
+                ${this.renderOverflow(entries.length)}
+            </details>
+        `;
+    }
+
+    /**
+     * Section for modified rows with per-field before/after values
+     * @param {Array<Object>} entries - Report entries
+     * @returns {string} HTML
+     */
+    renderModifiedSection(entries) {
+        const escape = SecurityUtils.escapeHtml;
+        const rows = entries.slice(0, DIFF_REPORT_DISPLAY_LIMIT).map(entry => {
+            const changes = entry.changes.map((change, index) => `
+                <tr>
+                    ${index === 0 ? `
+                        <td class="diff-key" rowspan="${entry.changes.length}">${escape(entry.key)}</td>
+                        <td rowspan="${entry.changes.length}">${escape(entry.label)}</td>
+                    ` : ''}
+                    <td>${escape(change.label)}</td>
+                    <td class="diff-before">${escape(change.before) || '<em>empty</em>'}</td>
+                    <td class="diff-after">${escape(change.after) || '<em>empty</em>'}</td>
+                </tr>
+            `).join('');
+            return changes;
+        }).join('');
+
+        return `
+            <details class="diff-section diff-modified" ${entries.length > 0 ? 'open' : ''}>
+                <summary>Modified (${entries.length})</summary>
+                ${entries.length > 0 ? `
+                    <table class="diff-table">
+                        <thead>
+                            <tr><th>Kit Codes</th><th>Vehicle</th><th>Field</th><th>Before</th><th>After</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : ''}
+                ${this.renderOverflow(entries.length)}
+            </details>
+        `;
+    }
+
+    /**
+     * Note shown when a section is truncated
+     * @param {number} total - Number of entries in the section
+     * @returns {string} HTML
+     */
+    renderOverflow(total) {
+        if (total <= DIFF_REPORT_DISPLAY_LIMIT) {
+            return '';
+        }
+        return `<p class="hint">Showing ${DIFF_REPORT_DISPLAY_LIMIT} of ${total}. Export CSV for the full list.</p>`;
+    }
+
+    /**
+     * Download the full report as CSV
+     */
+    exportCsv() {
+        try {
+            const csv = CsvUtils.stringify(DatasetDiff.toCsvRows(this.report));
+            CsvUtils.download(csv, `database-changes_${BatchZBLGenerator.generateTimestamp()}.csv`);
+        } catch (error) {
+            ErrorHandler.logError(error, 'DiffReportUI.exportCsv', {
+                category: 'DOWNLOAD_ERROR',
+                userMessage: 'Failed to export the change report. Please try again.'
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DiffReportUI, DIFF_REPORT_DISPLAY_LIMIT };
+}
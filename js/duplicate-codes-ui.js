@@ -0,0 +1,184 @@
+/**
+ * Duplicate Codes UI
+ * Modal listing kit codes that appear on more than one row or in more than one column,
+ * found when the database is loaded (ProductSearch.findDuplicateCodes)
+ */
+
+// Codes rendered in the modal; the CSV export always contains everything
+const DUPLICATE_CODES_DISPLAY_LIMIT = 200;
+
+class DuplicateCodesUI {
+    constructor() {
+        this.modalElement = null;
+        this.duplicates = [];
+        this.isOpen = false;
+    }
+
+    /**
+     * Initialize the report modal
+     */
+    initialize() {
+        let modal = document.getElementById('duplicates-modal');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'duplicates-modal';
+            modal.className = 'modal-overlay';
+            modal.style.display = 'none';
+            document.body.appendChild(modal);
+        }
+
+        this.modalElement = modal;
+
+        // Close on backdrop click
+        this.modalElement.addEventListener('click', (e) => {
+            if (e.target === this.modalElement) {
+                this.close();
+            }
+        });
+
+        // Close on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show the duplicate codes
+     * @param {Array<Object>} duplicates - Result of ProductSearch.findDuplicateCodes()
+     */
+    open(duplicates) {
+        if (!this.modalElement) {
+            this.initialize();
+        }
+
+        this.duplicates = duplicates;
+        this.render();
+        this.modalElement.style.display = 'flex';
+        this.isOpen = true;
+    }
+
+    /**
+     * Close the report modal
+     */
+    close() {
+        if (this.modalElement) {
+            this.modalElement.style.display = 'none';
+        }
+        this.isOpen = false;
+    }
+
+    /**
+     * Render modal content
+     */
+    render() {
+        const escape = SecurityUtils.escapeHtml;
+        const duplicates = this.duplicates;
+        const sharedCount = duplicates.filter(duplicate => duplicate.rowCount > 1).length;
+
+        const rows = duplicates.slice(0, DUPLICATE_CODES_DISPLAY_LIMIT).map(duplicate => {
+            return duplicate.occurrences.map((occurrence, index) => `
+                <tr>
+                    ${index === 0 ? `
+                        <td class="diff-key" rowspan="${duplicate.occurrences.length}">${escape(duplicate.code)}</td>
+                    ` : ''}
+                    <td>${escape(occurrence.row.SOURCE || '-')}</td>
+                    <td>${ExcelParser.getSheetRowNumber(occurrence.index, occurrence.row)}</td>
+                    <td>${escape(ColumnMapping.getLabel(occurrence.field))}</td>
+                    <td>${escape(DatasetDiff.describeRow(occurrence.row))}</td>
+                    <td>${escape(ProductStatus.forRow(occurrence.row).label)}</td>
+                </tr>
+            `).join('');
+        }).join('');
+
+        this.modalElement.innerHTML = `
+            <div class="modal-panel modal-panel-wide">
+                <div class="modal-header">
+                    <h2>Duplicate Kit Codes</h2>
+                    <button class="modal-close" data-action="close">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <p class="diff-summary">
+                        ${duplicates.length} code(s) appear more than once:
+                        ${sharedCount} on several vehicle rows,
+                        ${duplicates.length - sharedCount} in several columns of one row.<br>
+                        Searching such a code lets you choose the vehicle or print one label for all of them.
+                    </p>
+
+                    ${duplicates.length > 0 ? `
+                        <table class="diff-table">
+                            <thead>
+                                <tr><th>Code</th><th>Source</th><th>Sheet Row</th><th>Column</th><th>Vehicle</th><th>Status</th></tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    ` : ''}
+                    ${duplicates.length > DUPLICATE_CODES_DISPLAY_LIMIT ? `
+                        <p class="hint">Showing ${DUPLICATE_CODES_DISPLAY_LIMIT} of ${duplicates.length}. Export CSV for the full list.</p>
+                    ` : ''}
+                </div>
+
+                <div class="modal-footer">
+                    <button class="btn-cancel" data-action="close">Close</button>
+                    <button class="btn-save" data-action="export">Export CSV</button>
+                </div>
+            </div>
+        `;
+
+        this.modalElement.querySelectorAll('[data-action="close"]').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+        this.modalElement.querySelector('[data-action="export"]')
+            .addEventListener('click', () => this.exportCsv());
+    }
+
+    /**
+     * Flatten duplicates into CSV rows
+     * @param {Array<Object>} duplicates - Result of ProductSearch.findDuplicateCodes()
+     * @returns {Array<Array<string>>} Header row followed by one row per occurrence
+     */
+    static toCsvRows(duplicates) {
+        const rows = [['Code', 'Source', 'Sheet Row', 'Column', 'Brand', 'Model', 'Year', 'Status']];
+
+        duplicates.forEach(duplicate => {
+            duplicate.occurrences.forEach(occurrence => {
+                const row = occurrence.row;
+                rows.push([
+                    duplicate.code,
+                    DatasetDiff.normalizeValue(row.SOURCE),
+                    String(ExcelParser.getSheetRowNumber(occurrence.index, occurrence.row)),
+                    ColumnMapping.getLabel(occurrence.field),
+                    DatasetDiff.normalizeValue(row.BRAND_NAME),
+                    DatasetDiff.normalizeValue(row.MODEL_TYPE),
+                    DatasetDiff.normalizeValue(row.YEAR),
+                    ProductStatus.forRow(row).label
+                ]);
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Download the full list as CSV
+     */
+    exportCsv() {
+        try {
+            const csv = CsvUtils.stringify(DuplicateCodesUI.toCsvRows(this.duplicates));
+            CsvUtils.download(csv, `duplicate-codes_${BatchZBLGenerator.generateTimestamp()}.csv`);
+        } catch (error) {
+            ErrorHandler.logError(error, 'DuplicateCodesUI.exportCsv', {
+                category: 'DOWNLOAD_ERROR',
+                userMessage: 'Failed to export the duplicate codes. Please try again.'
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DuplicateCodesUI, DUPLICATE_CODES_DISPLAY_LIMIT };
+}
@@ -1,66 +1,56 @@
+// Worker that runs parseSources and builds the search index off the main thread
+const EXCEL_WORKER_URL = 'js/excel-worker.js';
+
+// Rows converted between two progress reports
+const EXCEL_PROGRESS_INTERVAL = 500;
+
+// Separator between file and sheet name in a row's SOURCE label
+const EXCEL_SOURCE_SEPARATOR = ' › ';
+
 class ExcelParser {
-  constructor() {
-    this.workbook = null;
+  /**
+   * @param {Object} columnMapping - Field -> header name profile (see ColumnMapping)
+   * @param {Object} columnTypes - Field -> COLUMN_TYPES overrides ({} = default types)
+   */
+  constructor(columnMapping = {}, columnTypes = {}) {
     this.data = [];
+    this.headers = [];
+    this.sourceName = '';
+    this.sourceFiles = []; // { id, buffer, fileName, sheets } of the last load, for reparse()
+    this.sources = []; // { id, name, sheets: [{ name, label, rowCount, skipped }] } per loaded file
+    this.searchIndex = null; // ProductSearch index built by the worker, if any
+    this.columnMapping = columnMapping || {};
+    this.columnTypes = columnTypes || {};
+    this.onProgress = null; // (stage, fraction) with stage 'download', 'read', 'rows' or 'index'
     this.maxRetries = 3;
     this.retryDelay = 1000; // milliseconds
   }
 
   async loadExcelFile(url, retryCount = 0) {
-    try {
-      // Fetch the file
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Failed to load Excel file: ${response.status} ${response.statusText}`);
-      }
-
-      // Get array buffer
-      const arrayBuffer = await response.arrayBuffer();
-
-      // Validate array buffer before XLSX.read()
-      if (!arrayBuffer || arrayBuffer.byteLength === 0) {
-        throw new Error('Excel file is empty or invalid (0 bytes)');
-      }
-
-      if (arrayBuffer.byteLength < 100) {
-        throw new Error(`Excel file is too small (${arrayBuffer.byteLength} bytes), possibly corrupted`);
-      }
-
-      console.log(`Excel file loaded: ${arrayBuffer.byteLength} bytes`);
-
-      // Try to read the Excel file with XLSX
-      try {
-        this.workbook = XLSX.read(arrayBuffer, { type: 'array' });
-      } catch (xlsxError) {
-        // Log detailed XLSX error
-        ErrorHandler.logError(xlsxError, 'ExcelParser.XLSX.read', {
-          category: 'XLSX_ERROR',
-          arrayBufferSize: arrayBuffer.byteLength,
-          fileUrl: url,
-          userMessage: 'Failed to parse Excel file. The file may be corrupted or use an unsupported format.',
-          xlsxErrorName: xlsxError.name,
-          xlsxErrorMessage: xlsxError.message
-        });
-        throw xlsxError;
-      }
-
-      // Validate workbook structure
-      if (!this.workbook) {
-        throw new Error('XLSX.read returned null or undefined workbook');
-      }
+    return this.loadSources([{ url, fileName: url }], retryCount);
+  }
 
-      if (!this.workbook.SheetNames || this.workbook.SheetNames.length === 0) {
-        throw new Error('Excel file has no sheets');
+  /**
+   * Load and merge several product sources in the worker (see loadSourcesInWorker).
+   * Sources with a url are downloaded first; downloads are retried with backoff.
+   * @param {Array<Object>} files - { id, url | buffer, fileName, sheets } per source
+   * @param {number} retryCount - Attempts made so far
+   * @returns {Promise<boolean>} True once loaded
+   */
+  async loadSources(files, retryCount = 0) {
+    try {
+      const resolved = [];
+      for (const file of files) {
+        resolved.push(file.url
+          ? { ...file, buffer: await this.fetchBuffer(file.url) }
+          : file);
       }
 
-      console.log(`Excel workbook loaded with ${this.workbook.SheetNames.length} sheet(s)`);
-
-      // Parse the data
-      this.parseData();
+      await this.loadSourcesInWorker(resolved);
       return true;
     } catch (error) {
-      // Check if we should retry
-      if (retryCount < this.maxRetries) {
+      // Check if we should retry (a wrong column layout or a stored file will not fix itself)
+      if (retryCount < this.maxRetries && error.retryable !== false && files.some(file => file.url)) {
         console.warn(`Excel load failed (attempt ${retryCount + 1}/${this.maxRetries}), retrying in ${this.retryDelay}ms...`);
 
         await new Promise(resolve => setTimeout(resolve, this.retryDelay));
@@ -68,13 +58,13 @@ class ExcelParser {
         // Exponential backoff
         this.retryDelay *= 2;
 
-        return this.loadExcelFile(url, retryCount + 1);
+        return this.loadSources(files, retryCount + 1);
       }
 
       // Max retries reached, log error and throw
-      ErrorHandler.logError(error, 'ExcelParser.loadExcelFile', {
+      ErrorHandler.logError(error, 'ExcelParser.loadSources', {
         category: 'XLSX_ERROR',
-        fileUrl: url,
+        fileUrl: files.map(file => file.url || file.fileName).join(', '),
         retryCount,
         userMessage: 'Failed to load Excel file after multiple attempts. Please check the file and try again.'
       });
@@ -83,69 +73,552 @@ class ExcelParser {
     }
   }
 
-  parseData() {
+  /**
+   * Download a file
+   * @param {string} url - File URL
+   * @returns {Promise<ArrayBuffer>} File contents
+   */
+  async fetchBuffer(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load Excel file: ${response.status} ${response.statusText}`);
+    }
+
+    return this.readResponse(response);
+  }
+
+  /**
+   * Read a response body, reporting download progress when the size is known
+   * @param {Response} response - Fetch response
+   * @returns {Promise<ArrayBuffer>} Body contents
+   */
+  async readResponse(response) {
+    const total = parseInt(response.headers.get('Content-Length'), 10);
+    if (!response.body || !total) {
+      return response.arrayBuffer();
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      this.reportProgress('download', Math.min(received / total, 1));
+    }
+
+    const bytes = new Uint8Array(received);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return bytes.buffer;
+  }
+
+  /**
+   * Parse file contents in a Web Worker (js/excel-worker.js): reading the workbook,
+   * converting rows and building the search index run off the main thread.
+   * Falls back to the main thread where workers cannot start (e.g. opened from file://).
+   * @param {ArrayBuffer} arrayBuffer - File contents (.xlsx, .xls, .csv or .tsv); copied, not transferred
+   * @param {string} fileName - File name or URL (extension decides CSV handling)
+   * @returns {Promise<void>} Resolves once data, headers and searchIndex are set
+   * @throws {Error} When the file cannot be read or lacks required columns
+   */
+  async loadInWorker(arrayBuffer, fileName = '') {
+    await this.loadSourcesInWorker([{ buffer: arrayBuffer, fileName }]);
+  }
+
+  /**
+   * Parse and merge several files in the worker, like loadInWorker
+   * @param {Array<Object>} files - { id, buffer, fileName, sheets } per source; sheets lists
+   *   the sheet names to read (null: every sheet that has the required columns)
+   * @returns {Promise<void>} Resolves once data, headers, sources and searchIndex are set
+   * @throws {Error} When a file cannot be read or a selected sheet lacks required columns
+   */
+  async loadSourcesInWorker(files) {
+    this.sourceFiles = files;
+
+    let result;
     try {
-      if (!this.workbook) {
-        throw new Error('No workbook loaded');
+      result = await this.runWorker({
+        files,
+        columnMapping: this.columnMapping,
+        columnTypes: this.columnTypes
+      });
+    } catch (error) {
+      if (!error.workerUnavailable) {
+        throw error;
       }
 
-      if (!this.workbook.SheetNames || this.workbook.SheetNames.length === 0) {
-        throw new Error('Workbook has no sheets');
-      }
+      console.warn(`Excel worker unavailable (${error.message}), parsing on the main thread`);
+      this.parseSources(files);
+      this.searchIndex = null;
+      return;
+    }
 
-      const sheetName = this.workbook.SheetNames[0];
-      const sheet = this.workbook.Sheets[sheetName];
+    this.data = result.data;
+    this.headers = result.headers;
+    this.sources = result.sources;
+    this.sourceName = result.sourceName;
+    this.searchIndex = result.index;
+    console.log(`✅ Loaded ${this.data.length} rows from ${this.sourceName} in worker`);
+  }
 
-      if (!sheet) {
-        throw new Error(`Sheet "${sheetName}" not found in workbook`);
-      }
+  /**
+   * Parse the last loaded files again, e.g. after the column mapping changed
+   * @returns {Promise<void>}
+   */
+  async reparse() {
+    if (this.sourceFiles.length === 0) {
+      throw new Error('No workbook loaded');
+    }
+
+    await this.loadSourcesInWorker(this.sourceFiles);
+  }
 
-      // Convert sheet to JSON
-      let jsonData;
+  /**
+   * Run one parse job in a fresh worker, forwarding its progress
+   * @param {Object} job - { files, columnMapping, columnTypes }
+   * @returns {Promise<Object>} { data, headers, sources, sourceName, index }
+   */
+  runWorker(job) {
+    return new Promise((resolve, reject) => {
+      let worker;
       try {
-        jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-      } catch (conversionError) {
-        ErrorHandler.logError(conversionError, 'ExcelParser.sheet_to_json', {
-          category: 'XLSX_ERROR',
-          sheetName,
-          userMessage: 'Failed to convert Excel sheet to data format.'
-        });
-        throw conversionError;
+        worker = new Worker(EXCEL_WORKER_URL);
+      } catch (error) {
+        error.workerUnavailable = true;
+        reject(error);
+        return;
       }
 
-      if (!jsonData || jsonData.length < 2) {
-        throw new Error('Excel file is empty or has no data rows (needs at least header + 1 data row)');
-      }
+      let started = false;
+      const finish = (callback, value) => {
+        worker.terminate();
+        callback(value);
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+        started = true;
+
+        if (message.type === 'progress') {
+          this.reportProgress(message.stage, message.fraction);
+        } else if (message.type === 'done') {
+          finish(resolve, message);
+        } else if (message.type === 'error') {
+          finish(reject, Object.assign(new Error(message.error.message), message.error));
+        }
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault();
+        const error = new Error(event.message || 'Excel worker failed to start');
+        // Before the first message the script itself did not load
+        error.workerUnavailable = !started;
+        finish(reject, error);
+      };
+
+      worker.postMessage(job);
+    });
+  }
+
+  /**
+   * Forward progress to onProgress, if set
+   * @param {string} stage - 'download', 'read', 'rows' or 'index'
+   * @param {number} fraction - Completed part of the stage (0-1)
+   */
+  reportProgress(stage, fraction) {
+    if (typeof this.onProgress === 'function') {
+      this.onProgress(stage, fraction);
+    }
+  }
+
+  /**
+   * Read a workbook from file contents and parse it
+   * @param {ArrayBuffer} arrayBuffer - File contents (.xlsx, .xls, .csv or .tsv)
+   * @param {string} fileName - File name or URL (extension decides CSV handling)
+   * @throws {Error} When the file cannot be read or lacks required columns
+   */
+  loadFromArrayBuffer(arrayBuffer, fileName = '') {
+    this.parseSources([{ buffer: arrayBuffer, fileName }]);
+  }
+
+  /**
+   * Read several files and merge their rows into one dataset, in the given order.
+   * Every row is tagged with SOURCE (file name, plus the sheet name for workbooks
+   * with several sheets) and SHEET_ROW (row number in its sheet).
+   * @param {Array<Object>} files - { id, buffer, fileName, sheets } (see loadSourcesInWorker)
+   * @throws {Error} When a file cannot be read or a selected sheet lacks required columns
+   */
+  parseSources(files) {
+    // Read every workbook first, then convert rows, so the progress bar runs through each stage once
+    this.reportProgress('read', 0);
+    const workbooks = files.map((file, i) => {
+      const workbook = this.readWorkbook(file.buffer, file.fileName);
+      this.reportProgress('read', (i + 1) / files.length);
+      return workbook;
+    });
+
+    const data = [];
+    const headers = [];
+    const sources = files.map((file, i) => {
+      const name = ExcelParser.getFileName(file.fileName);
+      const result = this.parseWorkbook(workbooks[i], name, file.sheets,
+        fraction => this.reportProgress('rows', (i + fraction) / files.length));
+
+      result.rows.forEach(row => data.push(row));
+      result.headers.forEach(header => {
+        if (!headers.includes(header)) headers.push(header);
+      });
+
+      return { id: file.id, name, sheets: result.sheets };
+    });
+    this.reportProgress('rows', 1);
+
+    this.data = data;
+    this.headers = headers;
+    this.sources = sources;
+    this.sourceName = sources.map(source => source.name).join(' + ');
+
+    if (this.data.length === 0) {
+      console.warn('⚠️ Excel file has headers but no data rows');
+    }
+  }
+
+  /**
+   * Read a workbook from file contents
+   * @param {ArrayBuffer} arrayBuffer - File contents (.xlsx, .xls, .csv or .tsv)
+   * @param {string} fileName - File name or URL (extension decides CSV handling)
+   * @returns {Object} SheetJS workbook
+   * @throws {Error} When the file cannot be read
+   */
+  readWorkbook(arrayBuffer, fileName = '') {
+    // Validate array buffer before XLSX.read()
+    if (!arrayBuffer || arrayBuffer.byteLength === 0) {
+      throw new Error('Excel file is empty or invalid (0 bytes)');
+    }
+
+    if (arrayBuffer.byteLength < 100) {
+      throw new Error(`Excel file is too small (${arrayBuffer.byteLength} bytes), possibly corrupted`);
+    }
+
+    console.log(`Excel file loaded: ${fileName} (${arrayBuffer.byteLength} bytes)`);
 
-      // Convert to objects with column letters as keys
-      const headers = jsonData[0];
-      if (!headers || headers.length === 0) {
-        throw new Error('Excel file has no header row');
+    // Try to read the Excel file with XLSX
+    // (CSV/TSV cells stay plain text: SheetJS would turn "0316" into 316 and "2024-06-21" into a serial)
+    let workbook;
+    try {
+      workbook = this.isDelimitedText(arrayBuffer, fileName)
+        ? this.readDelimitedText(arrayBuffer)
+        : XLSX.read(arrayBuffer, { type: 'array' });
+    } catch (xlsxError) {
+      // Log detailed XLSX error
+      ErrorHandler.logError(xlsxError, 'ExcelParser.XLSX.read', {
+        category: 'XLSX_ERROR',
+        arrayBufferSize: arrayBuffer.byteLength,
+        fileName,
+        userMessage: 'Failed to parse Excel file. The file may be corrupted or use an unsupported format.',
+        xlsxErrorName: xlsxError.name,
+        xlsxErrorMessage: xlsxError.message
+      });
+      throw xlsxError;
+    }
+
+    // Validate workbook structure
+    if (!workbook) {
+      throw new Error('XLSX.read returned null or undefined workbook');
+    }
+
+    if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+      throw new Error('Excel file has no sheets');
+    }
+
+    console.log(`Excel workbook loaded with ${workbook.SheetNames.length} sheet(s)`);
+    return workbook;
+  }
+
+  /**
+   * Check whether a file name refers to a CSV or TSV file
+   * @param {string} fileName - File name or URL
+   * @returns {boolean} True for .csv, .tsv and .txt
+   */
+  isCsvFile(fileName) {
+    return /\.(csv|tsv|txt)$/i.test(String(fileName).split('?')[0]);
+  }
+
+  /**
+   * Check whether file contents are delimited text: a CSV/TSV file name, or contents that are
+   * neither a zip (.xlsx), an OLE file (.xls) nor markup (HTML/XML spreadsheets), such as a
+   * CSV export saved under an .xlsx name
+   * @param {ArrayBuffer} arrayBuffer - File contents
+   * @param {string} fileName - File name or URL
+   * @returns {boolean} True when the file should be read with CsvUtils
+   */
+  isDelimitedText(arrayBuffer, fileName) {
+    if (this.isCsvFile(fileName)) {
+      return true;
+    }
+
+    const bytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 8));
+    const zip = bytes[0] === 0x50 && bytes[1] === 0x4B;
+    const ole = bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0;
+    const markup = /^\s*</.test(CsvUtils.decode(arrayBuffer.slice(0, 512)).text);
+    return !zip && !ole && !markup;
+  }
+
+  /**
+   * Read a CSV/TSV file into a one-sheet workbook of text cells, so its rows go through
+   * parseSheet like any workbook and come out identical to the same data in .xlsx
+   * @param {ArrayBuffer} arrayBuffer - File contents
+   * @returns {Object} SheetJS workbook
+   */
+  readDelimitedText(arrayBuffer) {
+    const { rows, delimiter, encoding } = CsvUtils.read(arrayBuffer);
+    console.log(`Delimited text: ${rows.length} lines, delimiter ${JSON.stringify(delimiter)}, ${encoding}`);
+
+    // Empty fields become empty cells, as in a workbook
+    const sheet = XLSX.utils.aoa_to_sheet(rows.map(fields => fields.map(field => field === '' ? null : field)));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Sheet1');
+    return workbook;
+  }
+
+  /**
+   * File name of a path or URL
+   * @param {string} fileName - File name, path or URL
+   * @returns {string} Last path segment
+   */
+  static getFileName(fileName) {
+    return String(fileName).split('?')[0].split('/').pop();
+  }
+
+  /**
+   * Convert the selected sheets of a workbook.
+   * Without a selection every sheet with the required columns is read and other sheets
+   * (notes, lookup tables) are skipped; the workbook fails only when no sheet qualifies.
+   * @param {Object} workbook - SheetJS workbook
+   * @param {string} name - File name, used in the SOURCE label
+   * @param {Array<string>|null} selection - Sheet names to read (null: automatic)
+   * @param {Function} onRows - Progress callback (fraction of the workbook's rows converted)
+   * @returns {Object} { rows, headers, sheets: [{ name, label, rowCount, skipped }] }
+   *   skipped: why an unselected or unusable sheet was not read (null when read)
+   * @throws {Error} When a selected sheet is missing or unusable, or no sheet qualifies
+   */
+  parseWorkbook(workbook, name, selection = null, onRows = () => {}) {
+    try {
+      const sheetNames = workbook.SheetNames;
+      const missing = (selection || []).filter(sheetName => !sheetNames.includes(sheetName));
+      if (missing.length > 0) {
+        const error = new Error(`Sheet(s) not found in ${name}: ${missing.join(', ')}`);
+        error.retryable = false;
+        throw error;
       }
 
-      this.data = jsonData.slice(1).map((row, rowIndex) => {
-        const obj = {};
-        headers.forEach((header, index) => {
-          const columnLetter = this.getColumnLetter(index);
-          obj[columnLetter] = row[index] !== undefined && row[index] !== null ? row[index] : '';
+      const rows = [];
+      const headers = [];
+      const sheets = [];
+      let firstError = null;
+
+      sheetNames.forEach((sheetName, i) => {
+        const label = sheetNames.length > 1 ? `${name}${EXCEL_SOURCE_SEPARATOR}${sheetName}` : name;
+
+        if (selection && !selection.includes(sheetName)) {
+          sheets.push({ name: sheetName, label, rowCount: 0, skipped: 'Not selected' });
+          return;
+        }
+
+        let result;
+        try {
+          result = this.parseSheet(workbook.Sheets[sheetName],
+            fraction => onRows((i + fraction) / sheetNames.length));
+        } catch (error) {
+          if (selection) {
+            error.message = `${label}: ${error.message}`;
+            throw error;
+          }
+          console.log(`ℹ️ Skipping sheet "${sheetName}" of ${name}: ${error.message}`);
+          firstError = firstError || error;
+          sheets.push({ name: sheetName, label, rowCount: 0, skipped: error.message });
+          return;
+        }
+
+        result.rows.forEach(row => {
+          row.SOURCE = label;
+          rows.push(row);
+        });
+        result.headers.forEach(header => {
+          if (!headers.includes(header)) headers.push(header);
         });
-        return obj;
+        sheets.push({ name: sheetName, label, rowCount: result.rows.length, skipped: null });
+        console.log(`✅ Loaded ${result.rows.length} rows from ${name} (sheet: ${sheetName})`);
       });
 
-      console.log(`✅ Loaded ${this.data.length} rows from Excel file (sheet: ${sheetName})`);
-
-      if (this.data.length === 0) {
-        console.warn('⚠️ Excel file has headers but no data rows');
+      if (sheets.every(sheet => sheet.skipped)) {
+        throw firstError || new Error(`No sheet selected in ${name}`);
       }
+
+      return { rows, headers, sheets };
     } catch (error) {
-      ErrorHandler.logError(error, 'ExcelParser.parseData', {
+      ErrorHandler.logError(error, 'ExcelParser.parseWorkbook', {
         category: 'XLSX_ERROR',
-        userMessage: 'Failed to parse Excel data. Please check the file format.'
+        userMessage: error.userMessage || 'Failed to parse Excel data. Please check the file format.'
       });
       throw error;
     }
   }
 
+  /**
+   * Convert one sheet into rows keyed by field name, resolved from its header row
+   * @param {Object} sheet - SheetJS worksheet
+   * @param {Function} onRows - Progress callback (fraction of rows converted)
+   * @returns {Object} { rows, headers } - rows carry SHEET_ROW
+   * @throws {Error} When the sheet is empty or lacks required columns
+   */
+  parseSheet(sheet, onRows = () => {}) {
+    const range = sheet && sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null;
+    if (!range || range.e.r - range.s.r < 1) {
+      throw new Error('Excel file is empty or has no data rows (needs at least header + 1 data row)');
+    }
+
+    const headerRow = this.readRow(sheet, range, range.s.r, {});
+    if (headerRow.every(header => header === undefined)) {
+      throw new Error('Excel file has no header row');
+    }
+
+    const headers = Array.from(headerRow, header => String(header == null ? '' : header).trim());
+
+    const { columns, missing, unmapped } = ColumnMapping.resolve(headerRow, this.columnMapping);
+    if (missing.length > 0) {
+      const profile = { ...ColumnMapping.getDefaultProfile(), ...this.columnMapping };
+      const list = missing.map(field => `${ColumnMapping.getLabel(field)} ("${profile[field]}")`).join(', ');
+      const error = new Error(`Missing required column(s): ${list}`);
+      error.retryable = false;
+      error.userMessage = `The product sheet is missing required column(s): ${list}. ` +
+        'Check the column mapping in Settings.';
+      throw error;
+    }
+
+    if (unmapped.length > 0) {
+      console.log(`ℹ️ Ignoring unmapped column(s): ${unmapped.join(', ')}`);
+    }
+
+    // Each mapped column is read as its configured type (text, date or number)
+    const types = ColumnMapping.resolveTypes(columns, this.columnTypes);
+    const rowCount = range.e.r - range.s.r;
+    const rows = [];
+    for (let i = 1; i <= rowCount; i++) {
+      const row = ColumnMapping.mapRow(this.readRow(sheet, range, range.s.r + i, types), columns);
+      row.SHEET_ROW = range.s.r + i + 1;
+      rows.push(row);
+      if (i % EXCEL_PROGRESS_INTERVAL === 0) {
+        onRows(i / rowCount);
+      }
+    }
+    onRows(1);
+
+    return { rows, headers };
+  }
+
+  /**
+   * Read the cells of one sheet row
+   * @param {Object} sheet - SheetJS worksheet
+   * @param {Object} range - Decoded sheet range
+   * @param {number} rowIndex - Zero-based sheet row
+   * @param {Object} types - Column index -> COLUMN_TYPES value (text when absent)
+   * @returns {Array} Cell values by column (undefined for empty cells)
+   */
+  readRow(sheet, range, rowIndex, types) {
+    const cells = [];
+    for (let column = range.s.c; column <= range.e.c; column++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r: rowIndex, c: column })];
+      cells[column - range.s.c] = ExcelParser.cellValue(cell, types[column - range.s.c]);
+    }
+    return cells;
+  }
+
+  /**
+   * Value of a cell read as a column type
+   * - text: the text the sheet shows (formatted numbers keep leading zeros, dates stay as shown)
+   * - date: a Date (UTC midnight) from date cells, Excel serials or date text; unreadable text is kept
+   * - number: the number, also from text with a decimal comma ("7,5"); other text is kept
+   * @param {Object} cell - SheetJS cell ({ t, v, w })
+   * @param {string} type - COLUMN_TYPES value (text when absent)
+   * @returns {*} Value, or undefined for an empty cell
+   */
+  static cellValue(cell, type = COLUMN_TYPES.TEXT) {
+    if (!cell || cell.v === undefined || cell.v === null) {
+      return undefined;
+    }
+
+    const text = cell.w !== undefined ? cell.w : String(cell.v);
+
+    if (type === COLUMN_TYPES.DATE) {
+      const date = ProductStatus.parseChangeDate(cell.t === 's' ? text : cell.v);
+      return date || text;
+    }
+
+    if (type === COLUMN_TYPES.NUMBER) {
+      if (cell.t === 'n') {
+        return cell.v;
+      }
+      return /^\s*-?\d+([.,]\d+)?\s*$/.test(text) ? parseFloat(text.replace(',', '.')) : text;
+    }
+
+    return text;
+  }
+
+  /**
+   * Set the column mapping profile used by parseSheet
+   * @param {Object} columnMapping - Field -> header name profile
+   */
+  setColumnMapping(columnMapping) {
+    this.columnMapping = columnMapping || {};
+  }
+
+  /**
+   * Set the column types used by parseSheet
+   * @param {Object} columnTypes - Field -> COLUMN_TYPES overrides
+   */
+  setColumnTypes(columnTypes) {
+    this.columnTypes = columnTypes || {};
+  }
+
+  /**
+   * Header names of the parsed sheets (merged, in sheet order)
+   * @returns {Array<string>} Header names
+   */
+  getHeaders() {
+    return [...this.headers];
+  }
+
+  /**
+   * Compare the loaded data against a previous version of the database
+   * @param {Array<Object>} previousData - Rows of the previous version (field-keyed)
+   * @param {string} previousName - Name of the previous source
+   * @returns {Object} Diff report (see DatasetDiff.compare)
+   */
+  compareWith(previousData, previousName = '') {
+    return DatasetDiff.compare(previousData, this.data, {
+      previousName,
+      currentName: this.sourceName
+    });
+  }
+
+  /**
+   * Spreadsheet row number of a data row (row 1 holds the headers; blank rows are kept)
+   * @param {number} index - Index in this.data
+   * @param {Object} row - The row, for its SHEET_ROW when several sheets are merged
+   * @returns {number} Row number as shown in Excel
+   */
+  static getSheetRowNumber(index, row = null) {
+    return row && row.SHEET_ROW ? row.SHEET_ROW : index + 2;
+  }
+
   getColumnLetter(index) {
     let letter = '';
     while (index >= 0) {
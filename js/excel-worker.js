@@ -0,0 +1,57 @@
+/**
+ * Excel Worker
+ * Parses a product database off the main thread (see ExcelParser.loadSourcesInWorker):
+ * reads the workbooks, merges their rows and builds the search index, posting
+ * progress along the way so the page stays responsive and can show a progress bar.
+ *
+ * Messages in:  { files: [{ id, buffer, fileName, sheets }], columnMapping, columnTypes }
+ * Messages out: { type: 'progress', stage, fraction }
+ *               { type: 'done', data, headers, sources, sourceName, index }
+ *               { type: 'error', error: { message, userMessage, retryable } }
+ */
+
+importScripts(
+    '../vendor/xlsx.full.min.js',
+    'kit-types.js',
+    'column-mapping.js',
+    'value-normalizer.js',
+    'csv-utils.js',
+    'product-status.js',
+    'excel-parser.js',
+    'search.js'
+);
+
+// Errors are posted to the main thread and logged there
+const ErrorHandler = { logError() {} };
+
+self.onmessage = (event) => {
+    const { files, columnMapping, columnTypes } = event.data;
+    const onProgress = (stage, fraction) => self.postMessage({ type: 'progress', stage, fraction });
+
+    try {
+        const parser = new ExcelParser(columnMapping, columnTypes);
+        parser.onProgress = onProgress;
+        parser.parseSources(files);
+
+        const search = new ProductSearch(parser.data, { onProgress });
+
+        // One message, so the index keeps pointing at the same row objects after cloning
+        self.postMessage({
+            type: 'done',
+            data: parser.data,
+            headers: parser.getHeaders(),
+            sources: parser.sources,
+            sourceName: parser.sourceName,
+            index: search.exportIndex()
+        });
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            error: {
+                message: error.message,
+                userMessage: error.userMessage,
+                retryable: error.retryable
+            }
+        });
+    }
+};
@@ -0,0 +1,226 @@
+/**
+ * Kit Types
+ * Registry of the kits that can be labelled. Per type: the sheet column holding its kit
+ * code, the display name, the sticker templates it adds, the stickers one kit prints
+ * (template role -> count, the default sticker rule) and the settings its label prints.
+ * Column mapping, search, the cart, row validation, sticker rules, the template library
+ * and batch generation all read the kit types from here.
+ *
+ * Adding a kit type is adding an entry: its code column joins the kit code columns of
+ * COLUMN_FIELDS and its templates join TEMPLATE_ROLES and STICKER_TYPES.
+ */
+
+// Template of the BIG sticker, printed for every kit type; kit types add their own SMALL stickers
+const KIT_SHARED_TEMPLATES = {
+    big: { name: 'BIG', label: 'BIG sticker', url: './templates/zbl-dynamic.txt', printer: 'big' }
+};
+
+// Kit types in search and display order; the first one is the fallback for unknown types
+// column: the COLUMN_FIELDS entry of the code column (see ColumnMapping)
+// templates: role -> { name, label, url, printer (big or small) } of the stickers the type adds
+// stickers: role -> count; roles left out are not printed
+const KIT_TYPES = [
+    {
+        id: 'fork',
+        field: 'FORKCODE',
+        column: { label: 'Fork Code', header: 'voorveerkit', required: true },
+        name: 'Fork Kit',
+        color: 'blue',
+        templates: {
+            smallFork: {
+                name: 'SMALL Fork', label: 'SMALL fork sticker', url: './templates/zbl-small-fork.txt', printer: 'small'
+            }
+        },
+        stickers: { big: 1, smallFork: 2, smallShock: 0 },    // 3 total per kit
+        settingFields: ['FORK_SPRING', 'OIL_TYPE', 'OIL_LEVEL', 'FORK_PRELOAD', 'FORK_SAG', 'FORK_COMPRESSION',
+            'FORK_REBOUND', 'FORK_EXTRA_INFO']
+    },
+    {
+        id: 'shock',
+        field: 'SHOCKCODE',
+        column: { label: 'Shock Code', header: 'achterveerkit', required: true },
+        name: 'Shock Kit',
+        color: 'orange',
+        templates: {
+            smallShock: {
+                name: 'SMALL Shock', label: 'SMALL shock sticker', url: './templates/zbl-small-shock.txt', printer: 'small'
+            }
+        },
+        stickers: { big: 1, smallFork: 0, smallShock: 1 },   // 2 total per kit
+        settingFields: ['SHOCK_SPRING', 'SHOCK_PRELOAD', 'SHOCK_SAG', 'SHOCK_COMPRESSION', 'SHOCK_REBOUND',
+            'SHOCK_EXTRA_INFO']
+    },
+    {
+        id: 'combi',
+        field: 'COMBICODE',
+        column: { label: 'Combi Code', header: 'combikit', required: true },
+        name: 'Combi Kit',
+        color: 'purple',
+        templates: {},                                        // prints the fork and shock stickers
+        stickers: { big: 1, smallFork: 2, smallShock: 1 },    // 4 total per kit
+        settingFields: ['FORK_SPRING', 'OIL_TYPE', 'OIL_LEVEL', 'FORK_PRELOAD', 'FORK_SAG', 'FORK_COMPRESSION',
+            'FORK_REBOUND', 'FORK_EXTRA_INFO', 'SHOCK_SPRING', 'SHOCK_PRELOAD', 'SHOCK_SAG', 'SHOCK_COMPRESSION',
+            'SHOCK_REBOUND', 'SHOCK_EXTRA_INFO']
+    },
+    {
+        id: 'damper',
+        field: 'DAMPERCODE',
+        column: { label: 'Damper Code', header: 'stuurdemper' },
+        name: 'Steering Damper',
+        color: 'green',
+        templates: {
+            smallDamper: {
+                name: 'SMALL Damper', label: 'SMALL steering damper sticker', url: './templates/zbl-small-damper.txt',
+                printer: 'small'
+            }
+        },
+        stickers: { big: 1, smallDamper: 1 },                 // 2 total per kit
+        settingFields: ['PRODUCT_EXTRA_INFO']
+    },
+    {
+        id: 'lowering',
+        field: 'LOWERINGCODE',
+        column: { label: 'Lowering Kit Code', header: 'verlagingskit' },
+        name: 'Lowering Kit',
+        color: 'teal',
+        templates: {
+            smallLowering: {
+                name: 'SMALL Lowering', label: 'SMALL lowering kit sticker', url: './templates/zbl-small-lowering.txt',
+                printer: 'small'
+            }
+        },
+        stickers: { big: 1, smallLowering: 1 },               // 2 total per kit
+        settingFields: ['PRODUCT_EXTRA_INFO']
+    },
+    {
+        id: 'springSet',
+        field: 'SPRINGCODE',
+        column: { label: 'Spring Set Code', header: 'veerset' },
+        name: 'Spring Set',
+        color: 'red',
+        templates: {
+            smallSpring: {
+                name: 'SMALL Spring', label: 'SMALL spring set sticker', url: './templates/zbl-small-spring.txt',
+                printer: 'small'
+            }
+        },
+        stickers: { big: 1, smallSpring: 1 },                 // 2 total per kit
+        settingFields: ['FORK_SPRING', 'SHOCK_SPRING', 'PRODUCT_EXTRA_INFO']
+    }
+];
+
+class KitTypes {
+    /**
+     * All kit types
+     * @returns {Array<Object>} { id, field, column, name, color, templates, stickers, settingFields } in registry order
+     */
+    static getAll() {
+        return KIT_TYPES;
+    }
+
+    /**
+     * Kit type ids
+     * @returns {Array<string>} e.g. ['fork', 'shock', 'combi']
+     */
+    static getIds() {
+        return KIT_TYPES.map(type => type.id);
+    }
+
+    /**
+     * Find a kit type
+     * @param {string} id - Kit type id
+     * @returns {Object|null} Kit type, or null when it is not registered
+     */
+    static get(id) {
+        return KIT_TYPES.find(type => type.id === id) || null;
+    }
+
+    /**
+     * Find a kit type, falling back to the first registered one
+     * @param {string} id - Kit type id
+     * @returns {Object} Kit type
+     */
+    static getOrDefault(id) {
+        return KitTypes.get(id) || KIT_TYPES[0];
+    }
+
+    /**
+     * Check whether a kit type is registered
+     * @param {string} id - Kit type id
+     * @returns {boolean} True if known
+     */
+    static has(id) {
+        return KitTypes.get(id) !== null;
+    }
+
+    /**
+     * Columns holding kit codes
+     * @returns {Array<string>} e.g. ['FORKCODE', 'SHOCKCODE', 'COMBICODE']
+     */
+    static getCodeFields() {
+        return KIT_TYPES.map(type => type.field);
+    }
+
+    /**
+     * COLUMN_FIELDS entries of the kit code columns
+     * @returns {Array<Object>} { field, label, header, required } in registry order
+     */
+    static getColumnFields() {
+        return KIT_TYPES.map(type => ({ field: type.field, ...type.column }));
+    }
+
+    /**
+     * Sticker templates: the shared BIG sticker, then the ones each kit type adds
+     * @returns {Object} Role -> { name, label, url, printer }, e.g. { big, smallFork, smallShock }
+     */
+    static getTemplateRoles() {
+        const roles = { ...KIT_SHARED_TEMPLATES };
+        KIT_TYPES.forEach(type => Object.assign(roles, type.templates));
+        return roles;
+    }
+
+    /**
+     * Kit type whose code is in a column
+     * @param {string} field - Column field name, e.g. 'SHOCKCODE'
+     * @returns {string|null} Kit type id
+     */
+    static forField(field) {
+        const type = KIT_TYPES.find(entry => entry.field === field);
+        return type ? type.id : null;
+    }
+
+    /**
+     * Kit code of a row for a kit type
+     * @param {string} id - Kit type id
+     * @param {Object} [rowData] - Row keyed by field name
+     * @returns {string} Kit code, '' when the row has none
+     */
+    static getKitCode(id, rowData) {
+        const type = KitTypes.get(id);
+        return type && rowData ? String(rowData[type.field] || '').trim() : '';
+    }
+
+    /**
+     * Kit types a row has a code for
+     * @param {Object} rowData - Row keyed by field name
+     * @returns {Array<Object>} Kit types in registry order
+     */
+    static forRow(rowData) {
+        return KIT_TYPES.filter(type => KitTypes.getKitCode(type.id, rowData) !== '');
+    }
+
+    /**
+     * Check whether a row prints a sticker template with the default rules
+     * @param {Object} rowData - Row keyed by field name
+     * @param {string} role - Template role, e.g. 'smallFork'
+     * @returns {boolean} True if one of the row's kits prints that sticker
+     */
+    static printsRole(rowData, role) {
+        return KitTypes.forRow(rowData).some(type => type.stickers[role] > 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KitTypes, KIT_TYPES, KIT_SHARED_TEMPLATES };
+}
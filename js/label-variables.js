@@ -0,0 +1,134 @@
+/**
+ * Label Variables
+ * Single source for turning a product row into template variables.
+ * Used by ZBLGenerator, BatchZBLGenerator and the live preview.
+ */
+
+// Template variable per sheet column, with the text printed when the cell is empty and the
+// placeholder has no default of its own (every COLUMN_FIELDS field; DATE_CHANGE as YYYY-MM-DD;
+// a kit code column per KIT_TYPES entry)
+const LABEL_FIELD_DEFAULTS = {
+    DATE_CHANGE: '',
+    STATUS: '',
+    ...Object.fromEntries(KitTypes.getCodeFields().map(field => [field, 'NONE'])),
+    BRAND_NAME: 'N/A',
+    MODEL_TYPE: 'N/A',
+    YEAR: 'N/A',
+    FORK_SPRING: 'N/A',
+    OIL_TYPE: 'N/A',
+    OIL_LEVEL: 'N/A',
+    FORK_PRELOAD: 'N/A',
+    FORK_SAG: 'N/A',
+    FORK_COMPRESSION: 'N/A',
+    FORK_REBOUND: 'N/A',
+    FORK_EXTRA_INFO: '',
+    SHOCK_SPRING: 'N/A',
+    SHOCK_PRELOAD: 'N/A',
+    SHOCK_SAG: 'N/A',
+    SHOCK_COMPRESSION: 'N/A',
+    SHOCK_REBOUND: 'N/A',
+    SHOCK_EXTRA_INFO: '',
+    PRODUCT_EXTRA_INFO: '',
+    CHASSIS_NUMBER: '',
+    EU_NUMBER: ''
+};
+
+// Text variables of a row (every printed value is ZPL-escaped, see TemplateLanguage)
+const LABEL_TEXT_FIELDS = [...Object.keys(LABEL_FIELD_DEFAULTS), 'NOTES'];
+
+class LabelVariables {
+    /**
+     * @param {Object|string} templates - Templates whose FB blocks drive font fitting
+     */
+    constructor(templates) {
+        this.textFitter = new TextFitter(templates, LABEL_FIELD_DEFAULTS);
+        this.lastFitWarnings = [];
+    }
+
+    /**
+     * Re-read FB blocks after templates change
+     * @param {Object|string} templates - Template strings keyed by role, or a single template
+     */
+    setTemplates(templates) {
+        this.textFitter.setTemplates(templates);
+    }
+
+    /**
+     * Prepare variables from row data
+     * Values stay unescaped: replace() escapes them after the template filters ran.
+     * @param {Object} rowData - Product data
+     * @returns {Object} Variables object (text fields and fitted font sizes)
+     */
+    prepare(rowData) {
+        const vars = this.getRawVariables(rowData);
+
+        const fit = this.textFitter.computeFontSizes(vars);
+        Object.assign(vars, fit.sizes);
+        this.lastFitWarnings = fit.warnings;
+        fit.warnings.forEach(warning => {
+            console.warn(`[LabelVariables] ${warning.fontVar}: ${warning.message}`);
+        });
+
+        return vars;
+    }
+
+    /**
+     * Text variables of a row, before font fitting and ZPL escaping
+     * Empty cells stay empty ('') so templates can test them with {#if FIELD};
+     * the LABEL_FIELD_DEFAULTS text is filled in when the template is rendered.
+     * @param {Object} rowData - Product data
+     * @returns {Object} Raw variables object
+     */
+    getRawVariables(rowData) {
+        const vars = {};
+        Object.keys(LABEL_FIELD_DEFAULTS).forEach(field => {
+            // Settings print in one spelling ("2-3 clicks CCW"); other columns as written
+            const value = VALUE_FIELD_KINDS[field]
+                ? ValueNormalizer.format(field, rowData[field])
+                : rowData[field];
+            vars[field] = TemplateLanguage.isEmpty(value) ? '' : String(value);
+        });
+        vars.DATE_CHANGE = ProductStatus.formatChangeDate(rowData.DATE_CHANGE);
+
+        // Combine notes field BEFORE sanitization
+        vars.NOTES = this.combineNotes(rowData.FORK_EXTRA_INFO, rowData.SHOCK_EXTRA_INFO);
+
+        return vars;
+    }
+
+    /**
+     * Combine fork and rear extra info into one notes line
+     * @param {*} forkInfo - Fork extra info
+     * @param {*} rearInfo - Rear extra info
+     * @returns {string} Combined notes ('' when both are empty)
+     */
+    combineNotes(forkInfo, rearInfo) {
+        const f = (forkInfo || '').toString().trim();
+        const r = (rearInfo || '').toString().trim();
+
+        if (f && r) return `F: ${f} / R: ${r}`;
+        if (f) return `F: ${f}`;
+        if (r) return `R: ${r}`;
+        return '';
+    }
+
+    /**
+     * Fill a template with variables (see TemplateLanguage for the placeholder syntax)
+     * Every printed value is ZPL-escaped so cell text cannot inject commands.
+     * @param {string} template - ZPL template
+     * @param {Object} variables - Variables object from prepare()
+     * @returns {string} ZPL with substituted values
+     * @throws {Error} When the template syntax is malformed (TemplateLanguage.syntaxError)
+     */
+    static replace(template, variables) {
+        return TemplateLanguage.render(template, variables, {
+            defaults: LABEL_FIELD_DEFAULTS,
+            escape: SecurityUtils.escapeZpl
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LabelVariables, LABEL_TEXT_FIELDS, LABEL_FIELD_DEFAULTS };
+}
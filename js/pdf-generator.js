@@ -1,14 +1,14 @@
 /**
  * PDF Generator
- * Converts ZPL to PDF using Labelary API and handles downloads
+ * Renders ZPL offline with ZplRenderer, assembles PDFs locally and handles downloads
  */
 
 class PdfGenerator {
     constructor() {
-        this.baseUrl = 'https://api.labelary.com/v1/printers';
-        this.dpi = '12dpmm'; // 12 dots per mm (≈300 DPI to match ZPL templates)
+        this.renderer = new ZplRenderer({ dotsPerMm: 12 }); // 12 dots per mm (≈300 DPI to match ZPL templates)
+        this.jpegQuality = 0.92;
 
-        // Label dimensions in inches (Labelary requires inches)
+        // Label dimensions in inches (PDF page size, 72 points per inch)
         this.labelDimensions = {
             small: {
                 width: 2.56,   // 65mm = 2.56 inches
@@ -24,7 +24,7 @@ class PdfGenerator {
     }
 
     /**
-     * Convert ZPL to PDF using Labelary API
+     * Convert ZPL to PDF by rendering every label locally
      * @param {string} zpl - ZPL code to convert
      * @param {string} labelSize - 'small' or 'big'
      * @returns {Promise<Blob>} PDF blob
@@ -43,55 +43,40 @@ class PdfGenerator {
         }
 
         const dimensions = this.labelDimensions[labelSize];
-        const url = this.buildLabelaryUrl(dimensions.width, dimensions.height);
 
         devLog('PdfGenerator', 'Starting PDF conversion', {
             'Label Size': dimensions.mm,
             'Dimensions': `${dimensions.width}" x ${dimensions.height}"`,
-            'API URL': url,
             'ZPL Length': `${zpl.length} characters`,
             'ZPL Preview': `${zpl.substring(0, 100)}...`
         });
 
         try {
-            devLog('PdfGenerator', 'Sending request to Labelary API...');
-
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Accept': 'application/pdf'
-                },
-                body: zpl
+            const canvases = this.renderer.renderAll(zpl, {
+                width: Math.round(dimensions.width * 25.4 * this.renderer.dotsPerMm),
+                height: Math.round(dimensions.height * 25.4 * this.renderer.dotsPerMm)
             });
 
-            devLog('PdfGenerator', 'Response received', {
-                'Status': `${response.status} ${response.statusText}`,
-                'Content-Type': response.headers.get('content-type'),
-                'Content-Length': response.headers.get('content-length')
-            });
-
-            if (!response.ok) {
-                const responseText = await response.text();
-                const error = new Error(`Labelary API error: ${response.status} ${response.statusText} - ${responseText}`);
-                devError('PdfGenerator', 'Labelary API error response', error, { responseText });
-                throw error;
+            if (canvases.length === 0) {
+                throw new Error('No ^XA...^XZ label found in ZPL data');
             }
 
-            const blob = await response.blob();
-            devLog('PdfGenerator', 'Blob received', {
-                'Blob Type': blob.type,
+            devLog('PdfGenerator', 'Labels rendered', { 'Label Count': canvases.length });
+
+            const pages = await Promise.all(canvases.map(async canvas => {
+                const jpeg = await this.renderer.canvasToBlob(canvas, 'image/jpeg', this.jpegQuality);
+                return {
+                    width: canvas.width,
+                    height: canvas.height,
+                    jpeg: new Uint8Array(await jpeg.arrayBuffer())
+                };
+            }));
+
+            const blob = this.buildPdf(pages, dimensions.width * 72, dimensions.height * 72);
+            devLog('PdfGenerator', '✓ Conversion successful', {
+                'Pages': pages.length,
                 'Blob Size': `${blob.size} bytes`
             });
-
-            // Accept both PDF and PNG formats
-            const acceptedTypes = ['application/pdf', 'image/png'];
-            if (!acceptedTypes.includes(blob.type)) {
-                const error = new Error(`Unexpected response type. Received: ${blob.type}`);
-                devError('PdfGenerator', 'Invalid blob type received', error, { blobType: blob.type });
-                throw error;
-            }
-            devLog('PdfGenerator', '✓ Conversion successful', { 'Format': blob.type });
             return blob;
 
         } catch (error) {
@@ -104,14 +89,71 @@ class PdfGenerator {
     }
 
     /**
-     * Build Labelary API URL
-     * @param {number} width - Label width in inches
-     * @param {number} height - Label height in inches
-     * @returns {string} Complete API URL
+     * Assemble a PDF with one full-page JPEG image per page
+     * @param {Array<Object>} pages - { width, height, jpeg: Uint8Array } per page
+     * @param {number} pageWidth - Page width in points
+     * @param {number} pageHeight - Page height in points
+     * @returns {Blob} PDF blob
      */
-    buildLabelaryUrl(width, height) {
-        // Format: http://api.labelary.com/v1/printers/8dpmm/labels/4.88x2.75/0/
-        return `${this.baseUrl}/${this.dpi}/labels/${width}x${height}/0/`;
+    buildPdf(pages, pageWidth, pageHeight) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (part) => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const beginObject = (id) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+        };
+
+        const w = pageWidth.toFixed(2);
+        const h = pageHeight.toFixed(2);
+        // Object ids: 1 catalog, 2 page tree, then page/content/image per label
+        const pageIds = pages.map((page, index) => 3 + index * 3);
+
+        write('%PDF-1.4\n%\u00e2\u00e3\u00cf\u00d3\n');
+
+        beginObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+        beginObject(2);
+        write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+        pages.forEach((page, index) => {
+            const pageId = pageIds[index];
+            const contentId = pageId + 1;
+            const imageId = pageId + 2;
+            const content = `q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`;
+
+            beginObject(pageId);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] ` +
+                `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>\nendobj\n`);
+
+            beginObject(contentId);
+            write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+            beginObject(imageId);
+            write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+            write(page.jpeg);
+            write('\nendstream\nendobj\n');
+        });
+
+        const objectCount = 3 + pages.length * 3;
+        const xrefOffset = length;
+        let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objectCount; id++) {
+            xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        write(xref);
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
     }
 
     /**
@@ -222,8 +264,7 @@ class PdfGenerator {
         console.log(`[PdfGenerator] Batch converting ${zplArray.length} labels`);
 
         try {
-            // Note: Labelary API processes multiple labels in a single request
-            // by concatenating ZPL with proper separators
+            // Every ^XA...^XZ block becomes its own PDF page
             const combinedZpl = zplArray.join('\n');
             return await this.convertZplToPdf(combinedZpl, labelSize);
 
@@ -253,24 +294,6 @@ class PdfGenerator {
         }
     }
 
-    /**
-     * Test Labelary API connectivity
-     * @returns {Promise<boolean>} API availability status
-     */
-    async testApiConnection() {
-        const testZpl = '^XA^FO20,20^A0N,25,25^FDTEST^FS^XZ';
-
-        try {
-            await this.convertZplToPdf(testZpl, 'small');
-            console.log('[PdfGenerator] Labelary API is available');
-            return true;
-
-        } catch (error) {
-            console.error('[PdfGenerator] Labelary API unavailable:', error);
-            return false;
-        }
-    }
-
     /**
      * Get label dimensions for a given size
      * @param {string} labelSize - 'small' or 'big'
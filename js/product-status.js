@@ -0,0 +1,147 @@
+/**
+ * Product Status
+ * Interprets the importers sheet's STATUS and "date change" columns.
+ * STATUS is free text maintained by hand: "end", "stop" and "no" mark a kit as
+ * discontinued, "UD" (with variants like "ud c", "UD L") marks it as pending,
+ * anything else (empty, C, L, Y, ...) counts as active.
+ */
+
+const PRODUCT_STATUS = {
+    ACTIVE: 'active',
+    PENDING: 'pending',
+    DISCONTINUED: 'discontinued'
+};
+
+const STATUS_CONFIG = {
+    DISCONTINUED_CODES: ['END', 'STOP', 'NO'],
+    PENDING_PREFIX: 'UD',
+    RECENT_CHANGE_DAYS: 60         // Window for the "recently changed" badge
+};
+
+const STATUS_LABELS = {
+    [PRODUCT_STATUS.ACTIVE]: 'Active',
+    [PRODUCT_STATUS.PENDING]: 'Pending',
+    [PRODUCT_STATUS.DISCONTINUED]: 'Discontinued'
+};
+
+class ProductStatus {
+    /**
+     * Classify a STATUS cell
+     * @param {*} value - STATUS cell value
+     * @returns {Object} { status, label, code } - code is the trimmed original value
+     */
+    static classify(value) {
+        const code = value === null || value === undefined ? '' : String(value).trim();
+        const normalized = code.toUpperCase().replace(/\s+/g, ' ');
+
+        let status = PRODUCT_STATUS.ACTIVE;
+        if (STATUS_CONFIG.DISCONTINUED_CODES.includes(normalized)) {
+            status = PRODUCT_STATUS.DISCONTINUED;
+        } else if (normalized.startsWith(STATUS_CONFIG.PENDING_PREFIX)) {
+            status = PRODUCT_STATUS.PENDING;
+        }
+
+        return { status, label: STATUS_LABELS[status], code };
+    }
+
+    /**
+     * Classify a row
+     * @param {Object} row - Row keyed by field name
+     * @returns {Object} { status, label, code }
+     */
+    static forRow(row) {
+        return this.classify(row ? row.STATUS : '');
+    }
+
+    /**
+     * Check if a row is active
+     * @param {Object} row - Row keyed by field name
+     * @returns {boolean} True if neither discontinued nor pending
+     */
+    static isActive(row) {
+        return this.forRow(row).status === PRODUCT_STATUS.ACTIVE;
+    }
+
+    /**
+     * Parse a "date change" cell
+     * Accepts Date objects, Excel serial numbers, YYYY-MM-DD text (also as an ISO timestamp,
+     * e.g. a date that went through JSON) and DD-MM-YYYY text with -, / or . separators.
+     * @param {*} value - Cell value
+     * @returns {Date|null} Date (UTC midnight) or null if empty/unparseable
+     */
+    static parseChangeDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value;
+        }
+
+        if (typeof value === 'number' && value > 0) {
+            // Excel serial: days since 1899-12-30
+            return new Date(Math.round((value - 25569) * 86400000));
+        }
+
+        const text = value === null || value === undefined ? '' : String(value).trim();
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(T[\d:.]+Z?)?$/);
+        if (match) {
+            return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+        }
+
+        match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+        if (match) {
+            return new Date(Date.UTC(+match[3], +match[2] - 1, +match[1]));
+        }
+
+        return null;
+    }
+
+    /**
+     * Latest change date in a dataset (the sheet's "as of" date)
+     * @param {Array<Object>} rows - Rows keyed by field name
+     * @returns {Date|null} Latest date, never later than today
+     */
+    static latestChangeDate(rows) {
+        const now = Date.now();
+        let latest = null;
+
+        rows.forEach(row => {
+            const date = this.parseChangeDate(row.DATE_CHANGE);
+            if (date && date.getTime() <= now && (!latest || date > latest)) {
+                latest = date;
+            }
+        });
+
+        return latest;
+    }
+
+    /**
+     * Check if a row changed shortly before the reference date
+     * The reference is the dataset's latest change, so an older sheet still shows its last edits.
+     * @param {Object} row - Row keyed by field name
+     * @param {Date|null} referenceDate - Usually latestChangeDate() of the dataset
+     * @param {number} days - Window in days
+     * @returns {boolean} True if changed within the window
+     */
+    static isRecentlyChanged(row, referenceDate, days = STATUS_CONFIG.RECENT_CHANGE_DAYS) {
+        const date = this.parseChangeDate(row ? row.DATE_CHANGE : null);
+        if (!date || !referenceDate) {
+            return false;
+        }
+
+        const age = referenceDate.getTime() - date.getTime();
+        return age >= 0 && age <= days * 86400000;
+    }
+
+    /**
+     * Format a change date for display
+     * @param {*} value - "date change" cell value
+     * @returns {string} YYYY-MM-DD or '' if empty
+     */
+    static formatChangeDate(value) {
+        const date = this.parseChangeDate(value);
+        return date ? date.toISOString().substring(0, 10) : '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProductStatus, PRODUCT_STATUS, STATUS_CONFIG };
+}
@@ -1,32 +1,729 @@
+// Status filters for the results list
+const SEARCH_STATUS_FILTERS = {
+  ALL: 'all',
+  HIDE_DISCONTINUED: 'hide-discontinued',
+  ACTIVE: 'active',
+  RECENT: 'recent'
+};
+
+// What the search box looks up: kit codes and vehicles, or chassis / EU type-approval numbers
+const SEARCH_MODES = {
+  KITS: 'kits',
+  VEHICLE_NUMBER: 'vehicle-number'
+};
+
+// Vehicle identification columns, looked up in SEARCH_MODES.VEHICLE_NUMBER
+const SEARCH_VEHICLE_NUMBER_FIELDS = ['CHASSIS_NUMBER', 'EU_NUMBER'];
+
+// A VIN starts with a 3-character manufacturer code; chassis codes like "SC59" start or follow it
+const SEARCH_VIN_MANUFACTURER_LENGTH = 3;
+
+// Shortest chassis code matched inside a VIN (shorter ones like "KS" would match too many VINs)
+const SEARCH_VIN_MIN_CODE_LENGTH = 3;
+
+// Length of the n-grams indexed for partial matches
+const SEARCH_NGRAM_SIZE = 3;
+
+// Score per query token, by where and how it matched
+const SEARCH_SCORES = {
+  CODE_EXACT: 100,
+  CODE_PREFIX: 60,
+  CODE_SUBSTRING: 40,
+  CODE_FUZZY: 30,
+  BRAND_EXACT: 30,
+  BRAND_PREFIX: 20,
+  BRAND_FUZZY: 15,
+  MODEL_COMPACT_EXACT: 28,
+  MODEL_EXACT: 25,
+  MODEL_COMPACT_PREFIX: 22,
+  MODEL_PREFIX: 18,
+  MODEL_SUBSTRING: 12,
+  MODEL_FUZZY: 10,
+  YEAR_IN_RANGE: 20,
+  YEAR_ALL: 10,
+  NUMBER_EXACT: 100,
+  NUMBER_IN_VIN: 60,
+  NUMBER_PREFIX: 40,
+  NUMBER_SUBSTRING: 20
+};
+
+const SEARCH_RESULT_LIMIT = 50;
+
+// Entries indexed between two progress reports
+const SEARCH_PROGRESS_INTERVAL = 500;
+
 class ProductSearch {
-  constructor(data) {
-    this.data = data;
+  /**
+   * @param {Array<Object>} data - Rows keyed by field name
+   * @param {Object} options - See updateData()
+   */
+  constructor(data, options = {}) {
+    this.updateData(data, options);
+  }
+
+  /**
+   * Search rows by kit code, brand, model and year
+   * @param {string} query - Search text (min 2 characters)
+   * @param {string} statusFilter - One of SEARCH_STATUS_FILTERS
+   * @param {string|null} sourceFilter - SOURCE label to limit results to (null: every source)
+   * @returns {Array<Object>} Up to 50 matching rows, best match first
+   */
+  search(query, statusFilter = SEARCH_STATUS_FILTERS.ALL, sourceFilter = null) {
+    return this.searchRanked(query, statusFilter, sourceFilter).map(result => result.row);
   }
 
-  search(query) {
+  /**
+   * Ranked search with match details
+   * Every query token has to match the code, brand, model or year of a row.
+   * Brand and model words tolerate small typos; numeric tokens also match year ranges.
+   * @param {string} query - Search text (min 2 characters)
+   * @param {string} statusFilter - One of SEARCH_STATUS_FILTERS
+   * @param {string|null} sourceFilter - SOURCE label to limit results to (null: every source)
+   * @returns {Array<Object>} Up to 50 of { row, score, codeField, highlights }
+   *   codeField: code field matched by the query (null for brand/model/year matches)
+   *   highlights: { FIELD: [matched text] } for highlighting
+   */
+  searchRanked(query, statusFilter = SEARCH_STATUS_FILTERS.ALL, sourceFilter = null) {
     if (!query || query.trim().length < 2) {
       return [];
     }
 
-    const lowerQuery = query.toLowerCase().trim();
+    const tokens = ProductSearch.tokenize(query);
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    const results = [];
+
+    this.getCandidates(tokens).forEach(entry => {
+      if (!this.matchesFilters(entry.row, statusFilter, sourceFilter)) {
+        return;
+      }
+
+      const result = ProductSearch.scoreEntry(entry, tokens);
+      if (result) {
+        results.push(result);
+      }
+    });
+
+    return ProductSearch.rankResults(results);
+  }
+
+  /**
+   * Find vehicles by chassis number / VIN or EU type-approval number
+   * A full VIN finds the rows whose chassis code starts it or follows its manufacturer code
+   * ("JH2SC59..." finds "SC59"); the start of a chassis or EU number finds the rows that have it.
+   * Spaces and separators are ignored ("e1*168/2013*00292" = "E1 168 2013 00292").
+   * @param {string} query - VIN, chassis code or EU number (min 2 characters)
+   * @param {string} statusFilter - One of SEARCH_STATUS_FILTERS
+   * @param {string|null} sourceFilter - SOURCE label to limit results to (null: every source)
+   * @returns {Array<Object>} Up to 50 of { row, score, codeField: null, highlights }, as searchRanked()
+   */
+  searchVehicleNumber(query, statusFilter = SEARCH_STATUS_FILTERS.ALL, sourceFilter = null) {
+    const compact = ProductSearch.compact(query || '');
+    if (compact.length < 2) {
+      return [];
+    }
+
+    const results = [];
+
+    this.entries.forEach(entry => {
+      if (entry.vehicleNumbers.length === 0 || !this.matchesFilters(entry.row, statusFilter, sourceFilter)) {
+        return;
+      }
+
+      let best = null;
+      entry.vehicleNumbers.forEach(number => {
+        const score = ProductSearch.scoreVehicleNumber(number, compact);
+        if (score > 0 && (!best || score > best.score)) {
+          best = { score, number };
+        }
+      });
+
+      if (best) {
+        results.push({
+          entry,
+          score: best.score,
+          codeField: null,
+          highlights: { [best.number.field]: [best.number.text] }
+        });
+      }
+    });
+
+    return ProductSearch.rankResults(results);
+  }
+
+  /**
+   * Score a chassis or EU number against a query
+   * @param {Object} number - { field, text, compact } from vehicleNumbers()
+   * @param {string} query - Compact query
+   * @returns {number} One of the NUMBER_ scores, 0 when it does not match
+   */
+  static scoreVehicleNumber(number, query) {
+    const code = number.compact;
+
+    if (code === query) {
+      return SEARCH_SCORES.NUMBER_EXACT;
+    }
+    if (number.field === 'CHASSIS_NUMBER' && code.length >= SEARCH_VIN_MIN_CODE_LENGTH &&
+        (query.startsWith(code) || query.startsWith(code, SEARCH_VIN_MANUFACTURER_LENGTH))) {
+      return SEARCH_SCORES.NUMBER_IN_VIN;
+    }
+    if (code.startsWith(query)) {
+      return SEARCH_SCORES.NUMBER_PREFIX;
+    }
+    if (query.length >= SEARCH_NGRAM_SIZE && code.includes(query)) {
+      return SEARCH_SCORES.NUMBER_SUBSTRING;
+    }
+    return 0;
+  }
+
+  /**
+   * Sort scored entries and keep the first SEARCH_RESULT_LIMIT
+   * @param {Array<Object>} results - { entry, score, codeField, highlights }
+   * @returns {Array<Object>} { row, score, codeField, highlights }
+   */
+  static rankResults(results) {
+    // Best score first; active kits before pending/discontinued; then sheet order
+    results.sort((a, b) =>
+      b.score - a.score ||
+      a.entry.statusRank - b.entry.statusRank ||
+      a.entry.index - b.entry.index);
+
+    return results.slice(0, SEARCH_RESULT_LIMIT).map(({ entry, score, codeField, highlights }) => ({
+      row: entry.row,
+      score,
+      codeField,
+      highlights
+    }));
+  }
+
+  /**
+   * Entries that can match all tokens, from the n-gram and word indexes
+   * Year tokens and tokens shorter than an n-gram are not looked up; scoreEntry() checks them.
+   * @param {Array<Object>} tokens - Query tokens
+   * @returns {Array<Object>} Search entries in sheet order (all entries if nothing could be looked up)
+   */
+  getCandidates(tokens) {
+    let candidates = null;
+
+    for (const token of tokens) {
+      if (token.year !== null || token.compact.length < SEARCH_NGRAM_SIZE) {
+        continue;
+      }
+
+      const matches = this.lookupToken(token);
+      candidates = candidates ? new Set([...matches].filter(index => candidates.has(index))) : matches;
+
+      if (candidates.size === 0) {
+        return [];
+      }
+    }
+
+    if (!candidates) {
+      return this.entries;
+    }
+
+    return [...candidates].sort((a, b) => a - b).map(index => this.entries[index]);
+  }
+
+  /**
+   * Indexes of entries a token may match (a superset; scoreEntry() decides)
+   * @param {Object} token - Query token
+   * @returns {Set<number>} Entry indexes
+   */
+  lookupToken(token) {
+    const matches = new Set();
+    const addAll = indexes => indexes.forEach(index => matches.add(index));
+
+    // Substrings of codes, brands and models (exact and prefix matches included)
+    addAll(ProductSearch.lookupGrams(this.codeGrams, token.text));
+    addAll(ProductSearch.lookupGrams(this.vehicleGrams, token.compact));
+
+    // Typos in codes
+    if (token.text.length >= 8) {
+      addAll(ProductSearch.lookupSimilarGrams(this.codeGrams, token.text, 1));
+    }
+
+    // Typos in brand and model words
+    const tolerance = ProductSearch.typoTolerance(token.compact);
+    if (tolerance > 0) {
+      this.vocabulary.forEach((indexes, word) => {
+        if (ProductSearch.withinDistance(token.compact, word, tolerance)) {
+          addAll(indexes);
+        }
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Entries containing every n-gram of a text
+   * @param {Map<string, Array<number>>} grams - N-gram index
+   * @param {string} text - Lower-case text (at least SEARCH_NGRAM_SIZE long)
+   * @returns {Array<number>} Entry indexes
+   */
+  static lookupGrams(grams, text) {
+    const postings = [];
+
+    for (const gram of ProductSearch.ngrams(text)) {
+      const posting = grams.get(gram);
+      if (!posting) {
+        return [];
+      }
+      postings.push(posting);
+    }
+
+    if (postings.length === 0) {
+      return [];
+    }
+
+    // Intersect, starting from the rarest n-gram
+    postings.sort((a, b) => a.length - b.length);
+    return postings.slice(1).reduce((result, posting) => {
+      const set = new Set(posting);
+      return result.filter(index => set.has(index));
+    }, postings[0]);
+  }
+
+  /**
+   * Entries sharing enough n-grams with a text to be within an edit distance
+   * One edit (or swap of two neighbours) changes at most SEARCH_NGRAM_SIZE + 1 n-grams.
+   * @param {Map<string, Array<number>>} grams - N-gram index
+   * @param {string} text - Lower-case text
+   * @param {number} maxDistance - Maximum edit distance
+   * @returns {Array<number>} Entry indexes
+   */
+  static lookupSimilarGrams(grams, text, maxDistance) {
+    const textGrams = ProductSearch.ngrams(text);
+    const required = textGrams.size - maxDistance * (SEARCH_NGRAM_SIZE + 1);
+    if (required <= 0) {
+      return [];
+    }
+
+    const counts = new Map();
+    textGrams.forEach(gram => {
+      (grams.get(gram) || []).forEach(index => counts.set(index, (counts.get(index) || 0) + 1));
+    });
+
+    const result = [];
+    counts.forEach((count, index) => {
+      if (count >= required) {
+        result.push(index);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Distinct n-grams of a text
+   * @param {string} text - Text
+   * @returns {Set<string>} N-grams
+   */
+  static ngrams(text) {
+    const grams = new Set();
+    for (let i = 0; i + SEARCH_NGRAM_SIZE <= text.length; i++) {
+      grams.add(text.substring(i, i + SEARCH_NGRAM_SIZE));
+    }
+    return grams;
+  }
+
+  /**
+   * Split a query into lower-case tokens
+   * @param {string} query - Search text
+   * @returns {Array<Object>} { text, compact, year } per token
+   */
+  static tokenize(query) {
+    return query.toLowerCase().trim().split(/\s+/)
+      .map(text => ({
+        text,
+        compact: ProductSearch.compact(text),
+        year: /^\d{2}$|^\d{4}$/.test(text) ? ValueNormalizer.expandYear(parseInt(text, 10)) : null
+      }))
+      .filter(token => token.compact.length > 0);
+  }
+
+  /**
+   * Prepare a row for searching
+   * @param {Object} row - Row keyed by field name
+   * @param {number} index - Position in the sheet
+   * @returns {Object} Search entry
+   */
+  static buildEntry(row, index) {
+    const brand = String(row.BRAND_NAME || '').toLowerCase();
+    const model = String(row.MODEL_TYPE || '').toLowerCase();
+    const status = ProductStatus.forRow(row).status;
+
+    return {
+      row,
+      index,
+      // Kit codes are read from the columns of the registered kit types (KIT_TYPES)
+      codes: KitTypes.getCodeFields().map(field => ({
+        field,
+        value: String(row[field] || '').trim().toLowerCase()
+      })).filter(code => /[a-z0-9]/.test(code.value)), // Skip placeholders like "--"
+      brandWords: ProductSearch.words(brand),
+      brandCompact: ProductSearch.compact(brand),
+      modelWords: ProductSearch.words(model),
+      modelCompact: ProductSearch.compact(model),
+      yearRange: ValueNormalizer.parseYearRange(row.YEAR),
+      vehicleNumbers: ProductSearch.vehicleNumbers(row),
+      statusRank: status === PRODUCT_STATUS.ACTIVE ? 0 : (status === PRODUCT_STATUS.PENDING ? 1 : 2)
+    };
+  }
+
+  /**
+   * Chassis and EU numbers of a row, one per number when a cell lists several
+   * Chassis cells are split at "/" ("JA55/JA65"); EU cells only at a "/" before a letter,
+   * since "e1*168/2013*00292" is one number.
+   * @param {Object} row - Row keyed by field name
+   * @returns {Array<Object>} { field, text, compact }
+   */
+  static vehicleNumbers(row) {
+    const separators = {
+      CHASSIS_NUMBER: /[/,;]|\s{2,}/,
+      EU_NUMBER: /[,;]|\s{2,}|\/(?=\s*[a-z])/i
+    };
+
+    return SEARCH_VEHICLE_NUMBER_FIELDS.flatMap(field => String(row[field] || '')
+      .split(separators[field])
+      .map(text => text.trim())
+      .map(text => ({ field, text, compact: ProductSearch.compact(text) }))
+      .filter(number => number.compact.length >= 2));
+  }
+
+  /**
+   * Score one entry against all tokens
+   * @param {Object} entry - Search entry
+   * @param {Array<Object>} tokens - Query tokens
+   * @returns {Object|null} { entry, score, codeField, highlights } or null if a token does not match
+   */
+  static scoreEntry(entry, tokens) {
+    let score = 0;
+    let codeField = null;
+    const highlights = {};
+
+    for (const token of tokens) {
+      const best = ProductSearch.bestTokenMatch(entry, token);
+      if (!best) {
+        return null;
+      }
+
+      score += best.score;
+      if (best.codeField && !codeField) {
+        codeField = best.codeField;
+      }
+      if (!highlights[best.field]) {
+        highlights[best.field] = [];
+      }
+      highlights[best.field].push(best.term);
+    }
+
+    return { entry, score, codeField, highlights };
+  }
+
+  /**
+   * Best match of a single token in an entry
+   * @param {Object} entry - Search entry
+   * @param {Object} token - Query token
+   * @returns {Object|null} { score, field, term, codeField? }
+   */
+  static bestTokenMatch(entry, token) {
+    let best = null;
+    const consider = (score, field, term, codeField) => {
+      if (!best || score > best.score) {
+        best = { score, field, term, codeField };
+      }
+    };
+
+    // Kit codes
+    entry.codes.forEach(({ field, value }) => {
+      if (value === token.text) {
+        consider(SEARCH_SCORES.CODE_EXACT, field, value, field);
+      } else if (value.startsWith(token.text)) {
+        consider(SEARCH_SCORES.CODE_PREFIX, field, token.text, field);
+      } else if (value.includes(token.text)) {
+        consider(SEARCH_SCORES.CODE_SUBSTRING, field, token.text, field);
+      } else if (token.text.length >= 8 && ProductSearch.withinDistance(token.text, value, 1)) {
+        consider(SEARCH_SCORES.CODE_FUZZY, field, value, field);
+      }
+    });
 
-    const results = this.data.filter(row => {
-      // Search in columns C, D, E (product codes)
-      const cValue = (row.C || '').toString().toLowerCase();
-      const dValue = (row.D || '').toString().toLowerCase();
-      const eValue = (row.E || '').toString().toLowerCase();
+    // Brand
+    entry.brandWords.forEach(word => {
+      if (word === token.compact || entry.brandCompact === token.compact) {
+        consider(SEARCH_SCORES.BRAND_EXACT, 'BRAND_NAME', word);
+      } else if (word.startsWith(token.compact)) {
+        consider(SEARCH_SCORES.BRAND_PREFIX, 'BRAND_NAME', token.compact);
+      } else if (ProductSearch.withinDistance(token.compact, word, ProductSearch.typoTolerance(token.compact))) {
+        consider(SEARCH_SCORES.BRAND_FUZZY, 'BRAND_NAME', word);
+      }
+    });
 
-      return cValue.includes(lowerQuery) ||
-             dValue.includes(lowerQuery) ||
-             eValue.includes(lowerQuery);
+    // Model: words ("mt", "09") and the compact form ("mt09") so "mt-09", "mt09" and "mt 09" all match
+    if (entry.modelCompact === token.compact) {
+      consider(SEARCH_SCORES.MODEL_COMPACT_EXACT, 'MODEL_TYPE', String(entry.row.MODEL_TYPE));
+    }
+    entry.modelWords.forEach(word => {
+      if (word === token.compact) {
+        consider(SEARCH_SCORES.MODEL_EXACT, 'MODEL_TYPE', word);
+      } else if (word.startsWith(token.compact)) {
+        consider(SEARCH_SCORES.MODEL_PREFIX, 'MODEL_TYPE', token.compact);
+      } else if (ProductSearch.withinDistance(token.compact, word, ProductSearch.typoTolerance(token.compact))) {
+        consider(SEARCH_SCORES.MODEL_FUZZY, 'MODEL_TYPE', word);
+      }
     });
+    if (token.compact.length >= 2 && entry.modelCompact.includes(token.compact)) {
+      const score = entry.modelCompact.startsWith(token.compact)
+        ? SEARCH_SCORES.MODEL_COMPACT_PREFIX
+        : SEARCH_SCORES.MODEL_SUBSTRING;
+      if (!best || score > best.score) {
+        consider(score, 'MODEL_TYPE', ProductSearch.originalSpan(String(entry.row.MODEL_TYPE), token.compact));
+      }
+    }
+
+    // Year ranges ("17-24", "95-97<", "94>", "ALL")
+    if (token.year !== null && entry.yearRange) {
+      if (entry.yearRange.all) {
+        consider(SEARCH_SCORES.YEAR_ALL, 'YEAR', entry.row.YEAR);
+      } else if (token.year >= entry.yearRange.from && token.year <= entry.yearRange.to) {
+        consider(SEARCH_SCORES.YEAR_IN_RANGE, 'YEAR', entry.row.YEAR);
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Lower-case letters and digits only
+   * @param {string} text - Text
+   * @returns {string} Compact form
+   */
+  static compact(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Part of the original text that a compact match covers ("z900" in "Z 900 RS" -> "Z 900")
+   * @param {string} text - Original text
+   * @param {string} compactNeedle - Compact form found in compact(text)
+   * @returns {string} Original substring ('' if not found)
+   */
+  static originalSpan(text, compactNeedle) {
+    const positions = [];
+    let compactText = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i].toLowerCase();
+      if (/[a-z0-9]/.test(char)) {
+        compactText += char;
+        positions.push(i);
+      }
+    }
 
-    // Limit results to 50 for performance
-    return results.slice(0, 50);
+    const start = compactText.indexOf(compactNeedle);
+    if (start === -1 || compactNeedle.length === 0) {
+      return '';
+    }
+
+    return text.substring(positions[start], positions[start + compactNeedle.length - 1] + 1);
+  }
+
+  /**
+   * Split text into alphanumeric words
+   * @param {string} text - Lower-case text
+   * @returns {Array<string>} Words
+   */
+  static words(text) {
+    return text.split(/[^a-z0-9]+/).filter(word => word.length > 0);
+  }
+
+  /**
+   * Allowed typos for a token (none for short or numeric tokens, where typos match too much)
+   * @param {string} token - Compact token
+   * @returns {number} Maximum edit distance
+   */
+  static typoTolerance(token) {
+    if (/^\d+$/.test(token)) return 0; // "2000" is not a typo of "1000"
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Check if two strings are within an edit distance (insert, delete, substitute, swap)
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} maxDistance - Maximum distance
+   * @returns {boolean} True if distance <= maxDistance
+   */
+  static withinDistance(a, b, maxDistance) {
+    if (maxDistance <= 0 || Math.abs(a.length - b.length) > maxDistance) {
+      return false;
+    }
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+        // Adjacent transposition ("ymaaha")
+        if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousPrevious[j - 2] + 1);
+        }
+
+        current[j] = value;
+        rowMin = Math.min(rowMin, value);
+      }
+
+      // Every later row is at least this far apart
+      if (rowMin > maxDistance) {
+        return false;
+      }
+
+      previousPrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length] <= maxDistance;
+  }
+
+  /**
+   * Check a row against a status filter
+   * @param {Object} row - Row keyed by field name
+   * @param {string} statusFilter - One of SEARCH_STATUS_FILTERS
+   * @returns {boolean} True if the row should be listed
+   */
+  matchesStatusFilter(row, statusFilter) {
+    switch (statusFilter) {
+      case SEARCH_STATUS_FILTERS.HIDE_DISCONTINUED:
+        return ProductStatus.forRow(row).status !== PRODUCT_STATUS.DISCONTINUED;
+      case SEARCH_STATUS_FILTERS.ACTIVE:
+        return ProductStatus.isActive(row);
+      case SEARCH_STATUS_FILTERS.RECENT:
+        return this.isRecentlyChanged(row);
+      default:
+        return true;
+    }
   }
 
-  updateData(data) {
+  /**
+   * Check a row against the status and source filters of the results list
+   * @param {Object} row - Row keyed by field name
+   * @param {string} statusFilter - One of SEARCH_STATUS_FILTERS
+   * @param {string|null} sourceFilter - SOURCE label (null: every source)
+   * @returns {boolean} True when the row passes both
+   */
+  matchesFilters(row, statusFilter, sourceFilter) {
+    return this.matchesStatusFilter(row, statusFilter) && (!sourceFilter || row.SOURCE === sourceFilter);
+  }
+
+  /**
+   * Check if a row changed shortly before the newest change in the data
+   * @param {Object} row - Row keyed by field name
+   * @returns {boolean} True if recently changed
+   */
+  isRecentlyChanged(row) {
+    return ProductStatus.isRecentlyChanged(row, this.latestChange);
+  }
+
+  /**
+   * Replace the searched rows
+   * @param {Array<Object>} data - Rows keyed by field name
+   * @param {Object} options - { index, onProgress }
+   *   index: result of exportIndex() for these rows (e.g. built in the Excel worker), skips indexing;
+   *     it must have been cloned together with data so its rows are the same objects
+   *   onProgress: (stage, fraction) called with stage 'index' while indexing
+   */
+  updateData(data, { index = null, onProgress = null } = {}) {
     this.data = data;
+
+    if (index) {
+      Object.assign(this, index);
+      return;
+    }
+
+    this.entries = data.map((row, rowIndex) => ProductSearch.buildEntry(row, rowIndex));
+    this.latestChange = ProductStatus.latestChangeDate(data);
+    this.buildIndex(onProgress);
+  }
+
+  /**
+   * Everything updateData() derives from the rows, to hand a built index to another thread
+   * @returns {Object} { entries, latestChange, codeIndex, codeGrams, vehicleGrams, vocabulary }
+   */
+  exportIndex() {
+    return {
+      entries: this.entries,
+      latestChange: this.latestChange,
+      codeIndex: this.codeIndex,
+      codeGrams: this.codeGrams,
+      vehicleGrams: this.vehicleGrams,
+      vocabulary: this.vocabulary
+    };
+  }
+
+  /**
+   * Build the lookup indexes for the loaded entries
+   * - codeIndex: upper-case code -> [{ row, kitType, field, index }], every occurrence in sheet order
+   * - codeGrams / vehicleGrams: n-gram -> entry indexes, for partial code and brand/model matches
+   * - vocabulary: brand/model word -> entry indexes, for typo matches
+   * @param {Function} onProgress - Optional (stage, fraction) callback, stage is 'index'
+   */
+  buildIndex(onProgress = null) {
+    const startTime = performance.now();
+    const addPosting = (map, key, index) => {
+      const posting = map.get(key);
+      if (!posting) {
+        map.set(key, [index]);
+      } else if (posting[posting.length - 1] !== index) {
+        posting.push(index);
+      }
+    };
+
+    this.codeIndex = new Map();
+    this.codeGrams = new Map();
+    this.vehicleGrams = new Map();
+    this.vocabulary = new Map();
+
+    this.entries.forEach(entry => {
+      const index = entry.index;
+
+      entry.codes.forEach(({ field, value }) => {
+        const code = value.toUpperCase();
+        const occurrence = { row: entry.row, kitType: KitTypes.forField(field), field, index };
+
+        if (this.codeIndex.has(code)) {
+          this.codeIndex.get(code).push(occurrence);
+        } else {
+          this.codeIndex.set(code, [occurrence]);
+        }
+
+        ProductSearch.ngrams(value).forEach(gram => addPosting(this.codeGrams, gram, index));
+      });
+
+      ProductSearch.ngrams(entry.brandCompact).forEach(gram => addPosting(this.vehicleGrams, gram, index));
+      ProductSearch.ngrams(entry.modelCompact).forEach(gram => addPosting(this.vehicleGrams, gram, index));
+      entry.brandWords.concat(entry.modelWords).forEach(word => addPosting(this.vocabulary, word, index));
+
+      if (onProgress && (index + 1) % SEARCH_PROGRESS_INTERVAL === 0) {
+        onProgress('index', (index + 1) / this.entries.length);
+      }
+    });
+
+    if (onProgress) {
+      onProgress('index', 1);
+    }
+
+    console.log(`[ProductSearch] Indexed ${this.codeIndex.size} codes from ${this.entries.length} rows ` +
+      `in ${Math.round(performance.now() - startTime)}ms`);
   }
 
   getDataSize() {
@@ -35,30 +732,121 @@ class ProductSearch {
 
   /**
    * Search for exact product code match
+   * A code can appear on several rows (shared kits) or in several columns of one row.
+   * Rows that are not discontinued come first; the first of those is the default match.
    * @param {string} query - Product code to search for
-   * @returns {Object|null} { match: rowData, kitType: 'fork'|'shock'|'combi' } or null
+   * @returns {Object|null} { match: rowData, kitType (KIT_TYPES id, e.g. 'fork'), matches } or null
+   *   matches: every { match, kitType } for the code, default first
    */
   searchExact(query) {
     if (!query || query.trim().length === 0) return null;
 
-    const normalized = query.trim().toUpperCase();
+    const occurrences = this.codeIndex.get(query.trim().toUpperCase());
+    if (!occurrences) return null;
 
-    // Search for exact match in each column
-    for (const row of this.data) {
-      // Column C = Fork kit
-      if ((row.C || '').toString().toUpperCase() === normalized) {
-        return { match: row, kitType: 'fork' };
-      }
-      // Column D = Shock kit
-      if ((row.D || '').toString().toUpperCase() === normalized) {
-        return { match: row, kitType: 'shock' };
-      }
-      // Column E = Combi kit
-      if ((row.E || '').toString().toUpperCase() === normalized) {
-        return { match: row, kitType: 'combi' };
-      }
-    }
+    const isDiscontinued = ({ row }) => ProductStatus.forRow(row).status === PRODUCT_STATUS.DISCONTINUED;
+    const matches = occurrences.filter(occurrence => !isDiscontinued(occurrence))
+      .concat(occurrences.filter(isDiscontinued))
+      .map(({ row, kitType }) => ({ match: row, kitType }));
+
+    return { ...matches[0], matches };
+  }
+
+  /**
+   * Combine the vehicles of several matches into one label row
+   * Kit settings come from the first match; fields that differ between the vehicles are reported.
+   * @param {Array<Object>} matches - { match, kitType } entries with the same kit type
+   * @returns {Object} { match: mergedRow, kitType, matches, merged: true, conflicts: [field] }
+   */
+  static mergeMatches(matches) {
+    const rows = matches.map(({ match }) => match);
+    const kitType = matches[0].kitType;
+    const distinct = field => [...new Set(rows
+      .map(row => String(row[field] === undefined || row[field] === null ? '' : row[field]).trim())
+      .filter(value => value))];
+
+    const brands = distinct('BRAND_NAME');
+    const merged = {
+      ...rows[0],
+      BRAND_NAME: brands.join(' / '),
+      // Keep each model with its brand when the brands differ
+      MODEL_TYPE: [...new Set(rows.map(row => brands.length > 1
+        ? `${row.BRAND_NAME} ${row.MODEL_TYPE}`.trim()
+        : String(row.MODEL_TYPE).trim()))].join(' / '),
+      YEAR: distinct('YEAR').join(' / ')
+    };
+
+    // The big label prints all kit codes; the other kits may differ per vehicle
+    KitTypes.getCodeFields().forEach(field => {
+      merged[field] = distinct(field).join(' / ');
+    });
+
+    // Settings are compared as printed, so "1-3 KLICKS OPEN" and "1 - 3 CLICKS OPEN" agree
+    const conflicts = KitTypes.getOrDefault(kitType).settingFields.filter(field =>
+      new Set(rows.map(row => ValueNormalizer.format(field, row[field])).filter(value => value)).size > 1);
+
+    return { match: merged, kitType, matches, merged: true, conflicts };
+  }
+
+  /**
+   * Codes that appear on more than one row or in more than one column
+   * @returns {Array<Object>} { code, occurrences: [{ row, field, index }], rowCount, fields } sorted by code
+   */
+  findDuplicateCodes() {
+    const duplicates = [];
+
+    this.codeIndex.forEach((occurrences, code) => {
+      if (occurrences.length < 2) return;
+
+      duplicates.push({
+        code,
+        occurrences: occurrences.map(({ row, field, index }) => ({ row, field, index })),
+        rowCount: new Set(occurrences.map(({ index }) => index)).size,
+        fields: [...new Set(occurrences.map(({ field }) => field))]
+      });
+    });
+
+    return duplicates.sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  /**
+   * Codes that rows from different sources print with different kit settings
+   * Each source's values of a setting are compared as a set, so vehicles sharing a kit
+   * within one source (see findDuplicateCodes) do not count as a conflict. Values are
+   * compared as printed (ValueNormalizer.format), so spelling differences do not count either.
+   * @returns {Array<Object>} { code, kitType, sources: [label], fields: [field],
+   *   occurrences: [{ row, field, index }] } sorted by code
+   */
+  findSourceConflicts() {
+    const conflicts = [];
+    const value = (row, field) => ValueNormalizer.format(field, row[field]);
+
+    this.codeIndex.forEach((occurrences, code) => {
+      KitTypes.getAll().forEach(({ id: kitType, settingFields }) => {
+        const kitOccurrences = occurrences.filter(occurrence => occurrence.kitType === kitType);
+        const bySource = new Map();
+        kitOccurrences.forEach(({ row }) => {
+          bySource.set(row.SOURCE, (bySource.get(row.SOURCE) || []).concat(row));
+        });
+        if (bySource.size < 2) return;
+
+        const fields = settingFields.filter(field => {
+          const valueSets = [...bySource.values()]
+            .map(rows => [...new Set(rows.map(row => value(row, field)))].sort().join('\n'));
+          return new Set(valueSets).size > 1;
+        });
+        if (fields.length === 0) return;
+
+        conflicts.push({
+          code,
+          kitType,
+          sources: [...bySource.keys()],
+          fields,
+          occurrences: kitOccurrences.map(({ row, field, index }) => ({ row, field, index }))
+        });
+      });
+    });
 
-    return null; // No exact match found
+    return conflicts.sort((a, b) => a.code.localeCompare(b.code));
   }
 }
@@ -3,6 +3,162 @@
  * Provides XSS protection, ZPL injection prevention, validation, and utilities
  */
 
+const DATA_QUALITY_SEVERITY = {
+  ERROR: 'error',      // Row cannot be added to the cart
+  WARNING: 'warning'   // Label can be printed but is probably wrong or incomplete
+};
+
+// Cell values used as "unknown" instead of leaving the cell empty
+const DATA_QUALITY_PLACEHOLDERS = ['-', '--', '---', '#', '?', '??'];
+
+// Fields printed on the labels, checked for placeholders and question marks
+const DATA_QUALITY_SETTING_FIELDS = [
+  'FORK_SPRING', 'OIL_TYPE', 'OIL_LEVEL', 'FORK_PRELOAD', 'FORK_SAG', 'FORK_COMPRESSION', 'FORK_REBOUND',
+  'SHOCK_SPRING', 'SHOCK_PRELOAD', 'SHOCK_SAG', 'SHOCK_COMPRESSION', 'SHOCK_REBOUND'
+];
+
+// Fields that always hold an oil grade or a length (see ValueNormalizer)
+const DATA_QUALITY_MEASURED_FIELDS = ['OIL_TYPE', 'FORK_SAG', 'SHOCK_SAG'];
+
+// Kit codes look like SP-YA09-SSA024: two letters, four characters, then the kit number
+const DATA_QUALITY_CODE_PATTERN = /^[A-Z]{2}-[A-Z0-9]{4}-[A-Z0-9-]{3,}$/;
+
+/**
+ * Row rules for the data-quality dashboard and cart validation
+ * check(row) returns [{ field, message }] for every problem in the row.
+ */
+const DATA_QUALITY_RULES = [
+  {
+    id: 'missing-code',
+    label: 'No kit code',
+    description: 'None of the kit code columns (one per kit type) is filled in',
+    severity: DATA_QUALITY_SEVERITY.ERROR,
+    check: row => {
+      if (KitTypes.forRow(row).length > 0) return [];
+      const columns = KitTypes.getCodeFields().map(field => ColumnMapping.getLabel(field)).join(', ');
+      return [{ field: null, message: `Missing product code (requires at least one of: ${columns})` }];
+    }
+  },
+  {
+    id: 'missing-brand',
+    label: 'No brand',
+    description: 'Brand name is empty',
+    severity: DATA_QUALITY_SEVERITY.ERROR,
+    check: row => SecurityUtils.hasValue(row.BRAND_NAME) ? [] : [{ field: 'BRAND_NAME', message: 'Missing brand name' }]
+  },
+  {
+    id: 'missing-model',
+    label: 'No model',
+    description: 'Model type is empty',
+    severity: DATA_QUALITY_SEVERITY.ERROR,
+    check: row => SecurityUtils.hasValue(row.MODEL_TYPE) ? [] : [{ field: 'MODEL_TYPE', message: 'Missing model type' }]
+  },
+  {
+    id: 'missing-year',
+    label: 'No year',
+    description: 'Year is empty',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    check: row => SecurityUtils.hasValue(row.YEAR) ? [] : [{ field: 'YEAR', message: 'Missing year' }]
+  },
+  {
+    id: 'unreadable-year',
+    label: 'Unreadable year',
+    description: 'Year is not a year or range like "17-24", "94>" or "ALL" (often a cell formatted as date)',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    check: row => {
+      if (!SecurityUtils.hasValue(row.YEAR) || ValueNormalizer.parseYearRange(row.YEAR)) return [];
+      return [{
+        field: 'YEAR',
+        message: typeof row.YEAR === 'number'
+          ? `Year ${row.YEAR} looks like a date serial number`
+          : `Year "${row.YEAR}" cannot be read`
+      }];
+    }
+  },
+  {
+    id: 'unreadable-measurement',
+    label: 'Unreadable oil grade or sag',
+    description: 'Oil type that is not a grade like "SAE 7,5", or sag that is not a length like "25-30 MM"',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    check: row => DATA_QUALITY_MEASURED_FIELDS
+      .filter(field => {
+        const value = SecurityUtils.hasValue(row[field]) ? String(row[field]).trim() : '';
+        // Uncertain values ("SAE 7,5?") are reported as placeholder-value
+        return /\d/.test(value) && !value.endsWith('?') && !ValueNormalizer.parse(field, value);
+      })
+      .map(field => ({ field, message: `${ColumnMapping.getLabel(field)} "${row[field]}" cannot be read` }))
+  },
+  {
+    id: 'fork-missing-oil-type',
+    label: 'Fork kit without oil type',
+    description: 'Fork or combi kit with an empty oil type',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    check: row => SecurityUtils.hasForkKit(row) && !SecurityUtils.hasValue(row.OIL_TYPE)
+      ? [{ field: 'OIL_TYPE', message: 'Missing oil type' }]
+      : []
+  },
+  {
+    id: 'fork-missing-oil-level',
+    label: 'Fork kit without oil level',
+    description: 'Fork or combi kit with an empty oil level',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    check: row => SecurityUtils.hasForkKit(row) && !SecurityUtils.hasValue(row.OIL_LEVEL)
+      ? [{ field: 'OIL_LEVEL', message: 'Missing oil level' }]
+      : []
+  },
+  {
+    id: 'fork-missing-spring',
+    label: 'Fork kit without fork spring',
+    description: 'Fork or combi kit with an empty fork spring',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    check: row => SecurityUtils.hasForkKit(row) && !SecurityUtils.hasValue(row.FORK_SPRING)
+      ? [{ field: 'FORK_SPRING', message: 'Missing fork spring' }]
+      : []
+  },
+  {
+    id: 'shock-missing-spring',
+    label: 'Shock kit without shock spring',
+    description: 'Shock or combi kit with an empty shock spring',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    check: row => SecurityUtils.hasShockKit(row) && !SecurityUtils.hasValue(row.SHOCK_SPRING)
+      ? [{ field: 'SHOCK_SPRING', message: 'Missing shock spring' }]
+      : []
+  },
+  {
+    id: 'suspicious-code',
+    label: 'Suspicious kit code',
+    description: 'Code with spaces, lower-case letters or another layout than SP-YA09-SSA024',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    check: row => KitTypes.getCodeFields()
+      .filter(field => SecurityUtils.hasValue(row[field]) && !DATA_QUALITY_CODE_PATTERN.test(String(row[field])))
+      .map(field => ({ field, message: `Code "${row[field]}" does not look like a kit code` }))
+  },
+  {
+    id: 'placeholder-value',
+    label: 'Placeholder or uncertain value',
+    description: 'Settings filled in with "-", "#" or "?", or ending in a question mark',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    check: row => DATA_QUALITY_SETTING_FIELDS
+      .filter(field => {
+        const value = SecurityUtils.hasValue(row[field]) ? String(row[field]).trim() : '';
+        return DATA_QUALITY_PLACEHOLDERS.includes(value) || (value.length > 1 && value.endsWith('?'));
+      })
+      .map(field => ({ field, message: `Value "${row[field]}" is a placeholder or uncertain` }))
+  },
+  {
+    id: 'oil-level-without-number',
+    label: 'Oil level without a number',
+    description: 'Oil level that contains no amount (placeholders excluded)',
+    severity: DATA_QUALITY_SEVERITY.WARNING,
+    check: row => {
+      const value = SecurityUtils.hasValue(row.OIL_LEVEL) ? String(row.OIL_LEVEL).trim() : '';
+      return value && !DATA_QUALITY_PLACEHOLDERS.includes(value) && !/\d/.test(value)
+        ? [{ field: 'OIL_LEVEL', message: `Oil level "${value}" has no amount` }]
+        : [];
+    }
+  }
+];
+
 class SecurityUtils {
   // ============ XSS PROTECTION ============
 
@@ -90,34 +246,19 @@ class SecurityUtils {
 
   /**
    * Validate row data has required fields
-   * Required: At least one product code (C, D, or E) + Brand (F) + Model (G)
+   * Required: At least one product code (fork, shock or combi) + Brand + Model
+   * These are the 'error' rules of DATA_QUALITY_RULES.
    * @param {Object} rowData - Product data to validate
    * @returns {Object} { valid: boolean, errors: Array }
    */
   static validateRowData(rowData) {
-    const errors = [];
-
     if (!rowData || typeof rowData !== 'object') {
       return { valid: false, errors: ['Row data is missing or invalid'] };
     }
 
-    // Check for at least one product code
-    const hasProductCode = rowData.C || rowData.D || rowData.E;
-    if (!hasProductCode) {
-      errors.push('Missing product code (requires at least one of: Fork Code, Shock Code, or Combi Code)');
-    }
-
-    // Check for brand name
-    const brandName = (rowData.F || '').toString().trim();
-    if (!brandName) {
-      errors.push('Missing brand name (F)');
-    }
-
-    // Check for model type
-    const modelType = (rowData.G || '').toString().trim();
-    if (!modelType) {
-      errors.push('Missing model type (G)');
-    }
+    const errors = this.checkRowQuality(rowData)
+      .filter(issue => issue.severity === DATA_QUALITY_SEVERITY.ERROR)
+      .map(issue => issue.message);
 
     return {
       valid: errors.length === 0,
@@ -125,14 +266,92 @@ class SecurityUtils {
     };
   }
 
+  /**
+   * Run every data-quality rule on a row
+   * @param {Object} rowData - Row keyed by field name
+   * @returns {Array<Object>} { ruleId, severity, field, value, message } per problem found
+   */
+  static checkRowQuality(rowData) {
+    const issues = [];
+
+    DATA_QUALITY_RULES.forEach(rule => {
+      rule.check(rowData).forEach(({ field, message }) => {
+        issues.push({
+          ruleId: rule.id,
+          severity: rule.severity,
+          field,
+          value: field ? rowData[field] : '',
+          message
+        });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Run every data-quality rule on a dataset
+   * @param {Array<Object>} rows - Rows keyed by field name
+   * @returns {Object} { checkedRows, rowsWithIssues, issueCount,
+   *   rules: [{ id, label, description, severity, issues: [{ index, row, field, value, message }] }] }
+   *   Rules are listed in DATA_QUALITY_RULES order, including rules without issues.
+   */
+  static validateDataset(rows) {
+    const rules = DATA_QUALITY_RULES.map(({ id, label, description, severity }) => ({
+      id, label, description, severity, issues: []
+    }));
+    const byId = new Map(rules.map(rule => [rule.id, rule]));
+    let rowsWithIssues = 0;
+    let issueCount = 0;
+
+    rows.forEach((row, index) => {
+      const issues = this.checkRowQuality(row);
+      if (issues.length === 0) return;
+
+      rowsWithIssues++;
+      issueCount += issues.length;
+      issues.forEach(({ ruleId, field, value, message }) => {
+        byId.get(ruleId).issues.push({ index, row, field, value, message });
+      });
+    });
+
+    return { checkedRows: rows.length, rowsWithIssues, issueCount, rules };
+  }
+
+  /**
+   * Check if a row has a fork kit (fork or combi)
+   * @param {Object} rowData - Row keyed by field name
+   * @returns {boolean} True if the code of a kit type printing the SMALL fork sticker is filled in
+   */
+  static hasForkKit(rowData) {
+    return KitTypes.printsRole(rowData, 'smallFork');
+  }
+
+  /**
+   * Check if a row has a shock kit (shock or combi)
+   * @param {Object} rowData - Row keyed by field name
+   * @returns {boolean} True if the code of a kit type printing the SMALL shock sticker is filled in
+   */
+  static hasShockKit(rowData) {
+    return KitTypes.printsRole(rowData, 'smallShock');
+  }
+
+  /**
+   * Check if a cell has a value (not empty or whitespace)
+   * @param {*} value - Cell value
+   * @returns {boolean} True if filled in
+   */
+  static hasValue(value) {
+    return value !== null && value !== undefined && String(value).trim() !== '';
+  }
+
   /**
    * Validate kit type
    * @param {string} kitType - Kit type to validate
-   * @returns {boolean} True if valid
+   * @returns {boolean} True if registered in KIT_TYPES
    */
   static validateKitType(kitType) {
-    const validTypes = ['fork', 'shock', 'combi'];
-    return validTypes.includes(kitType);
+    return KitTypes.has(kitType);
   }
 
   /**
@@ -225,5 +444,5 @@ class SecurityUtils {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { SecurityUtils };
+  module.exports = { SecurityUtils, DATA_QUALITY_RULES, DATA_QUALITY_SEVERITY };
 }
@@ -126,6 +126,21 @@ class SettingsStorage {
             return false;
         }
 
+        // Column mapping is optional (absent = default headers)
+        if (settings.columnMapping !== undefined && !ColumnMapping.validateProfile(settings.columnMapping)) {
+            return false;
+        }
+
+        // Column types are optional too (absent = default types)
+        if (settings.columnTypes !== undefined && !ColumnMapping.validateTypes(settings.columnTypes)) {
+            return false;
+        }
+
+        // Sticker rules are optional (absent = default stickers per kit type)
+        if (settings.stickerRules !== undefined && !StickerRules.validateConfig(settings.stickerRules)) {
+            return false;
+        }
+
         return true;
     }
 
@@ -253,6 +268,103 @@ class SettingsStorage {
         return this.saveSettings(settings);
     }
 
+    /**
+     * Get the column mapping profile
+     * @returns {Object} Field -> header name overrides ({} = default headers)
+     */
+    getColumnMapping() {
+        const settings = this.loadSettings();
+        return { ...(settings.columnMapping || {}) };
+    }
+
+    /**
+     * Save the column mapping profile
+     * @param {Object} profile - Field -> header name overrides
+     * @returns {boolean} Success status
+     */
+    setColumnMapping(profile) {
+        if (!ColumnMapping.validateProfile(profile)) {
+            console.error('[SettingsStorage] Invalid column mapping profile');
+            return false;
+        }
+
+        const settings = this.loadSettings();
+        settings.columnMapping = { ...profile };
+        return this.saveSettings(settings);
+    }
+
+    /**
+     * Get the column type overrides
+     * @returns {Object} Field -> COLUMN_TYPES value ({} = default types)
+     */
+    getColumnTypes() {
+        const settings = this.loadSettings();
+        return { ...(settings.columnTypes || {}) };
+    }
+
+    /**
+     * Save the column type overrides
+     * @param {Object} types - Field -> COLUMN_TYPES value
+     * @returns {boolean} Success status
+     */
+    setColumnTypes(types) {
+        if (!ColumnMapping.validateTypes(types)) {
+            console.error('[SettingsStorage] Invalid column types');
+            return false;
+        }
+
+        const settings = this.loadSettings();
+        settings.columnTypes = { ...types };
+        return this.saveSettings(settings);
+    }
+
+    /**
+     * Reset the column mapping to the default headers and types
+     * @returns {boolean} Success status
+     */
+    resetColumnMapping() {
+        const settings = this.loadSettings();
+        delete settings.columnMapping;
+        delete settings.columnTypes;
+        return this.saveSettings(settings);
+    }
+
+    /**
+     * Get the sticker rules
+     * @returns {Object} { kits, products } - kit types that differ from the defaults and product overrides
+     */
+    getStickerRules() {
+        const settings = this.loadSettings();
+        const { kits = {}, products = {} } = settings.stickerRules || {};
+        return { kits: { ...kits }, products: { ...products } };
+    }
+
+    /**
+     * Save the sticker rules
+     * @param {Object} config - { kits, products } (see StickerRules.getConfig)
+     * @returns {boolean} Success status
+     */
+    setStickerRules(config) {
+        if (!StickerRules.validateConfig(config)) {
+            console.error('[SettingsStorage] Invalid sticker rules');
+            return false;
+        }
+
+        const settings = this.loadSettings();
+        settings.stickerRules = { kits: { ...config.kits }, products: { ...config.products } };
+        return this.saveSettings(settings);
+    }
+
+    /**
+     * Reset the sticker rules to the default stickers per kit type
+     * @returns {boolean} Success status
+     */
+    resetStickerRules() {
+        const settings = this.loadSettings();
+        delete settings.stickerRules;
+        return this.saveSettings(settings);
+    }
+
     /**
      * Clear all settings
      */
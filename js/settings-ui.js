@@ -1,6 +1,6 @@
 /**
  * Settings UI
- * Manages the printer configuration modal interface
+ * Manages the settings modal: printer configuration, spreadsheet column mapping and sticker rules
  */
 
 class SettingsUI {
@@ -11,6 +11,8 @@ class SettingsUI {
 
         this.modalElement = null;
         this.availablePrinters = [];
+        this.availableHeaders = [];
+        this.printingAvailable = false;
         this.tempSettings = {
             smallSlot: null,
             bigSlot: null
@@ -69,15 +71,9 @@ class SettingsUI {
      * Open the settings modal
      */
     async open() {
-        if (!this.printerManager.isAvailable()) {
-            alert('QZ Tray is not installed. Please install QZ Tray to configure printers.');
-            return;
-        }
-
-        if (!this.printerManager.checkConnection()) {
-            alert('QZ Tray is not connected. Please ensure QZ Tray is running.');
-            return;
-        }
+        // Column mapping works without QZ Tray; only the printer section needs it
+        this.printingAvailable = this.printerManager.isAvailable() &&
+            this.printerManager.checkConnection();
 
         // Load current settings
         const settings = this.settingsStorage.loadSettings();
@@ -112,49 +108,23 @@ class SettingsUI {
         this.modalElement.innerHTML = `
             <div class="modal-panel">
                 <div class="modal-header">
-                    <h2>Printer Configuration</h2>
+                    <h2>Settings</h2>
                     <button class="modal-close" onclick="window.settingsUI.close()">&times;</button>
                 </div>
 
                 <div class="modal-body">
-                    <div class="printer-discovery">
-                        <h3>Available Printers</h3>
-                        <button class="btn-scan" id="scan-printers-btn">
-                            🔍 Scan for Printers
-                        </button>
-                        <div class="printer-list" id="printer-list">
-                            <p class="hint">Click "Scan for Printers" to discover available network printers</p>
-                        </div>
-                    </div>
-
-                    <div class="printer-slots">
-                        <h3>Printer Assignment</h3>
-
-                        <div class="printer-slot">
-                            <label>Small Labels (65x35mm)</label>
-                            <select id="small-printer-select" class="printer-select">
-                                <option value="">-- Not Assigned --</option>
-                            </select>
-                            <button class="btn-test" id="test-small-btn" disabled>Test Print</button>
-                        </div>
-
-                        <div class="printer-slot">
-                            <label>Big Labels (124x70mm)</label>
-                            <select id="big-printer-select" class="printer-select">
-                                <option value="">-- Not Assigned --</option>
-                            </select>
-                            <button class="btn-test" id="test-big-btn" disabled>Test Print</button>
-                        </div>
-                    </div>
-
-                    <div class="printer-status" id="printer-status">
-                        <p><strong>Status:</strong> <span id="status-text">Ready</span></p>
-                    </div>
+                    ${this.printingAvailable ? this.renderPrinterSection() : this.renderPrinterUnavailable()}
+
+                    ${this.renderColumnMappingSection()}
+
+                    ${this.renderStickerRulesSection()}
                 </div>
 
                 <div class="modal-footer">
                     <button class="btn-cancel" onclick="window.settingsUI.close()">Cancel</button>
-                    <button class="btn-save" id="save-settings-btn">Save Configuration</button>
+                    ${this.printingAvailable
+                        ? '<button class="btn-save" id="save-settings-btn">Save Configuration</button>'
+                        : ''}
                 </div>
             </div>
         `;
@@ -163,15 +133,215 @@ class SettingsUI {
         this.attachModalListeners();
 
         // Pre-populate selects if printers already scanned
-        if (this.availablePrinters.length > 0) {
+        if (this.printingAvailable && this.availablePrinters.length > 0) {
             this.populatePrinterSelects();
         }
     }
 
+    /**
+     * Printer discovery and assignment markup
+     * @returns {string} HTML
+     */
+    renderPrinterSection() {
+        return `
+            <div class="printer-discovery">
+                <h3>Available Printers</h3>
+                <button class="btn-scan" id="scan-printers-btn">
+                    🔍 Scan for Printers
+                </button>
+                <div class="printer-list" id="printer-list">
+                    <p class="hint">Click "Scan for Printers" to discover available network printers</p>
+                </div>
+            </div>
+
+            <div class="printer-slots">
+                <h3>Printer Assignment</h3>
+
+                <div class="printer-slot">
+                    <label>Small Labels (65x35mm)</label>
+                    <select id="small-printer-select" class="printer-select">
+                        <option value="">-- Not Assigned --</option>
+                    </select>
+                    <button class="btn-test" id="test-small-btn" disabled>Test Print</button>
+                </div>
+
+                <div class="printer-slot">
+                    <label>Big Labels (124x70mm)</label>
+                    <select id="big-printer-select" class="printer-select">
+                        <option value="">-- Not Assigned --</option>
+                    </select>
+                    <button class="btn-test" id="test-big-btn" disabled>Test Print</button>
+                </div>
+            </div>
+
+            <div class="printer-status" id="printer-status">
+                <p><strong>Status:</strong> <span id="status-text">Ready</span></p>
+            </div>
+        `;
+    }
+
+    /**
+     * Notice shown instead of the printer section when QZ Tray is unavailable
+     * @returns {string} HTML
+     */
+    renderPrinterUnavailable() {
+        const message = this.printerManager.isAvailable()
+            ? 'QZ Tray is not connected. Please ensure QZ Tray is running to configure printers.'
+            : 'QZ Tray is not installed. Please install QZ Tray to configure printers.';
+
+        return `
+            <div class="printer-discovery">
+                <h3>Printers</h3>
+                <div class="printer-list">
+                    <p class="warning">${this.escapeHtml(message)}</p>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Column mapping editor markup
+     * @returns {string} HTML
+     */
+    renderColumnMappingSection() {
+        const profile = { ...ColumnMapping.getDefaultProfile(), ...this.settingsStorage.getColumnMapping() };
+        const types = { ...ColumnMapping.getDefaultTypes(), ...this.settingsStorage.getColumnTypes() };
+        const known = new Set(this.availableHeaders.map(h => ColumnMapping.normalizeHeader(h)));
+
+        const rows = ColumnMapping.getFields().map(({ field, label, required }) => {
+            const header = profile[field] || '';
+            const found = known.has(ColumnMapping.normalizeHeader(header));
+            const state = this.availableHeaders.length === 0 ? '' : (found ? '✓' : (required ? '✗' : '–'));
+            const typeOptions = Object.values(COLUMN_TYPES).map(type =>
+                `<option value="${type}" ${type === types[field] ? 'selected' : ''}>${type}</option>`).join('');
+
+            return `
+                <tr>
+                    <td class="mapping-label">${this.escapeHtml(label)}${required ? ' <span class="required">*</span>' : ''}</td>
+                    <td>
+                        <input type="text" class="mapping-input" data-field="${field}"
+                            value="${this.escapeHtml(header)}" list="column-header-options">
+                    </td>
+                    <td>
+                        <select class="mapping-type" data-field="${field}" title="How the column's cells are read">${typeOptions}</select>
+                    </td>
+                    <td class="mapping-state ${found ? 'found' : 'missing'}">${state}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="column-mapping">
+                <h3>Column Mapping</h3>
+                <p class="hint">
+                    Spreadsheet header used for each field. Fields marked * are required.
+                    Type <em>text</em> keeps cells as shown in the sheet (leading zeros, decimal commas),
+                    <em>date</em> reads dates, <em>number</em> reads numbers.
+                </p>
+                <datalist id="column-header-options">
+                    ${this.availableHeaders.map(h => `<option value="${this.escapeHtml(h)}">`).join('')}
+                </datalist>
+                <table class="mapping-table">
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="mapping-actions">
+                    <button class="btn-test" id="reset-mapping-btn">Reset to Defaults</button>
+                    <button class="btn-test" id="apply-mapping-btn">Apply Mapping</button>
+                </div>
+                <p class="mapping-status" id="mapping-status"></p>
+            </div>
+        `;
+    }
+
+    /**
+     * Sticker rules editor markup: a rule per kit type, then the product overrides
+     * and an empty row to add one
+     * @returns {string} HTML
+     */
+    renderStickerRulesSection() {
+        const stickerRules = new StickerRules(this.settingsStorage.getStickerRules());
+        const types = Object.keys(STICKER_TYPES);
+        const countInputs = (rule) => types.map(type => `
+            <td>
+                <input type="number" class="mapping-input sticker-count" data-type="${type}"
+                    min="0" max="${STICKER_RULE_MAX}" step="1" value="${rule ? rule[type] : ''}" placeholder="0">
+            </td>
+        `).join('');
+
+        const kitRows = KitTypes.getAll().map(({ id, name }) => `
+            <tr class="sticker-rule-kit" data-kit-type="${id}">
+                <td class="mapping-label">${this.escapeHtml(name)}</td>
+                ${countInputs(stickerRules.getKitRules(id))}
+                <td></td>
+            </tr>
+        `).join('');
+
+        const productRow = (code, rule) => `
+            <tr class="sticker-rule-product">
+                <td>
+                    <input type="text" class="mapping-input sticker-rule-code" value="${SecurityUtils.escapeHtml(code)}"
+                        placeholder="Kit code">
+                </td>
+                ${countInputs(rule)}
+                <td>
+                    ${code ? '<button class="btn-test sticker-rule-remove" title="Remove override">×</button>' : ''}
+                </td>
+            </tr>
+        `;
+        const productRows = Object.entries(stickerRules.getConfig().products)
+            .map(([code, rule]) => productRow(code, rule))
+            .join('') + productRow('', null);
+
+        return `
+            <div class="sticker-rules">
+                <h3>Sticker Rules</h3>
+                <p class="hint">
+                    Stickers printed per kit (0-${STICKER_RULE_MAX} of each). A product override replaces the
+                    rule of its kit type for one kit code, e.g. a kit that ships with different hardware;
+                    type the code in the last row to add one.
+                </p>
+                <table class="mapping-table sticker-rules-table">
+                    <thead>
+                        <tr>
+                            <th>Kit</th>
+                            ${types.map(type => `<th>${STICKER_TYPES[type]}</th>`).join('')}
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>${kitRows}${productRows}</tbody>
+                </table>
+                <div class="mapping-actions">
+                    <button class="btn-test" id="reset-sticker-rules-btn">Reset to Defaults</button>
+                    <button class="btn-test" id="apply-sticker-rules-btn">Apply Rules</button>
+                </div>
+                <p class="mapping-status" id="sticker-rules-status"></p>
+            </div>
+        `;
+    }
+
     /**
      * Attach event listeners to modal buttons
      */
     attachModalListeners() {
+        // Column mapping buttons
+        document.getElementById('reset-mapping-btn')
+            .addEventListener('click', () => this.resetColumnMapping());
+        document.getElementById('apply-mapping-btn')
+            .addEventListener('click', () => this.applyColumnMapping());
+
+        // Sticker rule buttons
+        document.getElementById('reset-sticker-rules-btn')
+            .addEventListener('click', () => this.resetStickerRules());
+        document.getElementById('apply-sticker-rules-btn')
+            .addEventListener('click', () => this.applyStickerRules());
+        this.modalElement.querySelectorAll('.sticker-rule-remove').forEach(button => {
+            button.addEventListener('click', () => button.closest('tr').remove());
+        });
+
+        if (!this.printingAvailable) {
+            return;
+        }
+
         // Scan button
         const scanBtn = document.getElementById('scan-printers-btn');
         scanBtn.addEventListener('click', () => this.scanPrinters());
@@ -393,6 +563,238 @@ class SettingsUI {
         }
     }
 
+    /**
+     * Set the header names offered by the column mapping editor
+     * @param {Array<string>} headers - Header row of the loaded sheet
+     */
+    setAvailableHeaders(headers) {
+        this.availableHeaders = (headers || []).filter(h => h);
+    }
+
+    /**
+     * Read the mapping inputs, keeping only headers that differ from the defaults
+     * @returns {Object} Field -> header name overrides
+     */
+    readColumnMapping() {
+        const defaults = ColumnMapping.getDefaultProfile();
+        const profile = {};
+
+        this.modalElement.querySelectorAll('.mapping-input').forEach(input => {
+            const field = input.dataset.field;
+            const header = input.value.trim();
+            if (ColumnMapping.normalizeHeader(header) !== ColumnMapping.normalizeHeader(defaults[field])) {
+                profile[field] = header;
+            }
+        });
+
+        return profile;
+    }
+
+    /**
+     * Read the type selects, keeping only types that differ from the defaults
+     * @returns {Object} Field -> COLUMN_TYPES overrides
+     */
+    readColumnTypes() {
+        const defaults = ColumnMapping.getDefaultTypes();
+        const types = {};
+
+        this.modalElement.querySelectorAll('.mapping-type').forEach(select => {
+            if (select.value !== defaults[select.dataset.field]) {
+                types[select.dataset.field] = select.value;
+            }
+        });
+
+        return types;
+    }
+
+    /**
+     * Re-read the product sheet with the edited column mapping and types, then save them
+     */
+    applyColumnMapping() {
+        const profile = this.readColumnMapping();
+        const types = this.readColumnTypes();
+
+        if (!ColumnMapping.validateProfile(profile) || !ColumnMapping.validateTypes(types)) {
+            this.showMappingStatus('✗ Invalid column mapping', 'error');
+            return;
+        }
+
+        // Refuse a mapping that cannot load the current sheet
+        if (this.availableHeaders.length > 0) {
+            const { missing } = ColumnMapping.resolve(this.availableHeaders, profile);
+            if (missing.length > 0) {
+                const list = missing.map(field => ColumnMapping.getLabel(field)).join(', ');
+                this.showMappingStatus(`✗ Required column(s) not found in the sheet: ${list}`, 'error');
+                return;
+            }
+        }
+
+        this.applyAndSaveColumnMapping(profile, types,
+            () => this.settingsStorage.setColumnMapping(profile) && this.settingsStorage.setColumnTypes(types));
+    }
+
+    /**
+     * Restore the default headers and re-read the product sheet
+     */
+    resetColumnMapping() {
+        this.applyAndSaveColumnMapping({}, {}, () => this.settingsStorage.resetColumnMapping());
+    }
+
+    /**
+     * Let the app re-parse the data with a mapping, and save the mapping only when the sheet loads with it
+     * @param {Object} profile - Field -> header name overrides ({} = default headers)
+     * @param {Object} types - Field -> column type overrides ({} = default types)
+     * @param {Function} save - Stores the mapping, returns success
+     * @returns {Promise<void>}
+     */
+    async applyAndSaveColumnMapping(profile, types, save) {
+        try {
+            // Notify app that the mapping changed (if callback exists); it keeps the old mapping on failure
+            if (typeof window.onColumnMappingChanged === 'function'
+                && !(await window.onColumnMappingChanged(profile, types))) {
+                this.showMappingStatus('✗ The sheet could not be read with this mapping; the previous one is kept', 'error');
+                return;
+            }
+
+            if (!save()) {
+                this.showMappingStatus('✗ Failed to save column mapping', 'error');
+                return;
+            }
+
+            this.render();
+            this.showMappingStatus('✓ Column mapping saved', 'success');
+            console.log('[SettingsUI] Column mapping saved');
+        } catch (error) {
+            console.error('[SettingsUI] Column mapping apply failed:', error);
+            this.showMappingStatus(`✗ ${error.userMessage || error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Read the sticker rule inputs
+     * @returns {Object} { config, problem } - config for StickerRules, problem to show when a rule is invalid
+     */
+    readStickerRules() {
+        const readRule = (row) => {
+            const rule = {};
+            row.querySelectorAll('.sticker-count').forEach(input => {
+                // Empty counts as 0; anything else must be a whole number
+                rule[input.dataset.type] = input.value.trim() === '' ? 0 : Number(input.value);
+            });
+            return rule;
+        };
+        const config = { kits: {}, products: {} };
+
+        for (const row of this.modalElement.querySelectorAll('.sticker-rule-kit')) {
+            const rule = readRule(row);
+            const problem = StickerRules.checkRule(rule);
+            if (problem) {
+                return { config, problem: `${Cart.getKitTypeInfo(row.dataset.kitType).name}: ${problem}` };
+            }
+            config.kits[row.dataset.kitType] = rule;
+        }
+
+        for (const row of this.modalElement.querySelectorAll('.sticker-rule-product')) {
+            const code = StickerRules.normalizeCode(row.querySelector('.sticker-rule-code').value);
+            if (!code) continue;
+
+            const rule = readRule(row);
+            const problem = StickerRules.checkRule(rule);
+            if (problem) {
+                return { config, problem: `${code}: ${problem}` };
+            }
+            if (config.products[code]) {
+                return { config, problem: `${code} has more than one override` };
+            }
+            config.products[code] = rule;
+        }
+
+        return { config, problem: null };
+    }
+
+    /**
+     * Save the edited sticker rules
+     */
+    applyStickerRules() {
+        const { config, problem } = this.readStickerRules();
+        if (problem) {
+            this.showStickerRulesStatus(`✗ ${problem}`, 'error');
+            return;
+        }
+
+        // Kit types equal to the defaults are not stored, so later default changes reach them
+        if (!this.settingsStorage.setStickerRules(new StickerRules(config).getConfig())) {
+            this.showStickerRulesStatus('✗ Failed to save sticker rules', 'error');
+            return;
+        }
+
+        this.render();
+        this.notifyStickerRulesChanged('✓ Sticker rules saved');
+    }
+
+    /**
+     * Restore the default stickers per kit type and drop every product override
+     */
+    resetStickerRules() {
+        const { products } = this.settingsStorage.getStickerRules();
+        const count = Object.keys(products).length;
+        if (count > 0 && !confirm(`Reset the sticker rules and remove ${count} product override(s)?`)) {
+            return;
+        }
+
+        if (!this.settingsStorage.resetStickerRules()) {
+            this.showStickerRulesStatus('✗ Failed to reset sticker rules', 'error');
+            return;
+        }
+
+        this.render();
+        this.notifyStickerRulesChanged('✓ Sticker rules reset to defaults');
+    }
+
+    /**
+     * Let the app re-read the saved sticker rules
+     * @param {string} message - Status to show once the app took them over
+     */
+    notifyStickerRulesChanged(message) {
+        try {
+            // Notify app that the rules changed (if callback exists)
+            if (typeof window.onStickerRulesChanged === 'function') {
+                window.onStickerRulesChanged();
+            }
+            this.showStickerRulesStatus(message, 'success');
+            console.log('[SettingsUI] Sticker rules saved');
+        } catch (error) {
+            console.error('[SettingsUI] Sticker rules apply failed:', error);
+            this.showStickerRulesStatus(`✗ ${error.userMessage || error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show a sticker rules status message
+     * @param {string} message - Message to display
+     * @param {string} type - 'success', 'error', or 'info'
+     */
+    showStickerRulesStatus(message, type = 'info') {
+        const statusText = document.getElementById('sticker-rules-status');
+        if (statusText) {
+            statusText.textContent = message;
+            statusText.style.color = type === 'success' ? 'green' : type === 'error' ? 'red' : '';
+        }
+    }
+
+    /**
+     * Show a column mapping status message
+     * @param {string} message - Message to display
+     * @param {string} type - 'success', 'error', or 'info'
+     */
+    showMappingStatus(message, type = 'info') {
+        const statusText = document.getElementById('mapping-status');
+        if (statusText) {
+            statusText.textContent = message;
+            statusText.style.color = type === 'success' ? 'green' : type === 'error' ? 'red' : '';
+        }
+    }
+
     /**
      * Show a quick status message
      * @param {string} message - Message to display
@@ -0,0 +1,137 @@
+/**
+ * Source Registry
+ * The product sources merged into the searchable dataset: the bundled file and/or
+ * uploaded workbooks, each with the sheets to read. Persisted through DatasetStore;
+ * ExcelParser.loadSources() reads and merges them, tagging every row with its SOURCE.
+ */
+
+// Id of the bundled file's entry
+const SOURCE_REGISTRY_BUNDLED_ID = 'bundled';
+
+class SourceRegistry {
+    /**
+     * @param {DatasetStore} datasetStore - Storage for the source list and uploaded files
+     * @param {string} bundledUrl - URL of the bundled product database
+     */
+    constructor(datasetStore, bundledUrl) {
+        this.datasetStore = datasetStore;
+        this.bundledUrl = bundledUrl;
+        this.sources = [this.createBundledSource()];
+    }
+
+    /**
+     * Entry for the bundled file
+     * @returns {Object} Source entry
+     */
+    createBundledSource() {
+        return {
+            id: SOURCE_REGISTRY_BUNDLED_ID,
+            name: ExcelParser.getFileName(this.bundledUrl),
+            bundled: true,
+            buffer: null,
+            sheets: null,
+            uploadedAt: null
+        };
+    }
+
+    /**
+     * Load the saved source list (the bundled file alone when nothing was saved)
+     * @returns {Promise<Array<Object>>} Source entries
+     */
+    async load() {
+        const saved = await this.datasetStore.loadSources();
+        this.sources = saved || [this.createBundledSource()];
+        return this.getSources();
+    }
+
+    /**
+     * Copy of the configured sources, in merge order
+     * @returns {Array<Object>} { id, name, bundled, buffer, sheets, uploadedAt }
+     */
+    getSources() {
+        return this.sources.map(source => ({ ...source }));
+    }
+
+    /**
+     * Replace the configured sources and persist them
+     * @param {Array<Object>} sources - Source entries (e.g. edited copies from getSources())
+     * @returns {Promise<void>}
+     */
+    async setSources(sources) {
+        this.sources = sources.map(source => ({ ...source }));
+
+        if (SourceRegistry.isBundledOnly(this.sources)) {
+            await this.datasetStore.clearSources();
+        } else {
+            await this.datasetStore.saveSources(this.sources);
+        }
+    }
+
+    /**
+     * Entry for an uploaded file; the name gets a number when another source already uses it,
+     * so SOURCE labels stay unique
+     * @param {string} name - File name
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {Array<Object>} existing - Sources it will be added to
+     * @returns {Object} Source entry
+     */
+    static createUpload(name, buffer, existing = []) {
+        const names = new Set(existing.map(source => source.name));
+        let uniqueName = name;
+        for (let n = 2; names.has(uniqueName); n++) {
+            uniqueName = name.replace(/(\.[^.]+)?$/, ext => ` (${n})${ext}`);
+        }
+
+        const uploadedAt = Date.now();
+        return {
+            id: `upload-${uploadedAt}-${existing.length}`,
+            name: uniqueName,
+            bundled: false,
+            buffer,
+            sheets: null,
+            uploadedAt
+        };
+    }
+
+    /**
+     * Files to hand to ExcelParser.loadSources(); the bundled file is downloaded
+     * @param {Array<Object>} sources - Source entries
+     * @returns {Array<Object>} { id, url | buffer, fileName, sheets }
+     */
+    toFiles(sources) {
+        return sources.map(source => source.bundled
+            ? { id: source.id, url: this.bundledUrl, fileName: this.bundledUrl, sheets: source.sheets }
+            : { id: source.id, buffer: source.buffer, fileName: source.name, sheets: source.sheets });
+    }
+
+    /**
+     * Check whether a source list is just the bundled file with its default sheets
+     * @param {Array<Object>} sources - Source entries
+     * @returns {boolean} True when nothing needs to be stored
+     */
+    static isBundledOnly(sources) {
+        return sources.length === 1 && sources[0].bundled && !sources[0].sheets;
+    }
+
+    /**
+     * One-line description for the database bar
+     * @param {Array<Object>} sources - Source entries
+     * @returns {string} e.g. "manual-info.xlsx (bundled)" or "2 sources: a.xlsx, b.csv"
+     */
+    static describe(sources) {
+        if (sources.length === 1) {
+            const source = sources[0];
+            const origin = source.bundled
+                ? 'bundled'
+                : `uploaded ${new Date(source.uploadedAt).toLocaleString()}`;
+            return `${source.name} (${origin})`;
+        }
+
+        return `${sources.length} sources: ${sources.map(source => source.name).join(', ')}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SourceRegistry, SOURCE_REGISTRY_BUNDLED_ID };
+}
@@ -0,0 +1,342 @@
+/**
+ * Sources UI
+ * Lists the product sources merged into the dataset with the sheets read from each,
+ * lets the operator add or remove workbooks and choose sheets, and reports kit codes
+ * that different sources print with different settings (ProductSearch.findSourceConflicts)
+ */
+
+// Conflicts rendered; the CSV export always contains everything
+const SOURCE_CONFLICTS_DISPLAY_LIMIT = 200;
+
+class SourcesUI {
+    constructor() {
+        this.modalElement = null;
+        this.sources = [];   // SourceRegistry entries of the loaded dataset
+        this.loaded = [];    // ExcelParser.sources: sheets read per source, same order
+        this.conflicts = [];
+        this.isOpen = false;
+    }
+
+    /**
+     * Initialize the sources modal
+     */
+    initialize() {
+        let modal = document.getElementById('sources-modal');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'sources-modal';
+            modal.className = 'modal-overlay';
+            modal.style.display = 'none';
+            document.body.appendChild(modal);
+        }
+
+        this.modalElement = modal;
+
+        // Close on backdrop click
+        this.modalElement.addEventListener('click', (e) => {
+            if (e.target === this.modalElement) {
+                this.close();
+            }
+        });
+
+        // Close on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show the loaded sources
+     * @param {Array<Object>} sources - SourceRegistry entries of the loaded dataset
+     * @param {Array<Object>} loaded - ExcelParser.sources of the loaded dataset
+     * @param {Array<Object>} conflicts - Result of ProductSearch.findSourceConflicts()
+     */
+    open(sources, loaded, conflicts) {
+        if (!this.modalElement) {
+            this.initialize();
+        }
+
+        this.sources = sources;
+        this.loaded = loaded;
+        this.conflicts = conflicts;
+        this.render();
+        this.modalElement.style.display = 'flex';
+        this.isOpen = true;
+    }
+
+    /**
+     * Close the sources modal
+     */
+    close() {
+        if (this.modalElement) {
+            this.modalElement.style.display = 'none';
+        }
+        this.isOpen = false;
+    }
+
+    /**
+     * Render modal content
+     */
+    render() {
+        const escape = SecurityUtils.escapeHtml;
+        const rowCount = this.loaded.reduce((sum, source) =>
+            sum + source.sheets.reduce((sheetSum, sheet) => sheetSum + sheet.rowCount, 0), 0);
+
+        const rows = this.sources.map((source, index) => {
+            const sheets = (this.loaded[index] || { sheets: [] }).sheets;
+            const sheetOptions = sheets.map(sheet => `
+                <label class="source-sheet">
+                    <input type="checkbox" data-source="${index}" value="${escape(sheet.name)}"
+                        ${sheet.skipped ? '' : 'checked'}>
+                    ${escape(sheet.name)}
+                    <span class="hint">${sheet.skipped ? escape(sheet.skipped) : `${sheet.rowCount} rows`}</span>
+                </label>
+            `).join('');
+
+            return `
+                <tr>
+                    <td>
+                        <strong>${escape(source.name)}</strong><br>
+                        <span class="hint">${source.bundled
+                            ? 'bundled'
+                            : `uploaded ${escape(new Date(source.uploadedAt).toLocaleString())}`}</span>
+                    </td>
+                    <td>${sheetOptions || '-'}</td>
+                    <td class="quality-count">${sheets.reduce((sum, sheet) => sum + sheet.rowCount, 0)}</td>
+                    <td>
+                        <button class="btn-secondary" data-action="remove" data-source="${index}"
+                            ${this.sources.length === 1 ? 'disabled' : ''}>Remove</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        this.modalElement.innerHTML = `
+            <div class="modal-panel modal-panel-wide">
+                <div class="modal-header">
+                    <h2>Product Sources</h2>
+                    <button class="modal-close" data-action="close">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <p class="diff-summary">
+                        ${this.sources.length} source(s) merged into ${rowCount} rows.
+                        Search results show each row's source and can be limited to one.
+                        Upload Database replaces every source; Add Workbook adds one.
+                    </p>
+
+                    <table class="diff-table">
+                        <thead>
+                            <tr><th>Source</th><th>Sheets</th><th>Rows</th><th></th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <p class="hint">
+                        Without a selection every sheet with the required columns is read.
+                        Tick the sheets to read and apply to choose them yourself.
+                    </p>
+
+                    ${this.renderConflicts()}
+                </div>
+
+                <div class="modal-footer">
+                    <button class="btn-cancel" data-action="close">Close</button>
+                    <button class="btn-secondary" data-action="add">Add Workbook...</button>
+                    <button class="btn-secondary" data-action="apply" disabled>Apply Sheet Selection</button>
+                    ${this.conflicts.length > 0 ? `
+                        <button class="btn-save" data-action="export">Export Conflicts</button>
+                    ` : ''}
+                    <input type="file" data-action="file" accept=".xlsx,.xls,.csv,.tsv,.txt" multiple hidden>
+                </div>
+            </div>
+        `;
+
+        this.modalElement.querySelectorAll('[data-action="close"]').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+
+        const applyBtn = this.modalElement.querySelector('[data-action="apply"]');
+        this.modalElement.querySelectorAll('.source-sheet input').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                applyBtn.disabled = false;
+            });
+        });
+        applyBtn.addEventListener('click', () => this.applySheetSelection());
+
+        this.modalElement.querySelectorAll('[data-action="remove"]').forEach(button => {
+            button.addEventListener('click', () => this.removeSource(Number(button.dataset.source)));
+        });
+
+        const fileInput = this.modalElement.querySelector('[data-action="file"]');
+        this.modalElement.querySelector('[data-action="add"]')
+            .addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const files = Array.from(fileInput.files);
+            fileInput.value = '';
+            if (files.length > 0 && typeof window.onSourceFilesAdded === 'function') {
+                window.onSourceFilesAdded(files);
+            }
+        });
+
+        const exportBtn = this.modalElement.querySelector('[data-action="export"]');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportCsv());
+        }
+    }
+
+    /**
+     * Table of the kit codes the sources disagree on
+     * @returns {string} HTML
+     */
+    renderConflicts() {
+        const escape = SecurityUtils.escapeHtml;
+
+        if (this.sources.length < 2) return '';
+
+        if (this.conflicts.length === 0) {
+            return '<p class="hint">No conflicts: kit codes found in several sources have the same settings in each.</p>';
+        }
+
+        const rows = this.conflicts.slice(0, SOURCE_CONFLICTS_DISPLAY_LIMIT).map(conflict => {
+            return conflict.fields.map((field, index) => `
+                <tr>
+                    ${index === 0 ? `
+                        <td class="diff-key" rowspan="${conflict.fields.length}">${escape(conflict.code)}</td>
+                        <td rowspan="${conflict.fields.length}">${escape(Cart.getKitTypeInfo(conflict.kitType).name)}</td>
+                    ` : ''}
+                    <td>${escape(ColumnMapping.getLabel(field))}</td>
+                    <td>${SourcesUI.valuesBySource(conflict, field)
+                        .map(({ source, values }) => `${escape(source)}: <strong>${escape(values.join(' / ') || '(empty)')}</strong>`)
+                        .join('<br>')}</td>
+                </tr>
+            `).join('');
+        }).join('');
+
+        return `
+            <h3 class="quality-issues-title">Conflicts between sources (${this.conflicts.length})</h3>
+            <p class="hint">Kit codes that different sources print with different settings. Fix the source that is wrong.</p>
+            <table class="diff-table">
+                <thead>
+                    <tr><th>Code</th><th>Kit</th><th>Setting</th><th>Value per Source</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${this.conflicts.length > SOURCE_CONFLICTS_DISPLAY_LIMIT ? `
+                <p class="hint">Showing ${SOURCE_CONFLICTS_DISPLAY_LIMIT} of ${this.conflicts.length}. Export CSV for the full list.</p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Save the ticked sheets per source and reload
+     */
+    applySheetSelection() {
+        const sources = this.sources.map((source, index) => {
+            const checkboxes = Array.from(this.modalElement.querySelectorAll(`.source-sheet input[data-source="${index}"]`));
+            const selected = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+            const unchanged = checkboxes.every(checkbox => checkbox.checked === checkbox.defaultChecked);
+
+            // Keep the automatic choice until the operator changes it
+            return { ...source, sheets: unchanged ? source.sheets : selected };
+        });
+
+        const empty = sources.find(source => source.sheets && source.sheets.length === 0);
+        if (empty) {
+            alert(`Select at least one sheet of ${empty.name}, or remove the source`);
+            return;
+        }
+
+        this.changeSources(sources);
+    }
+
+    /**
+     * Drop one source and reload
+     * @param {number} index - Index in this.sources
+     */
+    removeSource(index) {
+        const source = this.sources[index];
+        if (!source || !confirm(`Remove ${source.name} from the product sources?`)) {
+            return;
+        }
+
+        this.changeSources(this.sources.filter((_, i) => i !== index));
+    }
+
+    /**
+     * Hand a changed source list to the app, which reloads and reopens this modal
+     * @param {Array<Object>} sources - New source entries
+     */
+    changeSources(sources) {
+        if (typeof window.onSourcesChanged === 'function') {
+            window.onSourcesChanged(sources);
+        }
+    }
+
+    /**
+     * Distinct values of a setting per source, for one conflict
+     * @param {Object} conflict - Entry of ProductSearch.findSourceConflicts()
+     * @param {string} field - Setting field
+     * @returns {Array<Object>} { source, values } in conflict.sources order
+     */
+    static valuesBySource(conflict, field) {
+        return conflict.sources.map(source => ({
+            source,
+            values: [...new Set(conflict.occurrences
+                .filter(({ row }) => row.SOURCE === source)
+                .map(({ row }) => DatasetDiff.normalizeValue(row[field])))]
+        }));
+    }
+
+    /**
+     * Flatten conflicts into CSV rows
+     * @param {Array<Object>} conflicts - Result of ProductSearch.findSourceConflicts()
+     * @returns {Array<Array<string>>} Header row followed by one row per conflicting setting and row
+     */
+    static toCsvRows(conflicts) {
+        const rows = [['Code', 'Kit', 'Setting', 'Source', 'Sheet Row', 'Value', 'Brand', 'Model', 'Year']];
+        const value = DatasetDiff.normalizeValue;
+
+        conflicts.forEach(conflict => {
+            conflict.fields.forEach(field => {
+                conflict.occurrences.forEach(({ row, index }) => {
+                    rows.push([
+                        conflict.code,
+                        Cart.getKitTypeInfo(conflict.kitType).name,
+                        ColumnMapping.getLabel(field),
+                        value(row.SOURCE),
+                        String(ExcelParser.getSheetRowNumber(index, row)),
+                        value(row[field]),
+                        value(row.BRAND_NAME),
+                        value(row.MODEL_TYPE),
+                        value(row.YEAR)
+                    ]);
+                });
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Download every conflict as CSV
+     */
+    exportCsv() {
+        try {
+            const csv = CsvUtils.stringify(SourcesUI.toCsvRows(this.conflicts));
+            CsvUtils.download(csv, `source-conflicts_${BatchZBLGenerator.generateTimestamp()}.csv`);
+        } catch (error) {
+            ErrorHandler.logError(error, 'SourcesUI.exportCsv', {
+                category: 'DOWNLOAD_ERROR',
+                userMessage: 'Failed to export the source conflicts. Please try again.'
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SourcesUI, SOURCE_CONFLICTS_DISPLAY_LIMIT };
+}
@@ -0,0 +1,196 @@
+/**
+ * Sticker Rules
+ * How many BIG, SMALL fork and SMALL shock stickers one kit prints: a rule per kit type
+ * (KIT_TYPES stickers by default), replaced for single kit codes that ship with different
+ * hardware. The cart counts and BatchZBLGenerator share one instance; the edited rules are
+ * stored by SettingsStorage.
+ */
+
+// Sticker types a rule counts (one per template role of KIT_TYPES), with their display names
+const STICKER_TYPES = Object.fromEntries(
+    Object.entries(KitTypes.getTemplateRoles()).map(([role, { name }]) => [role, name])
+);
+
+// Most stickers of one type a single kit may print
+const STICKER_RULE_MAX = 10;
+
+class StickerRules {
+    /**
+     * @param {Object} [config] - { kits, products } from SettingsStorage.getStickerRules()
+     */
+    constructor(config = {}) {
+        this.kits = {};       // kit type -> rule
+        this.products = {};   // kit code (upper case) -> rule
+        this.setConfig(config);
+    }
+
+    /**
+     * Replace the configured rules; kit types without a rule use their KIT_TYPES stickers
+     * @param {Object} config - { kits: { fork: rule, ... }, products: { 'SP-XX01': rule, ... } }
+     */
+    setConfig(config) {
+        const { kits = {}, products = {} } = config || {};
+
+        this.kits = {};
+        KitTypes.getAll().forEach(type => {
+            this.kits[type.id] = StickerRules.normalizeRule(kits[type.id] || type.stickers);
+        });
+
+        this.products = {};
+        Object.entries(products).forEach(([code, rule]) => {
+            this.products[StickerRules.normalizeCode(code)] = StickerRules.normalizeRule(rule);
+        });
+    }
+
+    /**
+     * Rules as stored: only kit types that differ from the defaults, plus every product override
+     * @returns {Object} { kits, products }
+     */
+    getConfig() {
+        const kits = {};
+        Object.entries(this.kits).forEach(([kitType, rule]) => {
+            if (!StickerRules.sameRule(rule, KitTypes.get(kitType).stickers)) {
+                kits[kitType] = { ...rule };
+            }
+        });
+
+        const products = {};
+        Object.entries(this.products).forEach(([code, rule]) => {
+            products[code] = { ...rule };
+        });
+
+        return { kits, products };
+    }
+
+    /**
+     * Stickers one kit of a row prints: its product override, else the kit type's rule
+     * @param {string} kitType - Kit type id (see KIT_TYPES)
+     * @param {Object} [rowData] - Product data (the kit code is read from it)
+     * @returns {Object} { big, smallFork, smallShock }
+     */
+    getRules(kitType, rowData) {
+        const override = this.getOverride(KitTypes.getKitCode(kitType, rowData));
+        return override || this.getKitRules(kitType);
+    }
+
+    /**
+     * Rule of a kit type (unknown types fall back to the first registered type)
+     * @param {string} kitType - Kit type id (see KIT_TYPES)
+     * @returns {Object} { big, smallFork, smallShock }
+     */
+    getKitRules(kitType) {
+        return { ...this.kits[KitTypes.getOrDefault(kitType).id] };
+    }
+
+    /**
+     * Product override of a kit code
+     * @param {string} code - Kit code
+     * @returns {Object|null} { big, smallFork, smallShock }, or null when the kit uses its type's rule
+     */
+    getOverride(code) {
+        const rule = this.products[StickerRules.normalizeCode(code)];
+        return rule ? { ...rule } : null;
+    }
+
+    /**
+     * Key under which a kit code's override is stored
+     * @param {string} code - Kit code as typed
+     * @returns {string} Trimmed, upper-case code
+     */
+    static normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    /**
+     * Copy of a rule with every sticker type as a whole number
+     * @param {Object} rule - Rule to copy
+     * @returns {Object} { big, smallFork, smallShock }
+     */
+    static normalizeRule(rule) {
+        const normalized = {};
+        Object.keys(STICKER_TYPES).forEach(type => {
+            normalized[type] = parseInt(rule && rule[type], 10) || 0;
+        });
+        return normalized;
+    }
+
+    /**
+     * Check a rule
+     * @param {Object} rule - { big, smallFork, smallShock }
+     * @returns {string|null} Problem to show, or null when the rule is valid
+     */
+    static checkRule(rule) {
+        if (!rule || typeof rule !== 'object') {
+            return 'Missing sticker counts';
+        }
+
+        const counts = Object.keys(STICKER_TYPES).map(type => rule[type]);
+        if (!counts.every(count => Number.isInteger(count) && count >= 0 && count <= STICKER_RULE_MAX)) {
+            return `Sticker counts must be whole numbers from 0 to ${STICKER_RULE_MAX}`;
+        }
+        if (counts.every(count => count === 0)) {
+            return 'A kit must print at least one sticker';
+        }
+        return null;
+    }
+
+    /**
+     * Validate a stored rule configuration
+     * @param {Object} config - { kits, products }
+     * @returns {boolean} True if every kit type and product rule is valid
+     */
+    static validateConfig(config) {
+        if (!config || typeof config !== 'object') {
+            return false;
+        }
+
+        const { kits = {}, products = {} } = config;
+        if (typeof kits !== 'object' || typeof products !== 'object') {
+            return false;
+        }
+
+        return Object.entries(kits).every(([kitType, rule]) =>
+                KitTypes.has(kitType) && StickerRules.checkRule(rule) === null) &&
+            Object.entries(products).every(([code, rule]) =>
+                StickerRules.normalizeCode(code) !== '' && StickerRules.checkRule(rule) === null);
+    }
+
+    /**
+     * Compare two rules
+     * @param {Object} a - Rule
+     * @param {Object} b - Rule
+     * @returns {boolean} True if both print the same stickers
+     */
+    static sameRule(a, b) {
+        return Object.keys(STICKER_TYPES).every(type => (a[type] || 0) === (b[type] || 0));
+    }
+
+    /**
+     * Stickers of a rule in words
+     * @param {Object} rule - { big, smallFork, smallShock }
+     * @returns {string} e.g. '1 BIG + 2 SMALL Fork'
+     */
+    static describe(rule) {
+        const parts = Object.entries(STICKER_TYPES)
+            .filter(([type]) => rule[type] > 0)
+            .map(([type, name]) => `${rule[type]} ${name}`);
+        return parts.length > 0 ? parts.join(' + ') : 'No stickers';
+    }
+
+    /**
+     * Default rules per kit type
+     * @returns {Object} Kit type id -> { big, smallFork, smallShock }
+     */
+    static getDefaultRules() {
+        const rules = {};
+        KitTypes.getAll().forEach(type => {
+            rules[type.id] = StickerRules.normalizeRule(type.stickers);
+        });
+        return rules;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StickerRules, STICKER_TYPES, STICKER_RULE_MAX };
+}
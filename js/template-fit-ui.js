@@ -0,0 +1,235 @@
+/**
+ * Template Fit UI
+ * Report of TemplateFitAnalysis over the loaded database: per template field the
+ * text lengths, the font sizes used and the rows that overflow or get clipped
+ */
+
+// Problem rows rendered per field; the CSV export always contains everything
+const TEMPLATE_FIT_DISPLAY_LIMIT = 200;
+
+class TemplateFitUI {
+    constructor() {
+        this.modalElement = null;
+        this.report = null;
+        this.selectedField = null; // "templateIndex:fieldIndex"
+        this.isOpen = false;
+    }
+
+    /**
+     * Initialize the report modal
+     */
+    initialize() {
+        let modal = document.getElementById('template-fit-modal');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'template-fit-modal';
+            modal.className = 'modal-overlay';
+            modal.style.display = 'none';
+            document.body.appendChild(modal);
+        }
+
+        this.modalElement = modal;
+
+        // Close on backdrop click
+        this.modalElement.addEventListener('click', (e) => {
+            if (e.target === this.modalElement) {
+                this.close();
+            }
+        });
+
+        // Close on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show a report
+     * @param {Object} report - Result of TemplateFitAnalysis.analyze()
+     */
+    open(report) {
+        if (!this.modalElement) {
+            this.initialize();
+        }
+
+        this.report = report;
+        this.selectedField = null;
+        this.render();
+        this.modalElement.style.display = 'flex';
+        this.isOpen = true;
+    }
+
+    /**
+     * Close the report modal
+     */
+    close() {
+        if (this.modalElement) {
+            this.modalElement.style.display = 'none';
+        }
+        this.isOpen = false;
+    }
+
+    /**
+     * Render modal content
+     */
+    render() {
+        const report = this.report;
+        const escape = SecurityUtils.escapeHtml;
+
+        const sections = report.templates.map((template, templateIndex) => {
+            const rows = template.fields.map((field, fieldIndex) => {
+                const key = `${templateIndex}:${fieldIndex}`;
+                const lengths = field.lengths;
+                const sizes = Object.keys(field.sizeCounts).map(Number).sort((a, b) => b - a);
+
+                return `
+                    <tr class="fit-field ${key === this.selectedField ? 'selected' : ''} ${field.problems.length === 0 ? 'quality-rule-ok' : ''}"
+                        data-field="${key}">
+                        <td><strong>${escape(field.label)}</strong></td>
+                        <td>${field.block.width} × ${field.block.lines}</td>
+                        <td>${escape(TemplateFitAnalysis.describeFont(field))}</td>
+                        <td>${lengths.count > 0 ? `${lengths.min} / ${lengths.median} / ${lengths.p95} / ${lengths.max}` : '-'}</td>
+                        <td>${sizes.length > 1 ? `${sizes[sizes.length - 1]}-${sizes[0]}` : (sizes[0] || '-')}</td>
+                        <td>${field.longestFit}${field.shortestMiss !== null ? ` / ${field.shortestMiss}` : ''}</td>
+                        <td class="quality-count">${field.problems.length}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            return `
+                <h3 class="quality-issues-title">
+                    ${escape(template.label)}: ${template.rowCount} rows, ${template.problemCount} problem(s)
+                </h3>
+                <table class="diff-table quality-rules">
+                    <thead>
+                        <tr>
+                            <th>Field</th><th>Block</th><th>Font</th><th>Length min / median / p95 / max</th>
+                            <th>Sizes Used</th><th>Longest Fit / Shortest Miss</th><th>Problems</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        }).join('');
+
+        this.modalElement.innerHTML = `
+            <div class="modal-panel modal-panel-wide">
+                <div class="modal-header">
+                    <h2>Template Fit</h2>
+                    <button class="modal-close" data-action="close">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <p class="diff-summary">
+                        ${report.rowCount} rows checked against ${report.templates.length} template(s):
+                        ${report.problemRows} rows with ${report.problemCount} field(s) that overflow or get clipped.
+                        Lengths are in characters, blocks and fonts in dots. Click a field for its distribution and rows.
+                    </p>
+
+                    ${sections}
+                    ${this.renderField()}
+                </div>
+
+                <div class="modal-footer">
+                    <button class="btn-cancel" data-action="close">Close</button>
+                    <button class="btn-save" data-action="export">Export Problems</button>
+                </div>
+            </div>
+        `;
+
+        this.modalElement.querySelectorAll('[data-action="close"]').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+        this.modalElement.querySelectorAll('.fit-field').forEach(row => {
+            row.addEventListener('click', () => {
+                this.selectedField = row.dataset.field === this.selectedField ? null : row.dataset.field;
+                this.render();
+            });
+        });
+        this.modalElement.querySelector('[data-action="export"]')
+            .addEventListener('click', () => this.exportCsv());
+    }
+
+    /**
+     * Length distribution and problem rows of the selected field
+     * @returns {string} HTML ('' when no field is selected)
+     */
+    renderField() {
+        if (!this.selectedField) return '';
+
+        const escape = SecurityUtils.escapeHtml;
+        const [templateIndex, fieldIndex] = this.selectedField.split(':').map(Number);
+        const template = this.report.templates[templateIndex];
+        const field = template.fields[fieldIndex];
+        const largest = Math.max(...field.lengths.buckets.map(bucket => bucket.count), 1);
+
+        const buckets = field.lengths.buckets.map(bucket => `
+            <tr>
+                <td>${bucket.from}-${bucket.to}</td>
+                <td class="quality-count">${bucket.count}</td>
+                <td><span class="fit-bar" style="width: ${Math.max(1, Math.round(bucket.count / largest * 100))}%"></span></td>
+            </tr>
+        `).join('');
+
+        const problems = field.problems.slice(0, TEMPLATE_FIT_DISPLAY_LIMIT).map(problem => `
+            <tr>
+                <td title="${escape(problem.row.SOURCE || '')}">${ExcelParser.getSheetRowNumber(problem.index, problem.row)}</td>
+                <td class="diff-key">${escape(DatasetDiff.rowKey(problem.row) || '-')}</td>
+                <td>${escape(problem.text)}</td>
+                <td>${problem.problem === 'overflow'
+                    ? `Needs ${problem.lines} of ${field.block.lines} line(s) at ${problem.size} dots`
+                    : `Runs past the box at ${problem.size} dots`}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <h3 class="quality-issues-title">${escape(template.label)}: ${escape(field.label)}</h3>
+            <p class="hint">
+                Average ${field.lengths.average || 0} characters.
+                ${field.shortestMiss !== null
+                    ? `Text from ${field.shortestMiss} characters may not fit; the longest text that fits has ${field.longestFit}.`
+                    : `Every text fits; the longest has ${field.longestFit} characters.`}
+            </p>
+            <table class="diff-table fit-buckets">
+                <thead>
+                    <tr><th>Characters</th><th>Rows</th><th></th></tr>
+                </thead>
+                <tbody>${buckets}</tbody>
+            </table>
+            ${field.problems.length > 0 ? `
+                <table class="diff-table">
+                    <thead>
+                        <tr><th>Sheet Row</th><th>Kit Codes</th><th>Text</th><th>Problem</th></tr>
+                    </thead>
+                    <tbody>${problems}</tbody>
+                </table>
+            ` : ''}
+            ${field.problems.length > TEMPLATE_FIT_DISPLAY_LIMIT ? `
+                <p class="hint">Showing ${TEMPLATE_FIT_DISPLAY_LIMIT} of ${field.problems.length}. Export CSV for the full list.</p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Download every problem row as CSV
+     */
+    exportCsv() {
+        try {
+            const csv = CsvUtils.stringify(TemplateFitAnalysis.toCsvRows(this.report));
+            CsvUtils.download(csv, `template-fit_${BatchZBLGenerator.generateTimestamp()}.csv`);
+        } catch (error) {
+            ErrorHandler.logError(error, 'TemplateFitUI.exportCsv', {
+                category: 'DOWNLOAD_ERROR',
+                userMessage: 'Failed to export the template fit report. Please try again.'
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TemplateFitUI, TEMPLATE_FIT_DISPLAY_LIMIT };
+}
@@ -0,0 +1,203 @@
+/**
+ * Template Fit Analysis
+ * Runs every row of the database through label variable preparation for each
+ * sticker template and checks every ^FB field: text length distribution, the
+ * font sizes TextFitter picks and the rows whose text overflows or gets clipped.
+ * Shared by the in-app report (TemplateFitUI) and scripts/analyze-template-fit.js.
+ */
+
+// Templates analysed (every role of KIT_TYPES), with the rows that print them (default stickers)
+const TEMPLATE_FIT_TEMPLATES = Object.entries(KitTypes.getTemplateRoles()).map(([role, { label }]) => ({
+    role,
+    label,
+    appliesTo: row => KitTypes.printsRole(row, role)
+}));
+
+// Width of the text length histogram buckets (characters)
+const TEMPLATE_FIT_BUCKET_SIZE = 10;
+
+class TemplateFitAnalysis {
+    /**
+     * @param {Object} templates - Template strings keyed by role (big, smallFork, smallShock)
+     */
+    constructor(templates) {
+        this.templates = templates || {};
+        this.labelVariables = new LabelVariables(this.templates);
+    }
+
+    /**
+     * Analyse every row against every template
+     * @param {Array<Object>} rows - Product rows (field-keyed)
+     * @returns {Object} { rowCount, problemCount, problemRows, templates: [{ role, label,
+     *   rowCount, problemCount, fields: [...] }] } - see createFieldReport() for the field entries
+     */
+    analyze(rows) {
+        const templates = TEMPLATE_FIT_TEMPLATES
+            .filter(({ role }) => typeof this.templates[role] === 'string')
+            .map(definition => ({
+                ...definition,
+                rowCount: 0,
+                // A font variable without FONT_SIZE_LIMITS is never computed, so it cannot be measured
+                fields: TextFitter.extractFields(this.templates[definition.role])
+                    .filter(field => !field.fontVar || FONT_SIZE_LIMITS[field.fontVar])
+                    .map(field => TemplateFitAnalysis.createFieldReport(field))
+            }));
+        const problemRows = new Set();
+
+        rows.forEach((row, index) => {
+            if (!row) return;
+
+            const rawVars = this.labelVariables.getRawVariables(row);
+            const { sizes } = this.labelVariables.textFitter.computeFontSizes(rawVars);
+
+            templates.forEach(template => {
+                if (!template.appliesTo(row)) return;
+                template.rowCount++;
+
+                template.fields.forEach(field => {
+                    const text = TextFitter.fillText(field.block.text, rawVars, LABEL_FIELD_DEFAULTS).trim();
+                    const size = field.fontVar ? sizes[field.fontVar] : field.fontSize;
+                    const result = TextFitter.measure(text, field.block, size);
+
+                    field.lengths.push(text.length);
+                    field.sizeCounts[size] = (field.sizeCounts[size] || 0) + 1;
+
+                    if (result.fits) {
+                        field.longestFit = Math.max(field.longestFit, text.length);
+                        return;
+                    }
+
+                    field.shortestMiss = field.shortestMiss === null
+                        ? text.length
+                        : Math.min(field.shortestMiss, text.length);
+                    field.problems.push({
+                        index,
+                        row,
+                        text,
+                        size,
+                        lines: result.lines,
+                        problem: result.overflow ? 'overflow' : 'clipped'
+                    });
+                    problemRows.add(index);
+                });
+            });
+        });
+
+        templates.forEach(template => {
+            delete template.appliesTo;
+            template.fields.forEach(field => TemplateFitAnalysis.summarizeLengths(field));
+            template.problemCount = template.fields.reduce((sum, field) => sum + field.problems.length, 0);
+        });
+
+        return {
+            rowCount: rows.length,
+            problemCount: templates.reduce((sum, template) => sum + template.problemCount, 0),
+            problemRows: problemRows.size,
+            templates
+        };
+    }
+
+    /**
+     * Empty report entry for one template field
+     * @param {Object} field - Field from TextFitter.extractFields()
+     * @returns {Object} { label, fontVar, fontSize, limits, block, lengths, sizeCounts,
+     *   longestFit, shortestMiss, problems } - lengths becomes a summary after analyze()
+     */
+    static createFieldReport(field) {
+        const { fontVar, fontSize, limits, ...block } = field;
+
+        return {
+            label: block.text.replace(/\\&/g, ' ').trim(),
+            fontVar,
+            fontSize,
+            limits,
+            block,
+            lengths: [],
+            sizeCounts: {},
+            longestFit: 0,
+            shortestMiss: null,
+            problems: []
+        };
+    }
+
+    /**
+     * Replace the collected text lengths by their distribution
+     * @param {Object} field - Field report
+     */
+    static summarizeLengths(field) {
+        const sorted = [...field.lengths].sort((a, b) => a - b);
+        const count = sorted.length;
+        const at = fraction => sorted[Math.min(count - 1, Math.floor(fraction * count))];
+        const buckets = [];
+
+        sorted.forEach(length => {
+            const from = Math.floor(length / TEMPLATE_FIT_BUCKET_SIZE) * TEMPLATE_FIT_BUCKET_SIZE;
+            const last = buckets[buckets.length - 1];
+            if (last && last.from === from) {
+                last.count++;
+            } else {
+                buckets.push({ from, to: from + TEMPLATE_FIT_BUCKET_SIZE - 1, count: 1 });
+            }
+        });
+
+        field.lengths = count === 0 ? { count: 0, buckets } : {
+            count,
+            min: sorted[0],
+            median: at(0.5),
+            p95: at(0.95),
+            max: sorted[count - 1],
+            average: Math.round(sorted.reduce((sum, length) => sum + length, 0) / count * 10) / 10,
+            buckets
+        };
+    }
+
+    /**
+     * Describe a field's font: "28" for fixed sizes, "KIT_FONT_SIZE 18-28" for fitted ones
+     * @param {Object} field - Field report
+     * @returns {string} Font description
+     */
+    static describeFont(field) {
+        return field.fontVar
+            ? `${field.fontVar} ${field.limits.min}-${field.limits.max}`
+            : String(field.fontSize);
+    }
+
+    /**
+     * Flatten the problems of a report into CSV rows
+     * @param {Object} report - Result of analyze()
+     * @returns {Array<Array<string>>} Header row followed by one row per problem, in sheet order
+     */
+    static toCsvRows(report) {
+        const codeFields = KitTypes.getCodeFields();
+        const rows = [['Source', 'Sheet Row', 'Template', 'Field', 'Problem', 'Text', 'Length', 'Font Size',
+            'Lines Needed', 'Lines Available', ...codeFields.map(field => ColumnMapping.getLabel(field))]];
+        const value = DatasetDiff.normalizeValue;
+
+        report.templates
+            .flatMap(template => template.fields.flatMap(field =>
+                field.problems.map(problem => ({ template, field, problem }))))
+            .sort((a, b) => a.problem.index - b.problem.index)
+            .forEach(({ template, field, problem }) => {
+                rows.push([
+                    value(problem.row.SOURCE),
+                    String(ExcelParser.getSheetRowNumber(problem.index, problem.row)),
+                    template.label,
+                    field.label,
+                    problem.problem,
+                    problem.text.replace(/\n/g, ' '),
+                    String(problem.text.length),
+                    String(problem.size),
+                    String(problem.lines),
+                    String(field.block.lines),
+                    ...codeFields.map(codeField => value(problem.row[codeField]))
+                ]);
+            });
+
+        return rows;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TemplateFitAnalysis, TEMPLATE_FIT_TEMPLATES, TEMPLATE_FIT_BUCKET_SIZE };
+}
@@ -0,0 +1,375 @@
+/**
+ * Template Language
+ * The placeholder syntax of the sticker templates:
+ *   {FIELD}                          value, or the field's default (LABEL_FIELD_DEFAULTS) when empty
+ *   {FIELD|text}                     value, or text when empty: {COMBICODE|-}, {FORK_EXTRA_INFO|}
+ *   {FIELD|upper}                    filters, applied left to right (see TEMPLATE_FILTERS)
+ *   {#if FIELD}...{else}...{/if}     printed only when FIELD is filled in; {#if !FIELD} when empty
+ * Text that looks like a filter name is quoted to use it as default: {FIELD|"none"}.
+ * Values are ZPL-escaped after the filters ran, so cell text can never inject ZPL commands.
+ * Placeholders in ^FX comments are not read; a section opened in ^FD field data closes before its ^FS.
+ */
+
+// Filters: arg is the type of the parameter after ':' (none, or a whole number)
+const TEMPLATE_FILTERS = {
+    upper: { arg: null, apply: value => value.toUpperCase() },
+    lower: { arg: null, apply: value => value.toLowerCase() },
+    trim: { arg: null, apply: value => value.trim() },
+    truncate: { arg: 'number', apply: (value, length) => value.substring(0, length).trimEnd() },
+    // Font sizes: keep a computed size within bounds (TextFitter fits within the same bounds)
+    min: { arg: 'number', apply: (value, size) => TemplateLanguage.clampNumber(value, size, Infinity) },
+    max: { arg: 'number', apply: (value, size) => TemplateLanguage.clampNumber(value, -Infinity, size) }
+};
+
+// Parsed templates kept for reuse (a batch renders the same few templates many times)
+const TEMPLATE_LANGUAGE_CACHE_SIZE = 20;
+const templateLanguageCache = new Map();
+
+class TemplateLanguage {
+    /**
+     * Render a template
+     * @param {string} template - Template text
+     * @param {Object} variables - Values by variable name (unescaped)
+     * @param {Object} [options] - { defaults } printed for empty values without a {FIELD|text} default,
+     *   { escape } applied to every printed value (e.g. SecurityUtils.escapeZpl)
+     * @returns {string} Rendered text; a variable that is not in variables stays as written
+     * @throws {Error} Syntax error with line and column (see syntaxError())
+     */
+    static render(template, variables, options = {}) {
+        const { defaults = {}, escape = value => value } = options;
+        return TemplateLanguage.renderNodes(TemplateLanguage.compile(template), variables, defaults, escape);
+    }
+
+    /**
+     * Parse a template (cached)
+     * @param {string} template - Template text
+     * @returns {Array<Object>} Nodes: { type: 'text', text } | { type: 'variable', name, pipeline, source, index }
+     *   | { type: 'if', name, negate, then, otherwise, index }
+     * @throws {Error} Syntax error with line and column
+     */
+    static compile(template) {
+        const text = String(template || '');
+        if (!templateLanguageCache.has(text)) {
+            if (templateLanguageCache.size >= TEMPLATE_LANGUAGE_CACHE_SIZE) {
+                templateLanguageCache.clear();
+            }
+            templateLanguageCache.set(text, TemplateLanguage.parse(text));
+        }
+        return templateLanguageCache.get(text);
+    }
+
+    /**
+     * Parse a template into nodes
+     * @param {string} template - Template text
+     * @returns {Array<Object>} Nodes (see compile())
+     * @throws {Error} Syntax error with line and column
+     */
+    static parse(template) {
+        const root = { nodes: [] };
+        const stack = [];           // open {#if} nodes, innermost last
+        let current = root.nodes;
+        let fieldDepth = null;      // stack depth at the ^FD being read, null outside field data
+        let textStart = 0;
+        let i = 0;
+
+        const flushText = (end) => {
+            if (end > textStart) {
+                current.push({ type: 'text', text: template.substring(textStart, end) });
+            }
+        };
+
+        while (i < template.length) {
+            const char = template[i];
+
+            if (char === '\\' && (fieldDepth !== null || template[i + 1] === '{' || template[i + 1] === '}')) {
+                // Escaped brace (printed as written), or an escape in field data such as \^
+                i += 2;
+            } else if (char === '^' || char === '~') {
+                const code = template.substr(i + 1, 2).toUpperCase();
+                if (code === 'FX') {
+                    // Comments run up to the next command and may mention {FIELD} freely
+                    const next = template.slice(i + 1).search(/[\^~]/);
+                    i = next === -1 ? template.length : i + 1 + next;
+                    continue;
+                }
+                if (code === 'FD') {
+                    fieldDepth = stack.length;
+                } else if (code === 'FS' && fieldDepth !== null) {
+                    if (stack.length > fieldDepth) {
+                        throw TemplateLanguage.syntaxError(
+                            `{#if ${stack[stack.length - 1].name}} is not closed before the ^FS of its field`,
+                            template, stack[stack.length - 1].index);
+                    }
+                    fieldDepth = null;
+                }
+                i += 1;
+            } else if (char === '}') {
+                throw TemplateLanguage.syntaxError('"}" without an opening "{" (write \\} to print it)', template, i);
+            } else if (char === '{') {
+                const end = template.slice(i + 1).search(/[{}\n]/);
+                if (end === -1 || template[i + 1 + end] !== '}') {
+                    throw TemplateLanguage.syntaxError('"{" is not closed with "}" on the same line (write \\{ to print it)', template, i);
+                }
+                const source = template.substring(i + 1, i + 1 + end);
+                flushText(i);
+
+                if (source.startsWith('#if ')) {
+                    const condition = source.substring(4).trim();
+                    const negate = condition.startsWith('!');
+                    const name = negate ? condition.substring(1).trim() : condition;
+                    TemplateLanguage.checkName(name, template, i);
+
+                    const node = { type: 'if', name, negate, then: [], otherwise: [], index: i, hasElse: false };
+                    current.push(node);
+                    stack.push(node);
+                    current = node.then;
+                } else if (source === 'else' || source === '/if') {
+                    const node = stack[stack.length - 1];
+                    if (!node || (fieldDepth !== null && stack.length === fieldDepth)) {
+                        throw TemplateLanguage.syntaxError(
+                            node ? `{${source}} closes a section opened outside this field` : `{${source}} without {#if}`,
+                            template, i);
+                    }
+                    if (source === 'else') {
+                        if (node.hasElse) {
+                            throw TemplateLanguage.syntaxError(`Second {else} in {#if ${node.name}}`, template, i);
+                        }
+                        node.hasElse = true;
+                        current = node.otherwise;
+                    } else {
+                        stack.pop();
+                        delete node.hasElse;
+                        current = stack.length > 0
+                            ? (stack[stack.length - 1].hasElse ? stack[stack.length - 1].otherwise : stack[stack.length - 1].then)
+                            : root.nodes;
+                    }
+                } else if (source.startsWith('#') || source.startsWith('/')) {
+                    throw TemplateLanguage.syntaxError(`Unknown section {${source}} (use {#if FIELD}, {else} and {/if})`, template, i);
+                } else {
+                    current.push({ type: 'variable', ...TemplateLanguage.parseExpression(source, template, i), source, index: i });
+                }
+
+                i += end + 2;
+                textStart = i;
+            } else {
+                i += 1;
+            }
+        }
+
+        flushText(template.length);
+
+        if (stack.length > 0) {
+            const node = stack[stack.length - 1];
+            throw TemplateLanguage.syntaxError(`{#if ${node.name}} is not closed with {/if}`, template, node.index);
+        }
+
+        return root.nodes;
+    }
+
+    /**
+     * Parse the inside of a placeholder: FIELD followed by |default or |filter segments
+     * @param {string} source - e.g. 'MODEL_TYPE|upper' or 'COMBICODE|-'
+     * @param {string} [template] - Template, for error positions
+     * @param {number} [index] - Position of the placeholder in the template
+     * @returns {Object} { name, pipeline: [{ filter, arg } | { fallback }] }
+     * @throws {Error} Syntax error
+     */
+    static parseExpression(source, template = source, index = 0) {
+        const [name] = source.split('|', 1);
+        TemplateLanguage.checkName(name, template, index);
+
+        const pipeline = [];
+        const segmentPattern = /\|("[^"]*"(?=\||$)|[^|]*)/y;
+        segmentPattern.lastIndex = name.length;
+        let match;
+
+        while (segmentPattern.lastIndex < source.length && (match = segmentPattern.exec(source)) !== null) {
+            const segment = match[1];
+            const filterMatch = segment.match(/^([a-z][a-z0-9_]*)(?::(.*))?$/);
+
+            if (segment.startsWith('"')) {
+                if (!/^"[^"]*"$/.test(segment)) {
+                    throw TemplateLanguage.syntaxError(`Unclosed quote in {${source}}`, template, index);
+                }
+                pipeline.push({ fallback: segment.slice(1, -1) });
+            } else if (filterMatch) {
+                const [, filter, arg] = filterMatch;
+                const definition = TEMPLATE_FILTERS[filter];
+                if (!definition) {
+                    throw TemplateLanguage.syntaxError(`Unknown filter "${filter}" in {${source}} ` +
+                        `(filters: ${Object.keys(TEMPLATE_FILTERS).join(', ')}; quote text to use it as default)`, template, index);
+                }
+                if (definition.arg === 'number' && !/^\d+$/.test(arg || '')) {
+                    throw TemplateLanguage.syntaxError(`Filter "${filter}" needs a whole number, as in {${name}|${filter}:20}`, template, index);
+                }
+                if (definition.arg === null && arg !== undefined) {
+                    throw TemplateLanguage.syntaxError(`Filter "${filter}" takes no value in {${source}}`, template, index);
+                }
+                pipeline.push({ filter, arg: definition.arg === 'number' ? parseInt(arg, 10) : null });
+            } else {
+                pipeline.push({ fallback: segment });
+            }
+        }
+
+        if (pipeline.filter(step => 'fallback' in step).length > 1) {
+            throw TemplateLanguage.syntaxError(`More than one default in {${source}}`, template, index);
+        }
+
+        return { name, pipeline };
+    }
+
+    /**
+     * Check a variable name
+     * @param {string} name - Name from a placeholder or {#if}
+     * @param {string} template - Template, for error positions
+     * @param {number} index - Position of the placeholder
+     * @throws {Error} Syntax error when the name is not upper case
+     */
+    static checkName(name, template, index) {
+        if (!/^[A-Z][A-Z0-9_]*$/.test(name)) {
+            throw TemplateLanguage.syntaxError(
+                `"${name}" is not a variable name (upper-case letters, digits and _, e.g. {BRAND_NAME})`, template, index);
+        }
+    }
+
+    /**
+     * Render parsed nodes
+     * @param {Array<Object>} nodes - Nodes from compile()
+     * @param {Object} variables - Values by variable name
+     * @param {Object} defaults - Printed for empty values without an explicit default
+     * @param {Function} escape - Applied to every printed value
+     * @returns {string} Rendered text
+     */
+    static renderNodes(nodes, variables, defaults, escape) {
+        return nodes.map(node => {
+            if (node.type === 'text') {
+                return node.text;
+            }
+            if (node.type === 'if') {
+                const filled = !TemplateLanguage.isEmpty(variables[node.name]);
+                return TemplateLanguage.renderNodes(filled !== node.negate ? node.then : node.otherwise,
+                    variables, defaults, escape);
+            }
+            if (variables[node.name] === undefined) {
+                // Not a label variable: left as written, the template linter reports it
+                return `{${node.source}}`;
+            }
+            return escape(TemplateLanguage.evaluate(node, variables[node.name], defaults[node.name]));
+        }).join('');
+    }
+
+    /**
+     * Value of a placeholder before escaping
+     * @param {Object} node - Variable node ({ name, pipeline })
+     * @param {*} value - Variable value
+     * @param {string} [fieldDefault] - Printed when the value is empty and the placeholder has no default
+     * @returns {string} Text to print
+     */
+    static evaluate(node, value, fieldDefault = '') {
+        const hasFallback = node.pipeline.some(step => 'fallback' in step);
+        let text = TemplateLanguage.isEmpty(value) ? (hasFallback ? '' : fieldDefault) : String(value);
+
+        node.pipeline.forEach(step => {
+            if ('fallback' in step) {
+                if (TemplateLanguage.isEmpty(text)) text = step.fallback;
+            } else {
+                text = String(TEMPLATE_FILTERS[step.filter].apply(text, step.arg));
+            }
+        });
+
+        return text;
+    }
+
+    /**
+     * Variables a template refers to, in placeholders and {#if} conditions
+     * @param {string} template - Template text
+     * @returns {Array<Object>} { name, type: 'variable'|'if', index } in template order
+     * @throws {Error} Syntax error
+     */
+    static getReferences(template) {
+        const references = [];
+        const visit = nodes => nodes.forEach(node => {
+            if (node.type === 'variable') {
+                references.push({ name: node.name, type: node.type, index: node.index });
+            } else if (node.type === 'if') {
+                references.push({ name: node.name, type: node.type, index: node.index });
+                visit(node.then);
+                visit(node.otherwise);
+            }
+        });
+        visit(TemplateLanguage.compile(template));
+        return references;
+    }
+
+    /**
+     * Filters of the first placeholder in a command parameter, e.g. the font size of ^CF0,{X|max:40}
+     * @param {string} text - Command parameters
+     * @returns {Object|null} { name, pipeline } or null when there is no readable placeholder
+     */
+    static findExpression(text) {
+        const match = String(text || '').match(/\{([A-Z][^{}]*)\}/);
+        if (!match) return null;
+
+        try {
+            return TemplateLanguage.parseExpression(match[1]);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether text contains placeholders or sections
+     * @param {string} text - Template text, e.g. field data
+     * @returns {boolean} True if anything in it is filled in per row
+     */
+    static hasPlaceholders(text) {
+        return /(^|[^\\])\{[A-Z#]/.test(text);
+    }
+
+    /**
+     * Check whether a value counts as empty for defaults and {#if}
+     * @param {*} value - Variable value
+     * @returns {boolean} True for undefined, null and blank text
+     */
+    static isEmpty(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    /**
+     * Clamp a numeric value, leaving other text unchanged
+     * @param {string} value - Value text
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {string} Clamped value
+     */
+    static clampNumber(value, min, max) {
+        const number = Number(value);
+        if (value === '' || isNaN(number)) return value;
+        return String(Math.min(Math.max(number, min), max));
+    }
+
+    /**
+     * Error for malformed template syntax
+     * @param {string} message - What is wrong
+     * @param {string} template - Template text
+     * @param {number} index - Position of the problem
+     * @returns {Error} Error with line, column and userMessage
+     */
+    static syntaxError(message, template, index) {
+        const before = template.substring(0, index);
+        const line = before.split('\n').length;
+        const column = index - before.lastIndexOf('\n');
+
+        const error = new Error(`Template line ${line}, column ${column}: ${message}`);
+        error.name = 'TemplateSyntaxError';
+        error.line = line;
+        error.column = column;
+        error.userMessage = `The sticker template has an error on line ${line}: ${message}`;
+        return error;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TemplateLanguage, TEMPLATE_FILTERS };
+}
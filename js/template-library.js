@@ -0,0 +1,299 @@
+/**
+ * Template Library
+ * The ZPL sticker templates per role: the bundled files in templates/ plus uploaded
+ * versions, the version active for each role and a history of activations for rollback.
+ * Uploaded versions are persisted through DatasetStore; ZBLGenerator and
+ * BatchZBLGenerator print with getActiveTemplates().
+ */
+
+// Sticker roles from the kit type registry: { name, label, url (bundled template), printer (big or small) }
+const TEMPLATE_ROLES = KitTypes.getTemplateRoles();
+
+// Activations kept per role for rollback
+const TEMPLATE_HISTORY_LIMIT = 20;
+
+// Largest template accepted for upload; the bundled ones are a few KB
+const TEMPLATE_MAX_SIZE = 256 * 1024;
+
+class TemplateLibrary {
+    /**
+     * @param {DatasetStore} datasetStore - Storage for uploaded versions and the active selection
+     */
+    constructor(datasetStore) {
+        this.datasetStore = datasetStore;
+        this.versions = [];   // { id, role, name, version, content, bundled, createdAt }
+        this.active = {};     // role -> id of the version in use
+        this.history = {};    // role -> [{ id, activatedAt }], oldest first
+    }
+
+    /**
+     * Download the bundled templates and merge the saved library
+     * The bundled files are required; a library that cannot be read leaves them active.
+     * @returns {Promise<Object>} Active template strings keyed by role
+     */
+    async load() {
+        this.versions = await Promise.all(Object.entries(TEMPLATE_ROLES).map(async ([role, { label, url }]) => {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${label} template`);
+            }
+            return TemplateLibrary.createBundledVersion(role, url, await response.text());
+        }));
+        this.active = {};
+        this.history = {};
+        this.versions.forEach(version => {
+            this.active[version.role] = version.id;
+        });
+
+        try {
+            const saved = await this.datasetStore.loadTemplates();
+            if (saved) {
+                this.restore(saved);
+            }
+        } catch (error) {
+            console.warn('[TemplateLibrary] Could not read saved templates (non-fatal):', error);
+        }
+
+        return this.getActiveTemplates();
+    }
+
+    /**
+     * Merge a saved library into the bundled versions, dropping references to missing versions
+     * @param {Object} saved - { versions, active, history } from DatasetStore.loadTemplates()
+     */
+    restore(saved) {
+        const uploaded = saved.versions.filter(version =>
+            TEMPLATE_ROLES[version.role] && !version.bundled && typeof version.content === 'string');
+        this.versions = this.versions.concat(uploaded);
+
+        Object.keys(TEMPLATE_ROLES).forEach(role => {
+            const activeId = (saved.active || {})[role];
+            if (this.findVersion(activeId, role)) {
+                this.active[role] = activeId;
+            }
+            this.history[role] = ((saved.history || {})[role] || [])
+                .filter(entry => this.findVersion(entry.id, role));
+        });
+    }
+
+    /**
+     * Template strings of the active versions
+     * @returns {Object} { big, smallFork, smallShock }
+     */
+    getActiveTemplates() {
+        const templates = {};
+        Object.keys(TEMPLATE_ROLES).forEach(role => {
+            templates[role] = this.getActive(role).content;
+        });
+        return templates;
+    }
+
+    /**
+     * Active version of a role
+     * @param {string} role - big, smallFork or smallShock
+     * @returns {Object} Version entry
+     */
+    getActive(role) {
+        return this.findVersion(this.active[role], role);
+    }
+
+    /**
+     * Versions of a role, newest first with the bundled file last
+     * @param {string} role - big, smallFork or smallShock
+     * @returns {Array<Object>} Version entries
+     */
+    getVersions(role) {
+        return this.versions
+            .filter(version => version.role === role)
+            .sort((a, b) => b.version - a.version);
+    }
+
+    /**
+     * Find a version by id
+     * @param {string} id - Version id
+     * @param {string} [role] - Only match versions of this role
+     * @returns {Object|null} Version entry
+     */
+    findVersion(id, role) {
+        return this.versions.find(version => version.id === id && (!role || version.role === role)) || null;
+    }
+
+    /**
+     * Store an uploaded template as the next version of its role (not activated)
+     * @param {string} role - big, smallFork or smallShock
+     * @param {string} name - Name shown in the library, e.g. the file name
+     * @param {string} content - ZPL template
+     * @returns {Promise<Object>} New version entry
+     */
+    async addVersion(role, name, content) {
+        if (!TEMPLATE_ROLES[role]) {
+            throw new Error(`Unknown template role: ${role}`);
+        }
+
+        const problem = TemplateLibrary.checkContent(content);
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        const createdAt = Date.now();
+        const number = Math.max(...this.getVersions(role).map(entry => entry.version)) + 1;
+        const version = {
+            id: `template-${role}-${number}-${createdAt}`,
+            role,
+            name: String(name || '').trim() || `${TEMPLATE_ROLES[role].label} template`,
+            version: number,
+            content,
+            bundled: false,
+            createdAt
+        };
+
+        this.versions.push(version);
+        await this.save();
+        return version;
+    }
+
+    /**
+     * Make a version the one printed for its role
+     * @param {string} id - Version id
+     * @returns {Promise<Object>} Activated version entry
+     */
+    async activate(id) {
+        const version = this.findVersion(id);
+        if (!version) {
+            throw new Error('Template version not found');
+        }
+
+        if (this.active[version.role] !== id) {
+            const history = this.history[version.role] || [];
+            // The first activation also records what it replaces, so it can be rolled back
+            if (history.length === 0) {
+                history.push({ id: this.active[version.role], activatedAt: null });
+            }
+            history.push({ id, activatedAt: Date.now() });
+            this.history[version.role] = history.slice(-TEMPLATE_HISTORY_LIMIT);
+            this.active[version.role] = id;
+            await this.save();
+        }
+
+        return version;
+    }
+
+    /**
+     * Version a rollback would activate: the one active before the current one
+     * @param {string} role - big, smallFork or smallShock
+     * @returns {Object|null} Version entry, or null when there is nothing to go back to
+     */
+    getRollbackTarget(role) {
+        const history = this.history[role] || [];
+        for (let i = history.length - 1; i >= 0; i--) {
+            if (history[i].id !== this.active[role]) {
+                return this.findVersion(history[i].id, role);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Re-activate the previously active version; repeated rollbacks go further back
+     * @param {string} role - big, smallFork or smallShock
+     * @returns {Promise<Object|null>} Activated version entry, or null when there is no history
+     */
+    async rollback(role) {
+        const target = this.getRollbackTarget(role);
+        if (!target) {
+            return null;
+        }
+
+        // Forget the activations being undone
+        const history = this.history[role];
+        while (history.length > 0 && history[history.length - 1].id !== target.id) {
+            history.pop();
+        }
+        this.active[role] = target.id;
+
+        await this.save();
+        return target;
+    }
+
+    /**
+     * Delete an uploaded version that is not in use
+     * @param {string} id - Version id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const version = this.findVersion(id);
+        if (!version) {
+            throw new Error('Template version not found');
+        }
+        if (version.bundled) {
+            throw new Error('The bundled template cannot be deleted');
+        }
+        if (this.active[version.role] === id) {
+            throw new Error('Activate another version before deleting this one');
+        }
+
+        this.versions = this.versions.filter(entry => entry.id !== id);
+        this.history[version.role] = (this.history[version.role] || []).filter(entry => entry.id !== id);
+        await this.save();
+    }
+
+    /**
+     * Persist the uploaded versions, the active selection and the history
+     * @returns {Promise<void>}
+     */
+    async save() {
+        await this.datasetStore.saveTemplates({
+            versions: this.versions.filter(version => !version.bundled),
+            active: { ...this.active },
+            history: JSON.parse(JSON.stringify(this.history))
+        });
+    }
+
+    /**
+     * Entry for a bundled template file
+     * @param {string} role - big, smallFork or smallShock
+     * @param {string} url - Template URL
+     * @param {string} content - ZPL template
+     * @returns {Object} Version entry
+     */
+    static createBundledVersion(role, url, content) {
+        return {
+            id: `bundled-${role}`,
+            role,
+            name: url.split('/').pop(),
+            version: 0,
+            content,
+            bundled: true,
+            createdAt: null
+        };
+    }
+
+    /**
+     * Check that uploaded text looks like a ZPL label with readable placeholders
+     * @param {string} content - Template text
+     * @returns {string|null} Problem to show, or null when the template can be stored
+     */
+    static checkContent(content) {
+        if (typeof content !== 'string' || content.trim() === '') {
+            return 'The template is empty';
+        }
+        if (content.length > TEMPLATE_MAX_SIZE) {
+            return `The template is too large (max ${TEMPLATE_MAX_SIZE / 1024} KB)`;
+        }
+        if (!content.includes('^XA') || !content.includes('^XZ')) {
+            return 'Not a ZPL label: the template must start with ^XA and end with ^XZ';
+        }
+        try {
+            // A template whose placeholders cannot be read prints nothing at all
+            TemplateLanguage.compile(content);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TemplateLibrary, TEMPLATE_ROLES, TEMPLATE_HISTORY_LIMIT, TEMPLATE_MAX_SIZE };
+}
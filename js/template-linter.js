@@ -0,0 +1,409 @@
+/**
+ * Template Linter
+ * Checks a ZPL sticker template before it is used: ^XA/^XZ balance, label size against
+ * the printer's label, placeholder syntax (TemplateLanguage) and names against the label
+ * variable set (LABEL_TEXT_FIELDS and FONT_SIZE_LIMITS), fields and boxes outside ^PW/^LL
+ * and ^FB blocks that overlap.
+ * Runs on template load, in the template library and from scripts/lint-templates.js.
+ */
+
+const TEMPLATE_LINT_SEVERITY = {
+    ERROR: 'error',      // The label prints wrong or breaks the batch
+    WARNING: 'warning',  // Probably a mistake; the label still prints
+    INFO: 'info'         // For reference only
+};
+
+// Label of each printer when none is configured (see SettingsStorage printer slots)
+const TEMPLATE_LINT_PRINTER_LABEL_SIZES = {
+    big: '124x70mm',
+    small: '65x35mm'
+};
+
+// Printer label per template role, e.g. { big: '124x70mm', smallFork: '65x35mm', ... }
+const TEMPLATE_LINT_LABEL_SIZES = Object.fromEntries(
+    Object.entries(KitTypes.getTemplateRoles())
+        .map(([role, { printer }]) => [role, TEMPLATE_LINT_PRINTER_LABEL_SIZES[printer]])
+);
+
+// Resolution the templates are designed for
+const TEMPLATE_LINT_DPI = 300;
+
+// Difference between ^PW/^LL and the label size that is still accepted (dots, ~1 mm)
+const TEMPLATE_LINT_SIZE_TOLERANCE = 12;
+
+class TemplateLinter {
+    /**
+     * Check a template
+     * @param {string} template - ZPL template
+     * @param {Object} [options] - { labelSize } printer label such as '124x70mm', to compare ^PW/^LL with
+     * @returns {Object} { issues: [{ rule, severity, message, line }], errorCount, warningCount, variables }
+     *   - issues in template order, variables the placeholder names the template uses
+     */
+    static lint(template, options = {}) {
+        const parsed = TemplateLinter.parse(String(template || ''));
+        const labelSize = TemplateLinter.parseLabelSize(options.labelSize);
+        const issues = [
+            ...TemplateLinter.checkFormats(parsed),
+            ...TemplateLinter.checkSize(parsed, labelSize, options.labelSize),
+            ...TemplateLinter.checkVariables(parsed),
+            ...TemplateLinter.checkBounds(parsed, labelSize),
+            ...TemplateLinter.checkOverlaps(parsed)
+        ].sort((a, b) => (a.line || Infinity) - (b.line || Infinity));
+
+        return {
+            issues,
+            errorCount: issues.filter(issue => issue.severity === TEMPLATE_LINT_SEVERITY.ERROR).length,
+            warningCount: issues.filter(issue => issue.severity === TEMPLATE_LINT_SEVERITY.WARNING).length,
+            variables: [...new Set(parsed.placeholders.map(placeholder => placeholder.name))]
+        };
+    }
+
+    /**
+     * Read the commands of a template into formats, elements and placeholders
+     * Variable font sizes are measured at their FONT_SIZE_LIMITS maximum, but no taller than the
+     * box around the field: TextFitter shrinks the font until the text fits that box.
+     * @param {string} template - ZPL template
+     * @returns {Object} { formats: [{ start, end }], strayEnds: [line], width, height,
+     *   elements: [{ type: 'box'|'text', x, y, width, height, thickness, block, fitted, line }],
+     *   placeholders: [{ name, type, line }], syntaxError: { message, line } | null }
+     */
+    static parse(template) {
+        const lineStarts = [0];
+        for (let i = template.indexOf('\n'); i !== -1; i = template.indexOf('\n', i + 1)) {
+            lineStarts.push(i + 1);
+        }
+        const lineAt = (index) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (lineStarts[mid] <= index) low = mid; else high = mid - 1;
+            }
+            return low + 1;
+        };
+
+        const parsed = { formats: [], strayEnds: [], width: null, height: null, elements: [], placeholders: [], syntaxError: null };
+        const state = { format: null, home: { x: 0, y: 0 }, shift: 0, origin: null, font: null, fieldFont: null, block: null };
+        const commandPattern = /[\^~]([A-Z@][A-Z0-9@]?)([^\^~]*)/gi;
+        const numbers = (params) => params.split(',').map(value => parseInt(value, 10));
+        let match;
+
+        try {
+            parsed.placeholders = TemplateLanguage.getReferences(template)
+                .map(({ name, type, index }) => ({ name, type, line: lineAt(index) }));
+        } catch (error) {
+            parsed.syntaxError = { message: error.message.replace(/^Template line \d+, column \d+: /, ''), line: error.line };
+        }
+
+        while ((match = commandPattern.exec(template)) !== null) {
+            const code = match[1].toUpperCase();
+            const line = lineAt(match.index);
+            let params = match[2];
+
+            // Comments are never printed
+            if (code === 'FX') continue;
+
+            if (code === 'FD') {
+                // Field data may contain escaped carets; take it up to the next ^FS
+                const end = template.indexOf('^FS', match.index);
+                params = template.substring(match.index + 3, end === -1 ? undefined : end);
+                if (end !== -1) {
+                    commandPattern.lastIndex = end;
+                }
+            }
+
+            if (code === 'XA') {
+                if (state.format) {
+                    parsed.formats.push({ start: state.format.start, end: null });
+                }
+                state.format = { start: line };
+            } else if (code === 'XZ') {
+                if (state.format) {
+                    parsed.formats.push({ start: state.format.start, end: line });
+                    state.format = null;
+                } else {
+                    parsed.strayEnds.push(line);
+                }
+            } else if (code === 'PW') {
+                parsed.width = numbers(params)[0] || parsed.width;
+            } else if (code === 'LL') {
+                parsed.height = numbers(params)[0] || parsed.height;
+            } else if (code === 'LH') {
+                const [x, y] = numbers(params);
+                state.home = { x: x || 0, y: y || 0 };
+            } else if (code === 'LS') {
+                state.shift = numbers(params)[0] || 0;
+            } else if (code === 'FO' || code === 'FT') {
+                const [x, y] = numbers(params);
+                state.origin = { x: (x || 0) + state.home.x - state.shift, y: (y || 0) + state.home.y, line };
+            } else if (code === 'CF') {
+                state.font = TemplateLinter.parseFont(params.split(',')[1]);
+            } else if (code[0] === 'A') {
+                // ^A0N,h,w: the font name and orientation are packed into the command
+                state.fieldFont = TemplateLinter.parseFont(params.split(',')[1]);
+            } else if (code === 'FB') {
+                const [width, lines, spacing] = numbers(params);
+                state.block = { width: width || 0, lines: lines || 1, spacing: spacing || 0 };
+            } else if (code === 'GB' && state.origin) {
+                const [width, height, thickness] = numbers(params);
+                const t = thickness || 1;
+                parsed.elements.push({
+                    type: 'box',
+                    x: state.origin.x,
+                    y: state.origin.y,
+                    width: Math.max(width || t, t),
+                    height: Math.max(height || t, t),
+                    thickness: t,
+                    line: state.origin.line
+                });
+            } else if (code === 'FD' && state.origin) {
+                const font = state.fieldFont || state.font || { height: null, fitted: false };
+                const block = state.block;
+                parsed.elements.push({
+                    type: 'text',
+                    x: state.origin.x,
+                    y: state.origin.y,
+                    width: block ? block.width : null,
+                    height: block && font.height
+                        ? block.lines * font.height + (block.lines - 1) * block.spacing
+                        : font.height,
+                    block,
+                    fitted: font.fitted,
+                    line: state.origin.line
+                });
+            } else if (code === 'FS') {
+                state.origin = null;
+                state.fieldFont = null;
+                state.block = null;
+            }
+        }
+
+        if (state.format) {
+            parsed.formats.push({ start: state.format.start, end: null });
+        }
+
+        // Lines are boxes too; only real rectangles bound a field (as in TextFitter)
+        const boxes = parsed.elements.filter(element =>
+            element.type === 'box' && element.width > element.thickness * 2 && element.height > element.thickness * 2);
+        parsed.elements.filter(element => element.fitted && element.height).forEach(element => {
+            const available = TextFitter.availableHeight(element, boxes);
+            if (available !== null && available > 0) {
+                element.height = Math.min(element.height, available);
+            }
+        });
+
+        return parsed;
+    }
+
+    /**
+     * Font height from a ^CF/^A height parameter
+     * @param {string} value - e.g. '28', '{BRAND_FONT_SIZE}' or '{BRAND_FONT_SIZE|max:40}'
+     * @returns {Object} { height, fitted } - height in dots (null when unknown),
+     *   fitted when TextFitter picks the size
+     */
+    static parseFont(value) {
+        const expression = /^\s*\{/.test(value || '') ? TemplateLanguage.findExpression(value) : null;
+        if (expression) {
+            const limits = TextFitter.limitsFor(expression);
+            return { height: limits ? limits.max : null, fitted: Boolean(limits) };
+        }
+        const height = parseInt(value, 10);
+        return { height: isNaN(height) ? null : height, fitted: false };
+    }
+
+    /**
+     * ^XA/^XZ balance
+     * @param {Object} parsed - Result of parse()
+     * @returns {Array<Object>} Issues
+     */
+    static checkFormats(parsed) {
+        const issues = [];
+
+        if (parsed.formats.length === 0 && parsed.strayEnds.length === 0) {
+            issues.push(TemplateLinter.issue('format-unbalanced', TEMPLATE_LINT_SEVERITY.ERROR,
+                'No label format: the template must start with ^XA and end with ^XZ', 1));
+        }
+
+        parsed.formats.filter(format => format.end === null).forEach(format => {
+            issues.push(TemplateLinter.issue('format-unbalanced', TEMPLATE_LINT_SEVERITY.ERROR,
+                '^XA without a closing ^XZ: every label after it in the batch is corrupted', format.start));
+        });
+
+        parsed.strayEnds.forEach(line => {
+            issues.push(TemplateLinter.issue('format-unbalanced', TEMPLATE_LINT_SEVERITY.ERROR,
+                '^XZ without an opening ^XA', line));
+        });
+
+        if (parsed.formats.length > 1) {
+            issues.push(TemplateLinter.issue('multiple-formats', TEMPLATE_LINT_SEVERITY.WARNING,
+                `${parsed.formats.length} label formats: every sticker prints ${parsed.formats.length} labels`,
+                parsed.formats[1].start));
+        }
+
+        return issues;
+    }
+
+    /**
+     * ^PW/^LL against the printer's label
+     * @param {Object} parsed - Result of parse()
+     * @param {Object|null} labelSize - { width, height } in dots
+     * @param {string} labelName - Label size as configured, e.g. '124x70mm'
+     * @returns {Array<Object>} Issues
+     */
+    static checkSize(parsed, labelSize, labelName) {
+        const issues = [];
+        const dimensions = [
+            { command: 'PW', value: parsed.width, expected: labelSize && labelSize.width, name: 'width' },
+            { command: 'LL', value: parsed.height, expected: labelSize && labelSize.height, name: 'length' }
+        ];
+
+        dimensions.forEach(({ command, value, expected, name }) => {
+            if (!value) {
+                issues.push(TemplateLinter.issue('missing-size', TEMPLATE_LINT_SEVERITY.WARNING,
+                    `No ^${command}: the printer uses the label ${name} it was last set to`, null));
+            } else if (expected && Math.abs(value - expected) > TEMPLATE_LINT_SIZE_TOLERANCE) {
+                issues.push(TemplateLinter.issue('size-mismatch', TEMPLATE_LINT_SEVERITY.WARNING,
+                    `^${command}${value} does not match the ${labelName} label of the printer ` +
+                    `(${expected} dots at ${TEMPLATE_LINT_DPI} DPI)`, null));
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Placeholders against the label variable set
+     * @param {Object} parsed - Result of parse()
+     * @returns {Array<Object>} Issues
+     */
+    static checkVariables(parsed) {
+        const known = new Set([...LABEL_TEXT_FIELDS, ...Object.keys(FONT_SIZE_LIMITS)]);
+        const issues = [];
+        const reported = new Set();
+
+        if (parsed.syntaxError) {
+            // Nothing of the template can be read further, nor printed
+            return [TemplateLinter.issue('template-syntax', TEMPLATE_LINT_SEVERITY.ERROR,
+                `${parsed.syntaxError.message}: no sticker can be printed with this template`, parsed.syntaxError.line)];
+        }
+
+        parsed.placeholders.forEach(({ name, type, line }) => {
+            if (known.has(name) || reported.has(name)) return;
+            reported.add(name);
+            issues.push(TemplateLinter.issue('unknown-variable', TEMPLATE_LINT_SEVERITY.ERROR, type === 'if'
+                ? `{#if ${name}}: ${name} is not a label variable and always counts as empty`
+                : `{${name}} is not a label variable and prints as written`, line));
+        });
+
+        const used = new Set(parsed.placeholders
+            .filter(placeholder => placeholder.type === 'variable')
+            .map(placeholder => placeholder.name));
+        const unused = LABEL_TEXT_FIELDS.filter(field => !used.has(field));
+        if (unused.length > 0) {
+            issues.push(TemplateLinter.issue('unused-variables', TEMPLATE_LINT_SEVERITY.INFO,
+                `Not printed: ${unused.map(field => `{${field}}`).join(', ')}`, null));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Fields and boxes that reach outside ^PW/^LL
+     * @param {Object} parsed - Result of parse()
+     * @param {Object|null} labelSize - { width, height } in dots, used when ^PW/^LL is missing
+     * @returns {Array<Object>} Issues
+     */
+    static checkBounds(parsed, labelSize) {
+        const width = parsed.width || (labelSize && labelSize.width);
+        const height = parsed.height || (labelSize && labelSize.height);
+
+        return parsed.elements.flatMap(element => {
+            const what = element.type === 'box' ? 'Box' : element.block ? '^FB block' : 'Field';
+            const right = element.x + (element.width || 0);
+            const bottom = element.y + (element.height || 0);
+
+            if (element.x < 0 || element.y < 0) {
+                return [TemplateLinter.issue('outside-label', TEMPLATE_LINT_SEVERITY.ERROR,
+                    `${what} at ${element.x},${element.y} starts outside the label`, element.line)];
+            }
+            if ((width && (element.x >= width || right > width)) || (height && (element.y >= height || bottom > height))) {
+                return [TemplateLinter.issue('outside-label', TEMPLATE_LINT_SEVERITY.ERROR,
+                    `${what} at ${element.x},${element.y} reaches ${right},${bottom}, outside the ` +
+                    `${width || '?'} x ${height || '?'} dot label`, element.line)];
+            }
+            return [];
+        });
+    }
+
+    /**
+     * ^FB blocks whose areas overlap (at the largest variable font size)
+     * @param {Object} parsed - Result of parse()
+     * @returns {Array<Object>} Issues
+     */
+    static checkOverlaps(parsed) {
+        const blocks = parsed.elements.filter(element => element.block && element.height);
+        const issues = [];
+
+        blocks.forEach((a, i) => {
+            blocks.slice(i + 1).forEach(b => {
+                const overlaps = a.x < b.x + b.width && b.x < a.x + a.width &&
+                    a.y < b.y + b.height && b.y < a.y + a.height;
+                if (overlaps) {
+                    issues.push(TemplateLinter.issue('overlapping-blocks', TEMPLATE_LINT_SEVERITY.WARNING,
+                        `^FB block at ${b.x},${b.y} overlaps the block at ${a.x},${a.y} (line ${a.line})`, b.line));
+                }
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * Label size in dots
+     * @param {string} labelSize - e.g. '124x70mm'
+     * @returns {Object|null} { width, height } at TEMPLATE_LINT_DPI, null when not readable
+     */
+    static parseLabelSize(labelSize) {
+        const match = String(labelSize || '').match(/^\s*(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*mm\s*$/i);
+        if (!match) return null;
+
+        const toDots = mm => Math.round(parseFloat(mm) / 25.4 * TEMPLATE_LINT_DPI);
+        return { width: toDots(match[1]), height: toDots(match[2]) };
+    }
+
+    /**
+     * One-line summary of a lint result
+     * @param {Object} result - Result of lint()
+     * @returns {string} e.g. "1 error, 2 warnings" or "No problems"
+     */
+    static summarize(result) {
+        const parts = [];
+        if (result.errorCount > 0) parts.push(`${result.errorCount} error${result.errorCount === 1 ? '' : 's'}`);
+        if (result.warningCount > 0) parts.push(`${result.warningCount} warning${result.warningCount === 1 ? '' : 's'}`);
+        return parts.length > 0 ? parts.join(', ') : 'No problems';
+    }
+
+    /**
+     * Build an issue
+     * @param {string} rule - Rule id
+     * @param {string} severity - TEMPLATE_LINT_SEVERITY value
+     * @param {string} message - Description for the operator
+     * @param {number|null} line - Template line, null for the template as a whole
+     * @returns {Object} { rule, severity, message, line }
+     */
+    static issue(rule, severity, message, line) {
+        return { rule, severity, message, line };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TemplateLinter,
+        TEMPLATE_LINT_SEVERITY,
+        TEMPLATE_LINT_PRINTER_LABEL_SIZES,
+        TEMPLATE_LINT_LABEL_SIZES,
+        TEMPLATE_LINT_DPI,
+        TEMPLATE_LINT_SIZE_TOLERANCE
+    };
+}
@@ -0,0 +1,390 @@
+/**
+ * Templates UI
+ * The template library per sticker role: upload a new version, activate, download
+ * or delete versions and roll back to the previously active one (TemplateLibrary).
+ * Every version is checked with TemplateLinter; storing or activating one with errors
+ * needs confirmation. The app switches the generators over through window.onTemplatesChanged.
+ */
+
+// File types accepted as ZPL template
+const TEMPLATE_FILE_TYPES = ['txt', 'zpl', 'prn'];
+
+class TemplatesUI {
+    constructor() {
+        this.modalElement = null;
+        this.library = null;
+        this.labelSizes = TEMPLATE_LINT_LABEL_SIZES;
+        this.lintResults = new Map();   // version id -> TemplateLinter.lint() result (versions never change)
+        this.expanded = new Set();      // version ids whose lint issues are shown
+        this.isOpen = false;
+    }
+
+    /**
+     * Initialize the templates modal
+     */
+    initialize() {
+        let modal = document.getElementById('templates-modal');
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'templates-modal';
+            modal.className = 'modal-overlay';
+            modal.style.display = 'none';
+            document.body.appendChild(modal);
+        }
+
+        this.modalElement = modal;
+
+        // Close on backdrop click
+        this.modalElement.addEventListener('click', (e) => {
+            if (e.target === this.modalElement) {
+                this.close();
+            }
+        });
+
+        // Close on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show the template library
+     * @param {TemplateLibrary} library - Loaded template library
+     * @param {Object} [labelSizes] - Printer label size per role, e.g. { big: '124x70mm', ... }
+     */
+    open(library, labelSizes = TEMPLATE_LINT_LABEL_SIZES) {
+        if (!this.modalElement) {
+            this.initialize();
+        }
+
+        if (labelSizes !== this.labelSizes) {
+            this.lintResults.clear();
+        }
+        this.library = library;
+        this.labelSizes = labelSizes;
+        this.render();
+        this.modalElement.style.display = 'flex';
+        this.isOpen = true;
+    }
+
+    /**
+     * Close the templates modal
+     */
+    close() {
+        if (this.modalElement) {
+            this.modalElement.style.display = 'none';
+        }
+        this.isOpen = false;
+    }
+
+    /**
+     * Render modal content
+     */
+    render() {
+        const roles = Object.keys(TEMPLATE_ROLES).map(role => this.renderRole(role)).join('');
+
+        this.modalElement.innerHTML = `
+            <div class="modal-panel modal-panel-wide">
+                <div class="modal-header">
+                    <h2>Sticker Templates</h2>
+                    <button class="modal-close" data-action="close">&times;</button>
+                </div>
+
+                <div class="modal-body">
+                    <p class="diff-summary">
+                        Every sticker prints with the active version of its template.
+                        Uploaded versions are kept in this browser; the bundled file is always available.
+                    </p>
+                    ${roles}
+                    <p class="hint">
+                        Check a new version with Template Fit before printing a batch with it.
+                    </p>
+                </div>
+
+                <div class="modal-footer">
+                    <button class="btn-cancel" data-action="close">Close</button>
+                    <input type="file" data-action="file" accept="${TEMPLATE_FILE_TYPES.map(type => `.${type}`).join(',')}" hidden>
+                </div>
+            </div>
+        `;
+
+        this.modalElement.querySelectorAll('[data-action="close"]').forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+
+        this.modalElement.querySelectorAll('[data-action="activate"]').forEach(button => {
+            button.addEventListener('click', () => this.activateVersion(button.dataset.id));
+        });
+
+        this.modalElement.querySelectorAll('[data-action="issues"]').forEach(button => {
+            button.addEventListener('click', () => {
+                const id = button.dataset.id;
+                if (this.expanded.has(id)) this.expanded.delete(id); else this.expanded.add(id);
+                this.render();
+            });
+        });
+
+        this.modalElement.querySelectorAll('[data-action="rollback"]').forEach(button => {
+            button.addEventListener('click', () => this.change(() => this.library.rollback(button.dataset.role)));
+        });
+
+        this.modalElement.querySelectorAll('[data-action="remove"]').forEach(button => {
+            button.addEventListener('click', () => this.removeVersion(button.dataset.id));
+        });
+
+        this.modalElement.querySelectorAll('[data-action="download"]').forEach(button => {
+            button.addEventListener('click', () => this.downloadVersion(button.dataset.id));
+        });
+
+        // One file input; the upload button says which role it is for
+        const fileInput = this.modalElement.querySelector('[data-action="file"]');
+        this.modalElement.querySelectorAll('[data-action="upload"]').forEach(button => {
+            button.addEventListener('click', () => {
+                fileInput.dataset.role = button.dataset.role;
+                fileInput.click();
+            });
+        });
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                this.uploadVersion(fileInput.dataset.role, file);
+            }
+        });
+    }
+
+    /**
+     * Version table of one role
+     * @param {string} role - big, smallFork or smallShock
+     * @returns {string} HTML
+     */
+    renderRole(role) {
+        const escape = SecurityUtils.escapeHtml;
+        const active = this.library.getActive(role);
+        const rollbackTarget = this.library.getRollbackTarget(role);
+
+        const rows = this.library.getVersions(role).map(version => {
+            const isActive = version.id === active.id;
+            const lint = this.lint(version);
+            const severity = lint.errorCount > 0 ? 'error' : lint.warningCount > 0 ? 'warning' : null;
+            return `
+                <tr>
+                    <td class="diff-key">${TemplatesUI.formatVersion(version)}</td>
+                    <td>
+                        <strong>${escape(version.name)}</strong><br>
+                        <span class="hint">${version.bundled
+                            ? 'bundled'
+                            : `uploaded ${escape(new Date(version.createdAt).toLocaleString())}`}</span>
+                    </td>
+                    <td>${isActive ? '<strong>Active</strong>' : ''}</td>
+                    <td>
+                        ${severity
+                            ? `<span class="quality-severity quality-${severity}">${escape(TemplateLinter.summarize(lint))}</span>`
+                            : escape(TemplateLinter.summarize(lint))}
+                        <button class="btn-secondary" data-action="issues" data-id="${escape(version.id)}">
+                            ${this.expanded.has(version.id) ? 'Hide' : 'Details'}
+                        </button>
+                    </td>
+                    <td>
+                        <button class="btn-secondary" data-action="activate" data-id="${escape(version.id)}"
+                            ${isActive ? 'disabled' : ''}>Activate</button>
+                        <button class="btn-secondary" data-action="download" data-id="${escape(version.id)}">Download</button>
+                        ${version.bundled ? '' : `
+                            <button class="btn-secondary" data-action="remove" data-id="${escape(version.id)}"
+                                ${isActive ? 'disabled title="Activate another version first"' : ''}>Delete</button>
+                        `}
+                    </td>
+                </tr>
+                ${this.expanded.has(version.id) ? `
+                    <tr><td></td><td colspan="4">${TemplatesUI.renderIssues(lint)}</td></tr>
+                ` : ''}
+            `;
+        }).join('');
+
+        return `
+            <h3 class="quality-issues-title">${escape(TEMPLATE_ROLES[role].label)}</h3>
+            <table class="diff-table">
+                <thead>
+                    <tr><th>Version</th><th>Name</th><th></th><th>Check (${escape(this.labelSizes[role] || '?')} label)</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p>
+                <button class="btn-secondary" data-action="upload" data-role="${role}">Upload New Version...</button>
+                <button class="btn-secondary" data-action="rollback" data-role="${role}" ${rollbackTarget ? '' : 'disabled'}>
+                    ${rollbackTarget ? `Roll Back to ${TemplatesUI.formatVersion(rollbackTarget)}` : 'Roll Back'}
+                </button>
+            </p>
+        `;
+    }
+
+    /**
+     * Lint result of a version against the label size of its role
+     * @param {Object} version - TemplateLibrary version entry
+     * @returns {Object} Result of TemplateLinter.lint()
+     */
+    lint(version) {
+        if (!this.lintResults.has(version.id)) {
+            this.lintResults.set(version.id,
+                TemplateLinter.lint(version.content, { labelSize: this.labelSizes[version.role] }));
+        }
+        return this.lintResults.get(version.id);
+    }
+
+    /**
+     * Activate a version; one with lint errors only after confirmation
+     * @param {string} id - Version id
+     */
+    activateVersion(id) {
+        const version = this.library.findVersion(id);
+        if (!version || !TemplatesUI.confirmErrors(version.name, this.lint(version), 'Activate it anyway?')) {
+            return;
+        }
+
+        this.change(() => this.library.activate(id));
+    }
+
+    /**
+     * Read an uploaded file, store it as a new version and offer to activate it
+     * @param {string} role - big, smallFork or smallShock
+     * @param {File} file - Selected template file
+     */
+    async uploadVersion(role, file) {
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        if (!TEMPLATE_FILE_TYPES.includes(extension)) {
+            alert(`Unsupported file type: ${file.name} (use ${TEMPLATE_FILE_TYPES.map(type => `.${type}`).join(', ')})`);
+            return;
+        }
+
+        let content;
+        try {
+            content = await file.text();
+        } catch (error) {
+            alert(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+
+        const problem = TemplateLibrary.checkContent(content);
+        if (problem) {
+            alert(`${file.name}: ${problem}`);
+            return;
+        }
+
+        const lint = TemplateLinter.lint(content, { labelSize: this.labelSizes[role] });
+        if (!TemplatesUI.confirmErrors(file.name, lint, 'Store it anyway?')) {
+            return;
+        }
+
+        const name = prompt(`Name of the new ${TEMPLATE_ROLES[role].label} template:`, file.name);
+        if (name === null) {
+            return;
+        }
+
+        await this.change(async () => {
+            const version = await this.library.addVersion(role, name, content);
+            if (confirm(`Print ${TEMPLATE_ROLES[role].label}s with ${version.name} (${TemplatesUI.formatVersion(version)}) from now on?`)) {
+                await this.library.activate(version.id);
+            }
+        });
+    }
+
+    /**
+     * Delete an uploaded version after confirmation
+     * @param {string} id - Version id
+     */
+    removeVersion(id) {
+        const version = this.library.findVersion(id);
+        if (!version || !confirm(`Delete ${version.name} (${TemplatesUI.formatVersion(version)})?`)) {
+            return;
+        }
+
+        this.change(() => this.library.remove(id));
+    }
+
+    /**
+     * Download the ZPL of a version
+     * @param {string} id - Version id
+     */
+    downloadVersion(id) {
+        const version = this.library.findVersion(id);
+        if (!version) return;
+
+        const fileName = /\.(txt|zpl|prn)$/i.test(version.name) ? version.name : `${version.name}.zpl`;
+        BatchZBLGenerator.downloadFile(version.content, fileName);
+    }
+
+    /**
+     * Run a library change, then re-render and let the app print with the active versions
+     * @param {Function} operation - Async change on this.library
+     */
+    async change(operation) {
+        try {
+            await operation();
+        } catch (error) {
+            ErrorHandler.logError(error, 'TemplatesUI.change', {
+                category: 'STORAGE_ERROR',
+                userMessage: `Template library not updated: ${error.message}`
+            });
+        }
+
+        this.render();
+        if (typeof window.onTemplatesChanged === 'function') {
+            window.onTemplatesChanged();
+        }
+    }
+
+    /**
+     * Ask before using a template with lint errors
+     * @param {string} name - Template name
+     * @param {Object} lint - Result of TemplateLinter.lint()
+     * @param {string} question - e.g. 'Activate it anyway?'
+     * @returns {boolean} True when there are no errors or the operator accepts them
+     */
+    static confirmErrors(name, lint, question) {
+        if (lint.errorCount === 0) {
+            return true;
+        }
+
+        const errors = lint.issues
+            .filter(issue => issue.severity === TEMPLATE_LINT_SEVERITY.ERROR)
+            .map(issue => `- ${issue.line ? `Line ${issue.line}: ` : ''}${issue.message}`);
+        return confirm(`${name} has ${TemplateLinter.summarize(lint)}:\n${errors.join('\n')}\n\n${question}`);
+    }
+
+    /**
+     * List of lint issues
+     * @param {Object} lint - Result of TemplateLinter.lint()
+     * @returns {string} HTML
+     */
+    static renderIssues(lint) {
+        const escape = SecurityUtils.escapeHtml;
+
+        return `
+            <ul class="template-issues">
+                ${lint.issues.map(issue => `
+                    <li>
+                        <span class="quality-severity quality-${issue.severity}">${issue.severity}</span>
+                        ${issue.line ? `Line ${issue.line}: ` : ''}${escape(issue.message)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Short version label
+     * @param {Object} version - TemplateLibrary version entry
+     * @returns {string} "bundled" or e.g. "v3"
+     */
+    static formatVersion(version) {
+        return version.bundled ? 'bundled' : `v${version.version}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TemplatesUI, TEMPLATE_FILE_TYPES };
+}
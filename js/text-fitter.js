@@ -0,0 +1,276 @@
+/**
+ * Text Fitter
+ * Picks the largest font size at which a field fits its ^FB block.
+ * Block dimensions are read from the templates: every ^CF0,{X_FONT_SIZE}
+ * (or ^A0N,{X_FONT_SIZE}) followed by a ^FB...^FD field declares a block for X.
+ * The available height is taken from the smallest ^GB box around the field origin.
+ * Fixed-size fields are read as well, for the whole-dataset fit analysis.
+ * A |min:N or |max:N filter on the size placeholder ({X_FONT_SIZE|max:40}) narrows the range
+ * fitted for that block, so the size printed is the size measured.
+ */
+
+// Allowed font size range (in dots) per font-size variable
+const FONT_SIZE_LIMITS = {
+    BRAND_FONT_SIZE: { max: 50, min: 25 },
+    MODEL_FONT_SIZE: { max: 50, min: 18 },
+    KIT_FONT_SIZE: { max: 28, min: 18 },
+    NOTES_FONT_SIZE: { max: 26, min: 16 },
+    PRODUCT_INFO_FONT_SIZE: { max: 26, min: 14 },
+    BRAND_FONT_SIZE_SMALL: { max: 35, min: 18 },
+    MODEL_FONT_SIZE_SMALL: { max: 35, min: 14 }
+};
+
+class TextFitter {
+    /**
+     * @param {Object|string} templates - Template strings keyed by role, or a single template
+     * @param {Object} [defaults] - Text printed for empty variables (LABEL_FIELD_DEFAULTS)
+     */
+    constructor(templates, defaults = {}) {
+        this.blocks = {};
+        this.defaults = defaults;
+        this.setTemplates(templates);
+    }
+
+    /**
+     * Re-read block declarations from templates
+     * @param {Object|string} templates - Template strings keyed by role, or a single template
+     */
+    setTemplates(templates) {
+        const list = typeof templates === 'string'
+            ? [templates]
+            : Object.values(templates || {}).filter(t => typeof t === 'string');
+
+        this.blocks = {};
+        list.forEach(template => {
+            Object.entries(TextFitter.extractBlocks(template)).forEach(([fontVar, block]) => {
+                // First declaration wins (small fork/shock share the same layout)
+                if (!this.blocks[fontVar]) {
+                    this.blocks[fontVar] = block;
+                }
+            });
+        });
+    }
+
+    /**
+     * Find the ^FB blocks whose font size comes from a template variable
+     * @param {string} template - ZPL template
+     * @returns {Object} Map of font variable -> { x, y, width, lines, spacing, height, text, limits }
+     */
+    static extractBlocks(template) {
+        const blocks = {};
+
+        TextFitter.extractFields(template).forEach(({ fontVar, fontSize, ...block }) => {
+            if (fontVar && !blocks[fontVar]) {
+                blocks[fontVar] = block;
+            }
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Find every ^FB field whose data contains a template variable
+     * @param {string} template - ZPL template
+     * @returns {Array<Object>} Fields in template order:
+     *   { x, y, width, lines, spacing, height, text, fontVar, fontSize, limits } -
+     *   fontVar and limits are set for variable font sizes, fontSize for fixed ones
+     */
+    static extractFields(template) {
+        const fields = [];
+        const boxes = [];
+        const commandPattern = /\^(CF|A0N?|FO|GB|FB|FD|FS|XZ)([^\^]*)/g;
+        let origin = { x: 0, y: 0 };
+        let font = { fontVar: null, fontSize: null, limits: null };
+        let block = null;
+        let match;
+
+        while ((match = commandPattern.exec(template)) !== null) {
+            const [, code, params] = match;
+            const numbers = params.split(',').map(v => parseInt(v, 10));
+
+            if (code === 'CF' || code.startsWith('A0')) {
+                const expression = TemplateLanguage.findExpression(params);
+                font = expression
+                    ? { fontVar: expression.name, fontSize: null, limits: TextFitter.limitsFor(expression) }
+                    : { fontVar: null, fontSize: numbers[1] || null, limits: null };
+            } else if (code === 'FO') {
+                origin = { x: numbers[0] || 0, y: numbers[1] || 0 };
+            } else if (code === 'GB') {
+                const [width, height, thickness] = numbers;
+                const t = thickness || 1;
+                // Lines are boxes too; only real rectangles bound a field
+                if (width > t * 2 && height > t * 2) {
+                    boxes.push({ ...origin, width, height, thickness: t });
+                }
+            } else if (code === 'FB') {
+                const [width, lines, spacing] = numbers;
+                block = {
+                    ...origin,
+                    width: width || 0,
+                    lines: lines || 1,
+                    spacing: spacing || 0
+                };
+            } else if (code === 'FD') {
+                // Field data may contain escaped carets; take it up to the next ^FS
+                const end = template.indexOf('^FS', match.index);
+                const text = template.substring(match.index + 3, end === -1 ? undefined : end);
+                if (block && (font.fontVar || font.fontSize) && TemplateLanguage.hasPlaceholders(text)) {
+                    fields.push({ ...block, text, ...font });
+                }
+                if (end !== -1) {
+                    commandPattern.lastIndex = end;
+                }
+            } else if (code === 'FS') {
+                block = null;
+            } else if (code === 'XZ') {
+                font = { fontVar: null, fontSize: null, limits: null };
+                block = null;
+            }
+        }
+
+        fields.forEach(field => {
+            field.height = TextFitter.availableHeight(field, boxes);
+        });
+
+        return fields;
+    }
+
+    /**
+     * Font size range of a size placeholder: FONT_SIZE_LIMITS narrowed by its min/max filters
+     * @param {Object} expression - { name, pipeline } from TemplateLanguage.findExpression()
+     * @returns {Object|null} { max, min }, or null for a variable without FONT_SIZE_LIMITS
+     */
+    static limitsFor(expression) {
+        const base = FONT_SIZE_LIMITS[expression.name];
+        if (!base) return null;
+
+        const limits = { ...base };
+        expression.pipeline.forEach(step => {
+            if (step.filter === 'max') {
+                limits.max = Math.min(limits.max, step.arg);
+                limits.min = Math.min(limits.min, limits.max);
+            } else if (step.filter === 'min') {
+                limits.min = Math.max(limits.min, step.arg);
+                limits.max = Math.max(limits.max, limits.min);
+            }
+        });
+        return limits;
+    }
+
+    /**
+     * Height left below a field origin inside its enclosing box
+     * @param {Object} block - Block with x/y origin
+     * @param {Array<Object>} boxes - ^GB rectangles of the template
+     * @returns {number|null} Height in dots, or null when no box encloses the field
+     */
+    static availableHeight(block, boxes) {
+        const enclosing = boxes
+            .filter(box => block.x >= box.x && block.x < box.x + box.width &&
+                block.y >= box.y && block.y < box.y + box.height)
+            .sort((a, b) => a.width * a.height - b.width * b.height)[0];
+
+        return enclosing
+            ? enclosing.y + enclosing.height - enclosing.thickness - block.y
+            : null;
+    }
+
+    /**
+     * Largest size within limits at which text fits a block
+     * @param {string} text - Visible text (unescaped, line breaks as \n)
+     * @param {Object} block - { width, lines, spacing, height }
+     * @param {Object} limits - { max, min }
+     * @returns {Object} { size, fits, lines } - lines is the wrapped line count at size
+     */
+    static fit(text, block, limits) {
+        for (let size = limits.max; size >= limits.min; size--) {
+            const result = TextFitter.measure(text, block, size);
+            if (result.fits) {
+                return { size, fits: true, lines: result.lines };
+            }
+        }
+
+        const lines = ZplFontMetrics.wrapText(text, block.width, limits.min).length;
+        return { size: limits.min, fits: false, lines };
+    }
+
+    /**
+     * Check text against a block at one font size
+     * @param {string} text - Visible text (unescaped, line breaks as \n)
+     * @param {Object} block - { width, lines, spacing, height }
+     * @param {number} size - Font height in dots
+     * @returns {Object} { fits, lines, overflow, clipped } - overflow: more lines than the block
+     *   holds; clipped: the lines fit but run past the bottom of the enclosing box
+     */
+    static measure(text, block, size) {
+        const lines = ZplFontMetrics.wrapText(text, block.width, size).length;
+        const textHeight = lines * size + (lines - 1) * block.spacing;
+        const overflow = lines > block.lines;
+        const clipped = !overflow && block.height !== null && textHeight > block.height;
+
+        return { fits: !overflow && !clipped, lines, overflow, clipped };
+    }
+
+    /**
+     * Fill a block's field data with raw values
+     * @param {string} text - Field data from the template (placeholders, sections, \& line breaks)
+     * @param {Object} rawVars - Variable values before ZPL escaping
+     * @param {Object} [defaults] - Text printed for empty variables
+     * @returns {string} Visible text with line breaks as \n
+     */
+    static fillText(text, rawVars, defaults = {}) {
+        return TemplateLanguage.render(text, rawVars, { defaults })
+            .replace(/\\&/g, '\n');
+    }
+
+    /**
+     * Compute every known font-size variable for a set of raw (unescaped) values
+     * @param {Object} rawVars - Variable values before ZPL escaping
+     * @returns {Object} { sizes, warnings }
+     */
+    computeFontSizes(rawVars) {
+        const sizes = {};
+        const warnings = [];
+
+        Object.entries(FONT_SIZE_LIMITS).forEach(([fontVar, defaultLimits]) => {
+            const block = this.blocks[fontVar];
+            if (!block) {
+                // Not used by any loaded template, nothing constrains it
+                sizes[fontVar] = defaultLimits.max;
+                return;
+            }
+
+            const text = TextFitter.fillText(block.text, rawVars, this.defaults);
+
+            const result = TextFitter.fit(text, block, block.limits || defaultLimits);
+            sizes[fontVar] = result.size;
+
+            if (!result.fits) {
+                warnings.push({
+                    fontVar,
+                    text: text.trim(),
+                    size: result.size,
+                    lines: result.lines,
+                    maxLines: block.lines,
+                    message: `Text does not fit in ${block.lines} line(s) even at ${result.size} dots ` +
+                        `(needs ${result.lines}): "${text.trim()}"`
+                });
+            }
+        });
+
+        return { sizes, warnings };
+    }
+
+    /**
+     * Get the block declared for a font variable
+     * @param {string} fontVar - Font size variable name
+     * @returns {Object|null} Block or null if no template declares it
+     */
+    getBlock(fontVar) {
+        return this.blocks[fontVar] || null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TextFitter, FONT_SIZE_LIMITS };
+}
@@ -0,0 +1,371 @@
+/**
+ * Value Normalizer
+ * Reads the free-text suspension settings of the product sheet into structured values:
+ * oil grades ("2x SAE 7,5"), lengths and volumes ("160 MM", "25-30 MM"), click/turn/ring
+ * adjustments ("1 - 3 CLICKS OPEN", "2 - 3 R. OUT") and year ranges ("95-97<").
+ * Labels print the formatted form; search, validation and the source conflict report
+ * compare the parsed values. A value is only parsed when all of it is understood,
+ * anything else (e.g. "ESA", "LEFT 12 KLICKS") is kept as written.
+ */
+
+// Structured value kinds
+const VALUE_KINDS = {
+    OIL: 'oil',
+    MEASURE: 'measure',
+    KEYWORD: 'keyword'
+};
+
+// How each setting column is read (OIL_TYPE is an oil grade, the others a measure)
+const VALUE_FIELD_KINDS = {
+    OIL_TYPE: VALUE_KINDS.OIL,
+    OIL_LEVEL: VALUE_KINDS.MEASURE,
+    FORK_PRELOAD: VALUE_KINDS.MEASURE,
+    FORK_SAG: VALUE_KINDS.MEASURE,
+    FORK_COMPRESSION: VALUE_KINDS.MEASURE,
+    FORK_REBOUND: VALUE_KINDS.MEASURE,
+    SHOCK_PRELOAD: VALUE_KINDS.MEASURE,
+    SHOCK_SAG: VALUE_KINDS.MEASURE,
+    SHOCK_COMPRESSION: VALUE_KINDS.MEASURE,
+    SHOCK_REBOUND: VALUE_KINDS.MEASURE
+};
+
+// Unit spellings found in the sheet; "R." is rings, "T." turns, "K." clicks
+const VALUE_UNITS = [
+    { unit: 'mm', pattern: /^MM\b\.?/ },
+    { unit: 'cc', pattern: /^CC\b\.?/ },
+    { unit: 'ml', pattern: /^ML\b\.?/ },
+    { unit: 'l', pattern: /^LI?TE?RE?S?\b\.?/ },
+    { unit: 'clicks', pattern: /^(?:CLICKS?|KLICKS?|KLIKS?|CLCKS|CLCIKS|CLIKS?|K)\b\.?/ },
+    { unit: 'turns', pattern: /^(?:TURNS?|T)\b\.?/ },
+    { unit: 'rings', pattern: /^(?:RINGS?|R)\b\.?/ },
+    { unit: 'pos', pattern: /^POS(?:ITION)?\b\.?/ }
+];
+
+// Printed unit names: [one, several]
+const VALUE_UNIT_NAMES = {
+    mm: ['mm', 'mm'],
+    cc: ['cc', 'cc'],
+    ml: ['ml', 'ml'],
+    l: ['l', 'l'],
+    clicks: ['click', 'clicks'],
+    turns: ['turn', 'turns'],
+    rings: ['ring', 'rings']
+};
+
+// Direction words: OPEN/OUT turn an adjuster anti-clockwise, IN clockwise;
+// rings "OUT" are the rings left visible (see the footer legend of the big label)
+const VALUE_DIRECTIONS = {
+    OPEN: 'CCW',
+    OUT: 'CCW',
+    IN: 'CW',
+    VISIBLE: 'visible',
+    VISABLE: 'visible'
+};
+
+// Whole-cell keywords, with their typos, and how they are printed
+const VALUE_KEYWORDS = [
+    { pattern: /^NOT\s+AD?JU\w*ABLE$/, text: 'NOT ADJUSTABLE' },
+    { pattern: /^NO\s+OIL$/, text: 'NO OIL' }
+];
+
+class ValueNormalizer {
+    /**
+     * Parse a setting cell
+     * @param {string} field - Field name (see VALUE_FIELD_KINDS)
+     * @param {*} value - Cell value
+     * @returns {Object|null} Parsed value ({ kind, ... }), or null when empty or not understood
+     */
+    static parse(field, value) {
+        const text = ValueNormalizer.clean(value);
+        if (!text) {
+            return null;
+        }
+
+        const keyword = VALUE_KEYWORDS.find(({ pattern }) => pattern.test(text));
+        if (keyword) {
+            return { kind: VALUE_KINDS.KEYWORD, text: keyword.text };
+        }
+
+        return VALUE_FIELD_KINDS[field] === VALUE_KINDS.OIL
+            ? ValueNormalizer.parseOil(text)
+            : ValueNormalizer.parseMeasure(text);
+    }
+
+    /**
+     * Text of a setting cell as printed: the formatted value when it parses, else as written
+     * @param {string} field - Field name
+     * @param {*} value - Cell value
+     * @returns {string} Printed text ('' when empty)
+     */
+    static format(field, value) {
+        const parsed = VALUE_FIELD_KINDS[field] ? ValueNormalizer.parse(field, value) : null;
+        if (parsed) {
+            return ValueNormalizer.formatParsed(parsed);
+        }
+        return value === null || value === undefined ? '' : String(value).trim();
+    }
+
+    /**
+     * Format a parsed value
+     * @param {Object} parsed - Result of parse()
+     * @returns {string} e.g. "2x SAE 7.5", "25-30 mm", "1-3 clicks CCW +/-1", "pos 2-3"
+     */
+    static formatParsed(parsed) {
+        if (parsed.kind === VALUE_KINDS.KEYWORD) {
+            return parsed.text;
+        }
+
+        if (parsed.kind === VALUE_KINDS.OIL) {
+            const grade = `SAE ${ValueNormalizer.formatNumber(parsed.grade)}`;
+            return parsed.quantity !== 1 ? `${ValueNormalizer.formatNumber(parsed.quantity)}x ${grade}` : grade;
+        }
+
+        const { from, to, unit } = parsed;
+        const range = from === to
+            ? ValueNormalizer.formatNumber(from)
+            : `${ValueNormalizer.formatNumber(from)}-${ValueNormalizer.formatNumber(to)}`;
+        const parts = [parsed.approx ? `~${range}` : range];
+
+        if (unit === 'pos') {
+            parts.unshift('pos');
+        } else {
+            parts.push(VALUE_UNIT_NAMES[unit][from === 1 && to === 1 ? 0 : 1]);
+        }
+        if (parsed.direction) parts.push(parsed.direction);
+        if (parsed.reference) parts.push(`from ${parsed.reference}`);
+        if (parsed.tolerance !== null) parts.push(`+/-${ValueNormalizer.formatNumber(parsed.tolerance)}`);
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Parse an oil grade: "SAE 7,5", "2x SAE 7,5", "2XSAE 5", "2 SAE 10", "1,5X SAE 5"
+     * @param {string} text - Cleaned cell text
+     * @returns {Object|null} { kind: 'oil', quantity, grade }
+     */
+    static parseOil(text) {
+        const match = text.match(/^(?:(\d+(?:\.\d+)?)\s*X?\s*)?SAE\s*(\d+(?:\.\d+)?)$/);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            kind: VALUE_KINDS.OIL,
+            quantity: match[1] ? parseFloat(match[1]) : 1,
+            grade: parseFloat(match[2])
+        };
+    }
+
+    /**
+     * Parse an amount with a unit: "160 MM", "25 - 30 MM", "+/- 30 MM", "POS. 2-3",
+     * "1 (+/- 1) CLICKS OPEN", "2 TURNS IN FROM MIN", "RINGS = 3-4"
+     * @param {string} text - Cleaned cell text
+     * @returns {Object|null} { kind: 'measure', from, to, approx, tolerance, unit,
+     *   direction, reference } - direction 'CCW', 'CW' or 'visible'; reference 'min' or 'max'
+     */
+    static parseMeasure(text) {
+        let rest = text;
+        const take = (pattern) => {
+            const match = rest.match(pattern);
+            if (match) {
+                rest = rest.slice(match[0].length).trim();
+            }
+            return match;
+        };
+        const takeUnit = () => {
+            const found = VALUE_UNITS.find(({ pattern }) => pattern.test(rest));
+            if (found) {
+                take(found.pattern);
+            }
+            return found ? found.unit : null;
+        };
+
+        const number = '(\\d+(?:\\.\\d+)?)';
+        const tolerancePattern = new RegExp(`^\\(?\\s*\\+/-\\s*(?:${number}\\s*([A-Z.]*)\\s*)?\\)?`);
+        const result = {
+            kind: VALUE_KINDS.MEASURE,
+            from: null,
+            to: null,
+            approx: false,
+            tolerance: null,
+            unit: null,
+            direction: null,
+            reference: null
+        };
+
+        // Unit in front: "POS 2", "RINGS = 3-4", "R = 3"
+        let unit = /^(?:POS|RINGS?\b|R\b|CLICKS?\b)/.test(rest) ? takeUnit() : null;
+        if (unit) {
+            take(/^[=:]/);
+        }
+
+        // "+/- 30 MM" is about 30 mm
+        if (take(/^\+\/-/)) {
+            result.approx = true;
+        }
+
+        const range = take(new RegExp(`^${number}(?:\\s*-\\s*${number})?`));
+        if (!range) {
+            return null;
+        }
+        result.from = parseFloat(range[1]);
+        result.to = range[2] !== undefined ? parseFloat(range[2]) : result.from;
+        if (result.to < result.from) {
+            return null;
+        }
+
+        // Tolerance, unit, direction and reference in any of the orders found in the sheet
+        for (let step = 0; step < 4 && rest; step++) {
+            const tolerance = result.tolerance === null && take(tolerancePattern);
+            if (tolerance) {
+                if (tolerance[1] === undefined) {
+                    // "(+/-)" without an amount
+                    result.approx = true;
+                } else {
+                    result.tolerance = parseFloat(tolerance[1]);
+                    // "+/- 1R", "(+/- 5 MM)": the unit of the tolerance must be the value's
+                    if (tolerance[2]) {
+                        const toleranceUnit = VALUE_UNITS.find(({ pattern }) => pattern.test(tolerance[2]));
+                        if (!toleranceUnit || (unit && toleranceUnit.unit !== unit)) {
+                            return null;
+                        }
+                        unit = unit || toleranceUnit.unit;
+                    }
+                }
+                continue;
+            }
+
+            if (!unit) {
+                unit = takeUnit();
+                if (unit) continue;
+            }
+
+            const direction = !result.direction && take(/^(OPEN|OUT|IN|VISIBLE|VISABLE)\b/);
+            if (direction) {
+                result.direction = VALUE_DIRECTIONS[direction[1]];
+                continue;
+            }
+
+            const reference = !result.reference && take(/^FROM\s+(MIN|MAX)\w*\.?/);
+            if (reference) {
+                result.reference = reference[1].toLowerCase();
+                continue;
+            }
+
+            break;
+        }
+
+        if (rest || !unit) {
+            return null;
+        }
+        // Only rings are "visible"; clicks and turns are not turned "visible"
+        if (result.direction === 'visible' && unit !== 'rings') {
+            return null;
+        }
+        if (unit === 'rings' && result.direction === 'CCW') {
+            result.direction = 'visible';
+        }
+
+        result.unit = unit;
+        return result;
+    }
+
+    /**
+     * Upper-case cell text with one decimal separator and one tolerance spelling
+     * @param {*} value - Cell value
+     * @returns {string} Cleaned text ('' when empty)
+     */
+    static clean(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        return String(value)
+            .toUpperCase()
+            .replace(/(\d),(\d)/g, '$1.$2')
+            .replace(/±|\+-|\+ \/-/g, '+/-')
+            .replace(/(\d)\s*TO\s*(\d)/g, '$1-$2')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Print a number without trailing zeros
+     * @param {number} value - Number
+     * @returns {string} e.g. "7.5", "30"
+     */
+    static formatNumber(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Parse a YEAR cell into a range of full years
+     * Handles "17-24", "98 -02", "2008-07/2010", "94>" (from), "09<" (until), "ALL".
+     * Anything after "FRAMENUMBERS" is ignored; a "<" or ">" next to a full range is a frame note.
+     * @param {*} value - YEAR cell value
+     * @returns {Object|null} { from, to, all } or null when no year can be read
+     */
+    static parseYearRange(value) {
+        // Numeric cells: a plain year, or a date serial that is not a year at all
+        if (typeof value === 'number') {
+            if (value < 100 || (value >= 1900 && value <= 2100)) {
+                const year = ValueNormalizer.expandYear(value);
+                return { from: year, to: year, all: false };
+            }
+            return null;
+        }
+
+        const text = String(value === null || value === undefined ? '' : value)
+            .toUpperCase()
+            .split('FRAME')[0]
+            .trim();
+
+        if (!text) {
+            return null;
+        }
+
+        if (text === 'ALL') {
+            return { from: -Infinity, to: Infinity, all: true };
+        }
+
+        // "07/2010" is month/year: keep the year only
+        const years = (text.replace(/\b\d{1,2}\/(?=\d{4})/g, '').match(/\d{4}|\d{2}/g) || [])
+            .map(year => ValueNormalizer.expandYear(parseInt(year, 10)));
+
+        if (years.length === 0) {
+            return null;
+        }
+
+        if (years.length > 1) {
+            return { from: Math.min(...years), to: Math.max(...years), all: false };
+        }
+
+        if (text.includes('<')) {
+            return { from: -Infinity, to: years[0], all: false };
+        }
+
+        if (text.includes('>') || /-\s*$/.test(text)) {
+            return { from: years[0], to: Infinity, all: false };
+        }
+
+        return { from: years[0], to: years[0], all: false };
+    }
+
+    /**
+     * Expand a two-digit year ("95" -> 1995, "21" -> 2021)
+     * @param {number} year - Two- or four-digit year
+     * @returns {number} Four-digit year
+     */
+    static expandYear(year) {
+        if (year >= 100) {
+            return year;
+        }
+        const pivot = (new Date().getFullYear() % 100) + 1;
+        return year <= pivot ? 2000 + year : 1900 + year;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ValueNormalizer, VALUE_KINDS, VALUE_FIELD_KINDS };
+}
@@ -0,0 +1,119 @@
+/**
+ * ZPL Font Metrics
+ * Approximate advance widths for ZPL font 0 (CG Triumvirate Bold Condensed)
+ * and the ^FB word-wrap rules, shared by the renderer and layout code
+ */
+
+// Advance widths per character, as a fraction of the font height (^A0N,h,h)
+const ZPL_FONT0_WIDTHS = {
+    ' ': 0.217, '!': 0.260, '"': 0.370, '#': 0.434, '$': 0.434, '%': 0.693,
+    '&': 0.563, "'": 0.186, '(': 0.260, ')': 0.260, '*': 0.303, '+': 0.456,
+    ',': 0.217, '-': 0.260, '.': 0.217, '/': 0.217, ':': 0.260, ';': 0.260,
+    '<': 0.456, '=': 0.456, '>': 0.456, '?': 0.477, '@': 0.761, '[': 0.260,
+    '\\': 0.217, ']': 0.260, '_': 0.434, '|': 0.219,
+    '0': 0.434, '1': 0.434, '2': 0.434, '3': 0.434, '4': 0.434,
+    '5': 0.434, '6': 0.434, '7': 0.434, '8': 0.434, '9': 0.434,
+    'A': 0.563, 'B': 0.563, 'C': 0.563, 'D': 0.563, 'E': 0.520, 'F': 0.477,
+    'G': 0.607, 'H': 0.563, 'I': 0.217, 'J': 0.434, 'K': 0.563, 'L': 0.477,
+    'M': 0.650, 'N': 0.563, 'O': 0.607, 'P': 0.520, 'Q': 0.607, 'R': 0.563,
+    'S': 0.520, 'T': 0.477, 'U': 0.563, 'V': 0.520, 'W': 0.736, 'X': 0.520,
+    'Y': 0.520, 'Z': 0.477,
+    'a': 0.434, 'b': 0.477, 'c': 0.434, 'd': 0.477, 'e': 0.434, 'f': 0.260,
+    'g': 0.477, 'h': 0.477, 'i': 0.217, 'j': 0.217, 'k': 0.434, 'l': 0.217,
+    'm': 0.693, 'n': 0.477, 'o': 0.477, 'p': 0.477, 'q': 0.477, 'r': 0.303,
+    's': 0.434, 't': 0.260, 'u': 0.477, 'v': 0.434, 'w': 0.607, 'x': 0.434,
+    'y': 0.434, 'z': 0.390
+};
+
+// Used for characters outside the table (accented letters, symbols)
+const ZPL_FONT0_DEFAULT_WIDTH = 0.477;
+
+class ZplFontMetrics {
+    /**
+     * Width of a single character in dots
+     * @param {string} char - Character to measure
+     * @param {number} height - Font height in dots
+     * @param {number} width - Font width in dots (defaults to height)
+     * @returns {number} Advance width in dots
+     */
+    static charWidth(char, height, width = height) {
+        const ratio = ZPL_FONT0_WIDTHS[char] !== undefined
+            ? ZPL_FONT0_WIDTHS[char]
+            : ZPL_FONT0_DEFAULT_WIDTH;
+        return ratio * width;
+    }
+
+    /**
+     * Width of a string in dots
+     * @param {string} text - Text to measure
+     * @param {number} height - Font height in dots
+     * @param {number} width - Font width in dots (defaults to height)
+     * @returns {number} Total advance width in dots
+     */
+    static measureText(text, height, width = height) {
+        let total = 0;
+        for (const char of String(text)) {
+            total += this.charWidth(char, height, width);
+        }
+        return total;
+    }
+
+    /**
+     * Wrap text the way a ^FB field block does
+     * Breaks at spaces and splits words longer than the block. Line breaks
+     * (ZPL's \& inside ^FB) must already be converted to \n.
+     * @param {string} text - Field text (unescaped)
+     * @param {number} blockWidth - ^FB width in dots
+     * @param {number} height - Font height in dots
+     * @param {number} width - Font width in dots (defaults to height)
+     * @returns {Array<string>} Wrapped lines (may exceed the block's line limit)
+     */
+    static wrapText(text, blockWidth, height, width = height) {
+        const lines = [];
+
+        String(text).split('\n').forEach(paragraph => {
+            const words = paragraph.split(' ').filter(word => word.length > 0);
+            let current = '';
+
+            words.forEach(word => {
+                const candidate = current ? `${current} ${word}` : word;
+                if (this.measureText(candidate, height, width) <= blockWidth) {
+                    current = candidate;
+                    return;
+                }
+
+                if (current) {
+                    lines.push(current);
+                    current = '';
+                }
+
+                // Word on its own is too wide: break it at character level
+                let piece = '';
+                for (const char of word) {
+                    if (piece && this.measureText(piece + char, height, width) > blockWidth) {
+                        lines.push(piece);
+                        piece = '';
+                    }
+                    piece += char;
+                }
+                current = piece;
+            });
+
+            if (current || words.length === 0) {
+                lines.push(current);
+            }
+        });
+
+        // A trailing break (our templates end every ^FD with \&) adds no visible line
+        while (lines.length > 1 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+
+        return lines;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZplFontMetrics, ZPL_FONT0_WIDTHS };
+}
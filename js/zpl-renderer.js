@@ -0,0 +1,429 @@
+/**
+ * ZPL Renderer
+ * Offline interpreter for the ZPL subset used by our label templates.
+ * Parses ^XA...^XZ blocks into drawable elements and renders them to canvas.
+ *
+ * Supported: ^XA ^XZ ^FX ^CI ^PW ^LL ^LS ^LH ^FO ^CF ^A ^FB ^FD ^FS ^GB ^FR
+ * Field data uses the escapes produced by SecurityUtils.escapeZpl (\^ \~ \\ \{ \})
+ * and \& as the ^FB line break.
+ */
+
+class ZplRenderer {
+    /**
+     * @param {Object} options - Renderer options
+     * @param {number} options.dotsPerMm - Printer resolution (default 12 = 300 DPI)
+     * @param {string} options.fontFamily - Canvas font stack used to draw font 0
+     */
+    constructor(options = {}) {
+        this.dotsPerMm = options.dotsPerMm || 12;
+        this.fontFamily = options.fontFamily ||
+            '"Arial Narrow", "Helvetica Neue Condensed", "Liberation Sans Narrow", Arial, sans-serif';
+        this.defaultFont = { height: 30, width: 30 };
+    }
+
+    /**
+     * Split a ZPL document into individual label formats
+     * @param {string} zpl - ZPL document (one or more ^XA...^XZ blocks)
+     * @returns {Array<string>} Label bodies including ^XA/^XZ
+     */
+    splitLabels(zpl) {
+        if (!zpl || typeof zpl !== 'string') {
+            return [];
+        }
+        return zpl.match(/\^XA[\s\S]*?\^XZ/g) || [];
+    }
+
+    /**
+     * Tokenise one label into commands
+     * @param {string} label - Single ^XA...^XZ block
+     * @returns {Array<Object>} Commands { code, params }
+     */
+    tokenize(label) {
+        const commands = [];
+        let i = 0;
+
+        while (i < label.length) {
+            const char = label[i];
+            if (char !== '^' && char !== '~') {
+                i++;
+                continue;
+            }
+
+            const code = label.substr(i + 1, 2).toUpperCase();
+            let end = i + 3;
+
+            if (code === 'FD') {
+                // Field data runs until ^FS; backslash escapes keep ^ and ~ literal
+                while (end < label.length) {
+                    if (label[end] === '\\' && end + 1 < label.length) {
+                        end += 2;
+                        continue;
+                    }
+                    if (label[end] === '^' && label.substr(end + 1, 2).toUpperCase() === 'FS') {
+                        break;
+                    }
+                    end++;
+                }
+            } else if (code[0] === 'A' && code !== 'A@') {
+                // ^Afo,h,w: font name and orientation are packed into the command
+                end = i + 2;
+                while (end < label.length && label[end] !== '^' && label[end] !== '~') {
+                    end++;
+                }
+                commands.push({ code: 'A', params: label.substring(i + 2, end) });
+                i = end;
+                continue;
+            } else {
+                while (end < label.length && label[end] !== '^' && label[end] !== '~') {
+                    end++;
+                }
+            }
+
+            commands.push({ code, params: label.substring(i + 3, end) });
+            i = end;
+        }
+
+        return commands;
+    }
+
+    /**
+     * Parse one label into a drawable layout
+     * @param {string} label - Single ^XA...^XZ block
+     * @returns {Object} { width, height, elements }
+     */
+    parseLabel(label) {
+        const layout = { width: null, height: null, elements: [] };
+        const state = {
+            font: { ...this.defaultFont },
+            fieldFont: null,
+            origin: { x: 0, y: 0 },
+            home: { x: 0, y: 0 },
+            shift: 0,
+            block: null,
+            data: null,
+            reverse: false
+        };
+
+        const numbers = (params) => params.split(',').map(value => {
+            const parsed = parseInt(value.trim(), 10);
+            return isNaN(parsed) ? null : parsed;
+        });
+
+        const resetField = () => {
+            state.fieldFont = null;
+            state.block = null;
+            state.data = null;
+            state.reverse = false;
+        };
+
+        this.tokenize(label).forEach(({ code, params }) => {
+            switch (code) {
+                case 'PW': {
+                    const [width] = numbers(params);
+                    if (width) layout.width = width;
+                    break;
+                }
+                case 'LL': {
+                    const [height] = numbers(params);
+                    if (height) layout.height = height;
+                    break;
+                }
+                case 'LS': {
+                    const [shift] = numbers(params);
+                    state.shift = shift || 0;
+                    break;
+                }
+                case 'LH': {
+                    const [x, y] = numbers(params);
+                    state.home = { x: x || 0, y: y || 0 };
+                    break;
+                }
+                case 'FO': {
+                    const [x, y] = numbers(params);
+                    state.origin = {
+                        x: (x || 0) + state.home.x - state.shift,
+                        y: (y || 0) + state.home.y
+                    };
+                    break;
+                }
+                case 'CF': {
+                    const [name, height, width] = params.split(',');
+                    const h = parseInt(height, 10);
+                    const w = parseInt(width, 10);
+                    if (name !== undefined && name.trim() !== '' && name.trim() !== '0') {
+                        console.warn(`[ZplRenderer] Font ${name} not supported, drawing as font 0`);
+                    }
+                    if (!isNaN(h)) {
+                        state.font = { height: h, width: isNaN(w) ? h : w };
+                    } else if (!isNaN(w)) {
+                        state.font = { ...state.font, width: w };
+                    }
+                    break;
+                }
+                case 'A': {
+                    // params: "0N,28,28" (font + orientation, height, width)
+                    const [, height, width] = params.split(',');
+                    const h = parseInt(height, 10);
+                    const w = parseInt(width, 10);
+                    const fontHeight = isNaN(h) ? state.font.height : h;
+                    state.fieldFont = { height: fontHeight, width: isNaN(w) ? fontHeight : w };
+                    break;
+                }
+                case 'FB': {
+                    const [width, lines, spacing] = numbers(params);
+                    const justify = (params.split(',')[3] || 'L').trim().toUpperCase() || 'L';
+                    state.block = {
+                        width: width || 0,
+                        lines: lines || 1,
+                        spacing: spacing || 0,
+                        justify
+                    };
+                    break;
+                }
+                case 'FR':
+                    state.reverse = true;
+                    break;
+                case 'FD':
+                    state.data = params;
+                    break;
+                case 'FS':
+                    if (state.data !== null) {
+                        layout.elements.push({
+                            type: 'text',
+                            x: state.origin.x,
+                            y: state.origin.y,
+                            text: this.unescapeFieldData(state.data),
+                            font: state.fieldFont || { ...state.font },
+                            block: state.block,
+                            reverse: state.reverse
+                        });
+                    }
+                    resetField();
+                    break;
+                case 'GB': {
+                    const [width, height, thickness, , rounding] = params.split(',');
+                    const t = parseInt(thickness, 10) || 1;
+                    const color = (params.split(',')[3] || 'B').trim().toUpperCase() || 'B';
+                    layout.elements.push({
+                        type: 'box',
+                        x: state.origin.x,
+                        y: state.origin.y,
+                        // ZPL never draws a box narrower than its border
+                        width: Math.max(parseInt(width, 10) || t, t),
+                        height: Math.max(parseInt(height, 10) || t, t),
+                        thickness: t,
+                        color: color === 'W' ? 'W' : 'B',
+                        rounding: parseInt(rounding, 10) || 0,
+                        reverse: state.reverse
+                    });
+                    break;
+                }
+                default:
+                    // ^XA, ^XZ, ^FX, ^CI and anything else do not draw
+                    break;
+            }
+        });
+
+        return layout;
+    }
+
+    /**
+     * Convert ^FD data to display text
+     * @param {string} data - Raw field data
+     * @returns {string} Text with escapes resolved and \& turned into \n
+     */
+    unescapeFieldData(data) {
+        return data.replace(/\\(.)/g, (match, char) => (char === '&' ? '\n' : char));
+    }
+
+    /**
+     * Render a single label to a canvas
+     * @param {string} label - Single ^XA...^XZ block
+     * @param {Object} options - { width, height } fallback size in dots, { scale }
+     * @returns {HTMLCanvasElement|OffscreenCanvas} Rendered label
+     */
+    renderLabel(label, options = {}) {
+        const layout = this.parseLabel(label);
+        const width = layout.width || options.width || 812;
+        const height = layout.height || options.height || 406;
+        const scale = options.scale || 1;
+
+        const canvas = this.createCanvas(Math.round(width * scale), Math.round(height * scale));
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.scale(scale, scale);
+
+        layout.elements.forEach(element => {
+            if (element.type === 'box') {
+                this.drawBox(ctx, element);
+            } else if (element.type === 'text') {
+                this.drawText(ctx, element);
+            }
+        });
+
+        return canvas;
+    }
+
+    /**
+     * Render every label in a ZPL document
+     * @param {string} zpl - ZPL document
+     * @param {Object} options - Passed to renderLabel
+     * @returns {Array} Canvases, one per label
+     */
+    renderAll(zpl, options = {}) {
+        return this.splitLabels(zpl).map(label => this.renderLabel(label, options));
+    }
+
+    /**
+     * Draw a ^GB graphic box
+     * @param {CanvasRenderingContext2D} ctx - Drawing context
+     * @param {Object} box - Box element
+     */
+    drawBox(ctx, box) {
+        ctx.save();
+        ctx.fillStyle = box.color === 'W' ? '#ffffff' : '#000000';
+        if (box.reverse) {
+            ctx.globalCompositeOperation = 'difference';
+            ctx.fillStyle = '#ffffff';
+        }
+
+        const { x, y, width, height, thickness } = box;
+        if (thickness * 2 >= width || thickness * 2 >= height) {
+            // Solid bar (lines are drawn as boxes with a thick border)
+            ctx.fillRect(x, y, width, height);
+        } else {
+            ctx.fillRect(x, y, width, thickness);
+            ctx.fillRect(x, y + height - thickness, width, thickness);
+            ctx.fillRect(x, y, thickness, height);
+            ctx.fillRect(x + width - thickness, y, thickness, height);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw a text field, wrapping inside its ^FB block when present
+     * Lines beyond the block's limit overprint the last line, as on the printer.
+     * @param {CanvasRenderingContext2D} ctx - Drawing context
+     * @param {Object} field - Text element
+     */
+    drawText(ctx, field) {
+        const { height, width } = field.font;
+        const block = field.block;
+
+        ctx.save();
+        ctx.fillStyle = '#000000';
+        ctx.textBaseline = 'top';
+        ctx.font = `bold ${height}px ${this.fontFamily}`;
+        if (field.reverse) {
+            ctx.globalCompositeOperation = 'difference';
+            ctx.fillStyle = '#ffffff';
+        }
+
+        if (!block) {
+            field.text.split('\n').forEach((line, index) => {
+                this.drawLine(ctx, line, field.x, field.y + index * height, height, width);
+            });
+            ctx.restore();
+            return;
+        }
+
+        const lines = ZplFontMetrics.wrapText(field.text, block.width, height, width);
+        const lineHeight = height + block.spacing;
+
+        lines.forEach((line, index) => {
+            const row = Math.min(index, block.lines - 1);
+            const lineWidth = ZplFontMetrics.measureText(line, height, width);
+            let x = field.x;
+
+            if (block.justify === 'C') {
+                x += (block.width - lineWidth) / 2;
+            } else if (block.justify === 'R') {
+                x += block.width - lineWidth;
+            }
+
+            this.drawLine(ctx, line, x, field.y + row * lineHeight, height, width);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw one line of font 0 text, squeezed to the font 0 advance width
+     * @param {CanvasRenderingContext2D} ctx - Drawing context (font already set)
+     * @param {string} text - Line to draw
+     * @param {number} x - Left edge in dots
+     * @param {number} y - Top edge in dots
+     * @param {number} height - Font height in dots
+     * @param {number} width - Font width in dots
+     */
+    drawLine(ctx, text, x, y, height, width) {
+        if (!text) return;
+
+        const targetWidth = ZplFontMetrics.measureText(text, height, width);
+        const naturalWidth = ctx.measureText(text).width || targetWidth;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.scale(targetWidth / naturalWidth, 1);
+        ctx.fillText(text, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Create a canvas in the page or in a worker
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas
+     */
+    createCanvas(width, height) {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        throw new Error('No canvas implementation available for ZPL rendering');
+    }
+
+    /**
+     * Encode a canvas as an image blob
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Rendered label
+     * @param {string} type - MIME type (default image/png)
+     * @param {number} quality - Encoder quality for lossy formats
+     * @returns {Promise<Blob>} Image blob
+     */
+    canvasToBlob(canvas, type = 'image/png', quality = 0.95) {
+        if (typeof canvas.convertToBlob === 'function') {
+            return canvas.convertToBlob({ type, quality });
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Failed to encode label as ${type}`));
+                }
+            }, type, quality);
+        });
+    }
+
+    /**
+     * Render a ZPL document to PNG blobs
+     * @param {string} zpl - ZPL document
+     * @returns {Promise<Array<Blob>>} One PNG per label
+     */
+    async renderToPng(zpl) {
+        const canvases = this.renderAll(zpl);
+        return Promise.all(canvases.map(canvas => this.canvasToBlob(canvas, 'image/png')));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZplRenderer };
+}
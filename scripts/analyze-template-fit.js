@@ -0,0 +1,106 @@
+#!/usr/bin/env bun
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import vm from 'vm';
+import { projectRoot, createAppContext, loadDatabase } from './app-context.js';
+
+// Usage: bun run analyze:templates [path/to/database.xlsx] [--template role=path ...] [--csv out.csv] [--strict]
+//   --template  check a changed template (role of KIT_TYPES, e.g. big or smallFork) instead of templates/
+//   --csv       write every overflowing or clipped row to a CSV file
+//   --strict    exit with code 1 when any row does not fit
+const PROBLEMS_PER_FIELD = 10;
+
+const context = createAppContext([
+  'vendor/xlsx.full.min.js', 'js/security-utils.js', 'js/kit-types.js', 'js/column-mapping.js',
+  'js/value-normalizer.js', 'js/product-status.js', 'js/excel-parser.js', 'js/dataset-diff.js', 'js/csv-utils.js',
+  'js/zpl-font-metrics.js', 'js/template-language.js', 'js/text-fitter.js', 'js/label-variables.js', 'js/template-fit.js'
+]);
+
+// Bundled template of every sticker role
+const TEMPLATE_FILES = Object.fromEntries(
+  Object.entries(vm.runInContext('KitTypes.getTemplateRoles()', context)).map(([role, { url }]) => [role, url.replace(/^\.\//, '')])
+);
+
+const args = process.argv.slice(2);
+const templatePaths = Object.fromEntries(
+  Object.entries(TEMPLATE_FILES).map(([role, file]) => [role, join(projectRoot, file)])
+);
+let databasePath = join(projectRoot, 'data', 'manual-info.xlsx');
+let csvPath = null;
+let strict = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--template') {
+    const [role, path] = (args[++i] || '').split('=');
+    if (!TEMPLATE_FILES[role] || !path) {
+      console.error(`❌ --template expects role=path with role one of: ${Object.keys(TEMPLATE_FILES).join(', ')}`);
+      process.exit(1);
+    }
+    templatePaths[role] = path;
+  } else if (args[i] === '--csv') {
+    csvPath = args[++i];
+  } else if (args[i] === '--strict') {
+    strict = true;
+  } else {
+    databasePath = args[i];
+  }
+}
+
+context.rows = loadDatabase(context, databasePath);
+context.templates = Object.fromEntries(
+  Object.entries(templatePaths).map(([role, path]) => [role, readFileSync(path, 'utf8')])
+);
+
+const report = vm.runInContext('new TemplateFitAnalysis(templates).analyze(rows)', context);
+const { TemplateFitAnalysis, ExcelParser } = vm.runInContext('({ TemplateFitAnalysis, ExcelParser })', context);
+
+// Markdown report, so it can be pasted into Docs/ or a pull request
+console.log('# Template Fit Analysis\n');
+console.log(`Database: ${databasePath} (${report.rowCount} rows)\n`);
+
+report.templates.forEach(template => {
+  console.log(`## ${template.label} (${templatePaths[template.role]})\n`);
+  console.log(`${template.rowCount} rows, ${template.problemCount} problem(s)\n`);
+  console.log('| Field | Block | Font | Length min / median / p95 / max | Sizes used | Longest fit | Shortest miss | Problems |');
+  console.log('|---|---|---|---|---|---|---|---|');
+
+  template.fields.forEach(field => {
+    const lengths = field.lengths;
+    const sizes = Object.entries(field.sizeCounts)
+      .sort((a, b) => b[0] - a[0])
+      .map(([size, count]) => `${size}: ${count}`)
+      .join(', ');
+    console.log(`| \`${field.label}\` | ${field.block.width} × ${field.block.lines} | ${TemplateFitAnalysis.describeFont(field)} | ` +
+      `${lengths.count > 0 ? `${lengths.min} / ${lengths.median} / ${lengths.p95} / ${lengths.max}` : '-'} | ${sizes || '-'} | ` +
+      `${field.longestFit} | ${field.shortestMiss ?? '-'} | ${field.problems.length} |`);
+  });
+  console.log('');
+
+  template.fields.filter(field => field.problems.length > 0).forEach(field => {
+    console.log(`### \`${field.label}\`\n`);
+    field.problems.slice(0, PROBLEMS_PER_FIELD).forEach(problem => {
+      console.log(`- Row ${ExcelParser.getSheetRowNumber(problem.index, problem.row)}: ${problem.problem}, ` +
+        `${problem.lines}/${field.block.lines} line(s) at ${problem.size} dots: "${problem.text.replace(/\n/g, ' ')}"`);
+    });
+    if (field.problems.length > PROBLEMS_PER_FIELD) {
+      console.log(`- ... ${field.problems.length - PROBLEMS_PER_FIELD} more (use --csv for the full list)`);
+    }
+    console.log('');
+  });
+});
+
+if (csvPath) {
+  const csv = vm.runInContext('CsvUtils.stringify(TemplateFitAnalysis.toCsvRows(report))', Object.assign(context, { report }));
+  writeFileSync(csvPath, csv);
+  console.log(`✓ Wrote ${report.problemCount} problem row(s) to ${csvPath}`);
+}
+
+if (report.problemCount > 0) {
+  console.log(`⚠️  ${report.problemRows} row(s) have text that overflows or gets clipped`);
+  if (strict) {
+    process.exit(1);
+  }
+} else {
+  console.log('✅ Every row fits every template');
+}
@@ -0,0 +1,48 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import vm from 'vm';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+export const projectRoot = join(__dirname, '..');
+
+/**
+ * Load browser-global app scripts into one shared VM context
+ * @param {Array<string>} scripts - Paths relative to the project root, in load order
+ * @returns {Object} VM context holding the scripts' globals
+ */
+export function createAppContext(scripts) {
+  const context = vm.createContext({
+    console: { log() {}, warn() {}, error: console.error },
+    performance,
+    TextDecoder,
+    ErrorHandler: { logError() {} }
+  });
+
+  scripts.forEach(relativePath => {
+    const source = readFileSync(join(projectRoot, relativePath), 'utf8');
+    vm.runInContext(source, context, { filename: relativePath });
+  });
+
+  return context;
+}
+
+/**
+ * Parse a product database with ExcelParser inside an app context
+ * @param {Object} context - Context from createAppContext (needs xlsx and excel-parser)
+ * @param {string} databasePath - Path to the .xlsx/.csv/.tsv file
+ * @returns {Array<Object>} Field-keyed rows
+ */
+export function loadDatabase(context, databasePath) {
+  const file = readFileSync(databasePath);
+  context.buffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.length);
+  context.fileName = databasePath;
+
+  // Scoped in a function so one context can load several databases
+  return vm.runInContext(`(() => {
+    const parser = new ExcelParser();
+    parser.loadFromArrayBuffer(buffer, fileName);
+    return parser.data;
+  })()`, context);
+}
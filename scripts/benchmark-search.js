@@ -0,0 +1,81 @@
+#!/usr/bin/env bun
+
+import { join } from 'path';
+import vm from 'vm';
+import { projectRoot, createAppContext, loadDatabase } from './app-context.js';
+
+// Usage: bun run bench [path/to/database.xlsx]
+const databasePath = process.argv[2] || join(projectRoot, 'data', 'manual-info.xlsx');
+const BULK_PASTE_LINES = 500;
+const BULK_PASTE_BUDGET_MS = 50;
+const TYPED_QUERIES = ['sp-ya', 'SP-YA09-SSA024', 'yamaha mt-09 2021', 'kawsaki z900', 'honda cbr 1995', 'ssa0'];
+
+console.log('⏱️  Running search benchmark...\n');
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+// The app scripts are browser globals: run them in one shared context
+const context = createAppContext([
+  'vendor/xlsx.full.min.js', 'js/kit-types.js', 'js/column-mapping.js', 'js/csv-utils.js', 'js/excel-parser.js',
+  'js/product-status.js', 'js/value-normalizer.js', 'js/search.js'
+]);
+
+const parse = time(() => loadDatabase(context, databasePath));
+console.log(`✓ Parsed ${parse.result.length} rows (${parse.ms.toFixed(1)} ms)`);
+
+context.data = parse.result;
+const index = time(() => vm.runInContext('new ProductSearch(data)', context));
+const productSearch = index.result;
+console.log(`✓ Built index: ${productSearch.codeIndex.size} codes (${index.ms.toFixed(1)} ms)`);
+console.log('');
+
+// Bulk paste: known codes in varying case, plus some unknown codes
+const codes = [...productSearch.codeIndex.keys()];
+const lines = [];
+for (let i = 0; i < BULK_PASTE_LINES; i++) {
+  lines.push(i % 10 === 9 ? `SP-XX99-UNKNOWN${i}` : codes[(i * 7) % codes.length].toLowerCase());
+}
+
+// Previous implementation for comparison: scan every row per line
+const codeFields = vm.runInContext('KitTypes.getCodeFields()', context);
+function scanExact(query) {
+  const normalized = query.trim().toUpperCase();
+  for (const row of context.data) {
+    for (const field of codeFields) {
+      if ((row[field] || '').toString().toUpperCase() === normalized) {
+        return row;
+      }
+    }
+  }
+  return null;
+}
+
+console.log(`📋 Bulk paste of ${BULK_PASTE_LINES} codes:`);
+const indexed = time(() => lines.filter(line => productSearch.searchExact(line)).length);
+const scanned = time(() => lines.filter(line => scanExact(line)).length);
+console.log(`  Indexed lookup: ${indexed.ms.toFixed(2)} ms (${indexed.result} found)`);
+console.log(`  Full scan:      ${scanned.ms.toFixed(2)} ms (${scanned.result} found)`);
+console.log('');
+
+console.log('🔍 Search as you type:');
+TYPED_QUERIES.forEach(query => {
+  const search = time(() => productSearch.searchRanked(query));
+  console.log(`  ${query.padEnd(20)} ${search.ms.toFixed(2).padStart(7)} ms (${search.result.length} results)`);
+});
+console.log('');
+
+if (indexed.result !== scanned.result) {
+  console.error('❌ Indexed lookup and full scan found a different number of codes');
+  process.exit(1);
+}
+
+if (indexed.ms > BULK_PASTE_BUDGET_MS) {
+  console.error(`❌ Bulk paste lookup took longer than ${BULK_PASTE_BUDGET_MS} ms`);
+  process.exit(1);
+}
+
+console.log(`✅ Bulk paste lookup within ${BULK_PASTE_BUDGET_MS} ms`);
@@ -0,0 +1,73 @@
+#!/usr/bin/env bun
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import vm from 'vm';
+import { projectRoot, createAppContext } from './app-context.js';
+
+// Usage: bun run lint:templates [role=path ...] [--label role=WxHmm ...] [--strict]
+//   role=path  check another template file (role of KIT_TYPES, e.g. big or smallFork) instead of templates/
+//   --label    printer label size of a role (default 124x70mm big, 65x35mm small)
+//   --strict   also exit with code 1 on warnings
+const SEVERITY_ICONS = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+const context = createAppContext([
+  'js/security-utils.js', 'js/kit-types.js', 'js/value-normalizer.js', 'js/product-status.js',
+  'js/zpl-font-metrics.js', 'js/template-language.js', 'js/text-fitter.js', 'js/label-variables.js',
+  'js/template-linter.js'
+]);
+const { TemplateLinter, TEMPLATE_LINT_LABEL_SIZES } = vm.runInContext('({ TemplateLinter, TEMPLATE_LINT_LABEL_SIZES })', context);
+
+// Bundled template of every sticker role
+const TEMPLATE_FILES = Object.fromEntries(
+  Object.entries(vm.runInContext('KitTypes.getTemplateRoles()', context)).map(([role, { url }]) => [role, url.replace(/^\.\//, '')])
+);
+
+const args = process.argv.slice(2);
+const templatePaths = Object.fromEntries(
+  Object.entries(TEMPLATE_FILES).map(([role, file]) => [role, join(projectRoot, file)])
+);
+const labelSizes = { ...TEMPLATE_LINT_LABEL_SIZES };
+let strict = false;
+
+const parseRoleArgument = (arg, option) => {
+  const [role, value] = (arg || '').split('=');
+  if (!TEMPLATE_FILES[role] || !value) {
+    console.error(`❌ ${option} expects role=value with role one of: ${Object.keys(TEMPLATE_FILES).join(', ')}`);
+    process.exit(1);
+  }
+  return [role, value];
+};
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--label') {
+    const [role, size] = parseRoleArgument(args[++i], '--label');
+    labelSizes[role] = size;
+  } else if (args[i] === '--strict') {
+    strict = true;
+  } else {
+    const [role, path] = parseRoleArgument(args[i], 'A template argument');
+    templatePaths[role] = path;
+  }
+}
+
+let errorCount = 0;
+let warningCount = 0;
+
+Object.entries(templatePaths).forEach(([role, path]) => {
+  const result = TemplateLinter.lint(readFileSync(path, 'utf8'), { labelSize: labelSizes[role] });
+  errorCount += result.errorCount;
+  warningCount += result.warningCount;
+
+  console.log(`\n${role}: ${path} (${labelSizes[role]} label) - ${TemplateLinter.summarize(result)}`);
+  result.issues.forEach(issue => {
+    console.log(`  ${SEVERITY_ICONS[issue.severity]} ${issue.line ? `line ${issue.line}: ` : ''}${issue.message} [${issue.rule}]`);
+  });
+});
+
+console.log('');
+if (errorCount > 0 || (strict && warningCount > 0)) {
+  console.log(`❌ ${errorCount} error(s), ${warningCount} warning(s)`);
+  process.exit(1);
+}
+console.log(warningCount > 0 ? `⚠️  ${warningCount} warning(s)` : '✅ Every template passes');
@@ -0,0 +1,32 @@
+import { describe, test, expect } from 'bun:test';
+import vm from 'vm';
+import { createAppContext } from '../scripts/app-context.js';
+
+const context = createAppContext(['js/csv-utils.js']);
+const CsvUtils = vm.runInContext('CsvUtils', context);
+
+describe('CsvUtils.escapeField', () => {
+  test('quotes delimiters, quotes and line breaks', () => {
+    expect(CsvUtils.escapeField('SAE 7,5')).toBe('"SAE 7,5"');
+    expect(CsvUtils.escapeField('15" wheel')).toBe('"15"" wheel"');
+    expect(CsvUtils.escapeField('line\nbreak')).toBe('"line\nbreak"');
+    expect(CsvUtils.escapeField('SAE 7,5', ';')).toBe('SAE 7,5');
+  });
+
+  test('prefixes text Excel would run as a formula', () => {
+    expect(CsvUtils.escapeField('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+    expect(CsvUtils.escapeField('+cmd|\' /C calc\'!A0')).toBe('\'+cmd|\' /C calc\'!A0');
+    expect(CsvUtils.escapeField('-2+3+cmd|\' /C calc\'!A0')).toBe('\'-2+3+cmd|\' /C calc\'!A0');
+    expect(CsvUtils.escapeField('@SUM(A1:A9)')).toBe('\'@SUM(A1:A9)');
+    expect(CsvUtils.escapeField('+/- 0.5')).toBe('\'+/- 0.5');
+  });
+
+  test('keeps signed numbers and ordinary text as written', () => {
+    expect(CsvUtils.escapeField('-5 mm')).toBe('-5 mm');
+    expect(CsvUtils.escapeField('-1,5')).toBe('"-1,5"');
+    expect(CsvUtils.escapeField('+2 clicks')).toBe('+2 clicks');
+    expect(CsvUtils.escapeField(-3)).toBe('-3');
+    expect(CsvUtils.escapeField('SP-AJ06-SSC001')).toBe('SP-AJ06-SSC001');
+    expect(CsvUtils.escapeField(null)).toBe('');
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, test, expect } from 'bun:test';
+import { join } from 'path';
+import { projectRoot, createAppContext, loadDatabase } from '../scripts/app-context.js';
+
+// Cell reading per COLUMN_TYPES, checked on sample rows of the Docs CSV export. The same rows are
+// read from the CSV itself and from the workbook it was exported from, where spring numbers are
+// numbers with a "0000" format and the date change column holds Excel serials.
+const CSV_PATH = join(projectRoot, 'Docs', 'MANUALINFO FOR IMPORTERS 2025-10.xlsx - MANUALINFO FOR IMPORTERS.csv');
+const XLSX_PATH = join(projectRoot, 'data', 'manual-info.xlsx');
+
+const context = createAppContext([
+  'vendor/xlsx.full.min.js', 'js/kit-types.js', 'js/column-mapping.js', 'js/value-normalizer.js', 'js/csv-utils.js',
+  'js/product-status.js', 'js/excel-parser.js'
+]);
+
+const SOURCES = {
+  xlsx: loadDatabase(context, XLSX_PATH),
+  csv: loadDatabase(context, CSV_PATH)
+};
+
+// Dates come from the app context, so instanceof Date (of this realm) cannot be used
+const isDate = value => Object.prototype.toString.call(value) === '[object Date]';
+
+const findRow = (rows, code) => {
+  const row = rows.find(entry => [entry.FORKCODE, entry.SHOCKCODE, entry.COMBICODE].includes(code));
+  if (!row) throw new Error(`${code} is not in the sample rows`);
+  return row;
+};
+
+// Row without SOURCE (file name), dates as ISO strings
+const comparable = row => Object.fromEntries(
+  Object.entries(row)
+    .filter(([field]) => field !== 'SOURCE')
+    .map(([field, value]) => [field, isDate(value) ? value.toISOString() : value])
+);
+
+describe.each(Object.keys(SOURCES))('ExcelParser (%s)', source => {
+  const rows = SOURCES[source];
+
+  test('keeps the leading zeros of spring numbers', () => {
+    const row = findRow(rows, 'SP-AP02-SSK001');
+    expect(row.FORK_SPRING).toBe('0316');
+    expect(row.SHOCK_SPRING).toBe('0182');
+    expect(findRow(rows, 'SP-AP02-SSC002').FORK_SPRING).toBe('0401');
+    expect(findRow(rows, 'SP-AJ06-SSC001').FORK_SPRING).toBe('1407');
+  });
+
+  test('reads oil grades and decimals as written', () => {
+    expect(findRow(rows, 'SP-AJ06-SSC001').OIL_TYPE).toBe('2x SAE 7,5');
+    expect(findRow(rows, 'SP-AP02-SSC002').OIL_TYPE).toBe('SAE 7,5');
+    expect(findRow(rows, 'SP-AP02-SSC002').FORK_COMPRESSION).toBe('1.75 CLICK OPEN  +/- 0.5');
+    expect(findRow(rows, 'SP-BM08-SSL011').SHOCK_REBOUND).toBe('1 - 1,5 T. OPEN');
+    expect(findRow(rows, 'SP-BM12-SSN085').SHOCK_REBOUND).toBe('0,5-1,5 TURN');
+  });
+
+  test('reads the date change column as a date', () => {
+    const changed = findRow(rows, 'SP-AJ06-SSC001').DATE_CHANGE;
+    expect(isDate(changed)).toBe(true);
+    expect(changed.toISOString()).toBe('2024-06-21T00:00:00.000Z');
+    expect(findRow(rows, 'SP-AP02-SSC002').DATE_CHANGE.toISOString()).toBe('2022-09-06T00:00:00.000Z');
+    expect(findRow(rows, 'SP-AP02-SSK001').DATE_CHANGE).toBe('');
+  });
+});
+
+test('CSV and xlsx give the same rows', () => {
+  expect(SOURCES.csv.length).toBe(SOURCES.xlsx.length);
+  SOURCES.csv.slice(0, 50).forEach((row, index) => {
+    expect(comparable(row)).toEqual(comparable(SOURCES.xlsx[index]));
+  });
+});
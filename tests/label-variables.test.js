@@ -0,0 +1,109 @@
+import { describe, test, expect } from 'bun:test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import vm from 'vm';
+import { projectRoot, createAppContext, loadDatabase } from '../scripts/app-context.js';
+
+// Pins the label variables, fitted font sizes and rendered ZPL for representative MANUALINFO rows.
+// After an intended label change, review the diff and run `bun test --update-snapshots`.
+const TEMPLATE_FILES = {
+  big: 'templates/zbl-dynamic.txt',
+  smallFork: 'templates/zbl-small-fork.txt',
+  smallShock: 'templates/zbl-small-shock.txt'
+};
+
+const context = createAppContext([
+  'vendor/xlsx.full.min.js', 'js/security-utils.js', 'js/kit-types.js', 'js/column-mapping.js',
+  'js/value-normalizer.js', 'js/csv-utils.js', 'js/product-status.js', 'js/excel-parser.js', 'js/zpl-font-metrics.js',
+  'js/template-language.js', 'js/text-fitter.js', 'js/label-variables.js', 'js/template-library.js',
+  'js/zbl-generator.js', 'js/sticker-rules.js', 'js/batch-generator.js'
+]);
+const { LabelVariables, ZBLGenerator, BatchZBLGenerator, TEMPLATE_ROLES } =
+  vm.runInContext('({ LabelVariables, ZBLGenerator, BatchZBLGenerator, TEMPLATE_ROLES })', context);
+
+const rows = loadDatabase(context, join(projectRoot, 'data', 'manual-info.xlsx'));
+const templates = Object.fromEntries(
+  Object.entries(TEMPLATE_FILES).map(([role, file]) => [role, readFileSync(join(projectRoot, file), 'utf8')])
+);
+
+const findRow = code => {
+  const row = rows.find(entry => [entry.FORKCODE, entry.SHOCKCODE, entry.COMBICODE].includes(code));
+  if (!row) throw new Error(`${code} is not in data/manual-info.xlsx`);
+  return { ...row };
+};
+
+// No MANUALINFO cell holds ZPL control characters, so a real row gets some typed into it
+const withZplCharacters = {
+  ...findRow('SP-BM12-SSC101'),
+  MODEL_TYPE: 'R12 G/S ^FDHACK',
+  FORK_EXTRA_INFO: 'Remove spacer ^XZ~JR then refit'
+};
+
+const CASES = [
+  { name: 'fork, shock and combi kit (SP-AJ06-SSC001)', row: findRow('SP-AJ06-SSC001') },
+  { name: 'fork kit only, empty SHOCKCODE and COMBICODE (SP-AP00-SSA002)', row: findRow('SP-AP00-SSA002') },
+  { name: 'long OIL_LEVEL text (SP-KT12-SSF011)', row: findRow('SP-KT12-SSF011') },
+  { name: 'ZPL characters in cells (SP-BM12-SSC101)', row: withZplCharacters }
+];
+
+// Kit types the MANUALINFO sheet has no column for yet, with a code typed into a real row
+const ADDED_KITS = [
+  { kitType: 'damper', field: 'DAMPERCODE', role: 'smallDamper', footer: 'DAMPER', code: 'SP-AJ06-SDA001' },
+  { kitType: 'lowering', field: 'LOWERINGCODE', role: 'smallLowering', footer: 'LOWERING', code: 'SP-AJ06-SLA001' },
+  { kitType: 'springSet', field: 'SPRINGCODE', role: 'smallSpring', footer: 'SPRINGS', code: 'SP-AJ06-SSS001' }
+];
+
+describe('LabelVariables', () => {
+  CASES.forEach(({ name, row }) => {
+    describe(name, () => {
+      const labelVariables = new LabelVariables(templates);
+      const variables = labelVariables.prepare(row);
+
+      test('prepares the text variables and font sizes', () => {
+        expect({ ...variables }).toMatchSnapshot();
+        expect([...labelVariables.lastFitWarnings]).toMatchSnapshot();
+      });
+
+      Object.keys(TEMPLATE_FILES).forEach(role => {
+        test(`renders the ${role} sticker`, () => {
+          expect(LabelVariables.replace(templates[role], variables)).toMatchSnapshot();
+        });
+      });
+
+      test('ZBLGenerator prints the same BIG sticker', () => {
+        const generator = new ZBLGenerator(templates.big);
+        expect(generator.generate(row)).toBe(LabelVariables.replace(templates.big, variables));
+      });
+
+      test('BatchZBLGenerator prints the same stickers', () => {
+        const { bigZpl, smallZpl } = new BatchZBLGenerator(templates).generateStickerSet('combi', row, 1);
+        const render = role => LabelVariables.replace(templates[role], variables);
+        expect([...bigZpl]).toEqual([render('big')]);
+        expect([...smallZpl]).toEqual([render('smallFork'), render('smallFork'), render('smallShock')]);
+      });
+    });
+  });
+
+  ADDED_KITS.forEach(({ kitType, field, role, footer, code }) => {
+    test(`prints the BIG and ${role} stickers of a ${kitType} kit`, () => {
+      const row = { ...findRow('SP-AJ06-SSC001'), [field]: code };
+      const kitTemplates = { ...templates, [role]: readFileSync(join(projectRoot, TEMPLATE_ROLES[role].url), 'utf8') };
+      const { bigZpl, smallZpl, itemCounts } = new BatchZBLGenerator(kitTemplates).generateStickerSet(kitType, row, 1);
+
+      expect(bigZpl.length).toBe(1);
+      expect(bigZpl[0]).toContain(`--- ${footer}: ${code}\\&^FS`);
+      expect(smallZpl.length).toBe(1);
+      expect(smallZpl[0]).toContain(`^FD${code}\\&^FS`);
+      expect(itemCounts[role]).toBe(1);
+    });
+  });
+
+  test('escapes ZPL characters from cells', () => {
+    const zpl = LabelVariables.replace(templates.big, new LabelVariables(templates).prepare(withZplCharacters));
+    // Every ^ and ~ from a cell is preceded by a backslash
+    expect(zpl).not.toMatch(/[^\\]\^FDHACK/);
+    expect(zpl).not.toContain('spacer ^XZ~JR');
+    expect(zpl).toContain('R12 G/S \\^FDHACK');
+    expect(zpl).toContain('spacer \\^XZ\\~JR then');
+  });
+});